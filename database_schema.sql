@@ -17,10 +17,18 @@ CREATE TABLE historical_events (
     description TEXT,
     start_date TIMESTAMPTZ NOT NULL,
     end_date TIMESTAMPTZ NOT NULL,
-    duration_minutes INTEGER GENERATED ALWAYS AS (
+    duration_minutes BIGINT GENERATED ALWAYS AS (
         EXTRACT(EPOCH FROM (end_date - start_date)) / 60
     ) STORED,
+    start_date_earliest TIMESTAMPTZ,
+    start_date_latest TIMESTAMPTZ,
+    end_date_earliest TIMESTAMPTZ,
+    end_date_latest TIMESTAMPTZ,
+    start_date_precision VARCHAR(20) NOT NULL DEFAULT 'instant',
+    end_date_precision VARCHAR(20) NOT NULL DEFAULT 'instant',
+    date_confidence VARCHAR(20) NOT NULL DEFAULT 'exact',
     parent_event_id UUID REFERENCES historical_events(event_id) ON DELETE CASCADE,
+    research_value DOUBLE PRECISION CHECK (research_value >= 0),
     metadata JSONB DEFAULT '{}',
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
@@ -32,20 +40,76 @@ CREATE INDEX idx_historical_events_end_date ON historical_events(end_date);
 CREATE INDEX idx_historical_events_parent_id ON historical_events(parent_event_id);
 CREATE INDEX idx_historical_events_name ON historical_events(event_name);
 CREATE INDEX idx_historical_events_duration ON historical_events(duration_minutes);
+CREATE INDEX idx_historical_events_research_value ON historical_events(research_value);
 CREATE INDEX idx_historical_events_metadata ON historical_events USING GIN(metadata);
+-- Events inserted by an ingestion job (used to roll a job back)
+CREATE INDEX idx_historical_events_job_id ON historical_events((metadata->>'job_id'));
 
 -- Create composite index for date range queries
 CREATE INDEX idx_historical_events_date_range ON historical_events(start_date, end_date);
 
+-- Create the event_revisions table: a snapshot of an event after every insert
+-- and update, and before its deletion (the audit trail and "as of" queries)
+CREATE TABLE event_revisions (
+    revision_id BIGSERIAL PRIMARY KEY,
+    event_id UUID NOT NULL,
+    operation VARCHAR(10) NOT NULL,
+    changed_at TIMESTAMPTZ NOT NULL DEFAULT clock_timestamp(),
+    changed_by VARCHAR(100),
+    job_id VARCHAR(50),
+    data JSONB NOT NULL
+);
+
+CREATE INDEX idx_event_revisions_event_id ON event_revisions(event_id, revision_id);
+CREATE INDEX idx_event_revisions_changed_at ON event_revisions(changed_at);
+
+-- Create the event_relations table: typed, optionally weighted links from one
+-- event to another, beyond the parent/child hierarchy
+CREATE TABLE event_relations (
+    relation_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    source_event_id UUID NOT NULL REFERENCES historical_events(event_id) ON DELETE CASCADE,
+    target_event_id UUID NOT NULL REFERENCES historical_events(event_id) ON DELETE CASCADE,
+    relation_type VARCHAR(30) NOT NULL,
+    weight DOUBLE PRECISION,
+    description TEXT,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_event_relations UNIQUE (source_event_id, target_event_id, relation_type),
+    CONSTRAINT chk_relation_type CHECK (relation_type IN ('caused', 'preceded', 'contemporaneous_with', 'references')),
+    CONSTRAINT chk_relation_weight CHECK (weight IS NULL OR weight >= 0),
+    CONSTRAINT chk_relation_not_self CHECK (source_event_id <> target_event_id)
+);
+
+CREATE INDEX idx_event_relations_target ON event_relations(target_event_id);
+CREATE INDEX idx_event_relations_type ON event_relations(relation_type);
+-- Relations written by an ingestion job (used to roll a job back)
+CREATE INDEX idx_event_relations_job_id ON event_relations((metadata->>'job_id'));
+
+-- Bumped by every statement that changes event_relations, so cached graphs
+-- can tell when the relations changed
+CREATE SEQUENCE event_relations_version;
+
 -- Create the ingestion_jobs table for tracking file processing
 CREATE TABLE ingestion_jobs (
     job_id VARCHAR(50) PRIMARY KEY,
-    status VARCHAR(20) NOT NULL DEFAULT 'PROCESSING',
+    status VARCHAR(20) NOT NULL DEFAULT 'QUEUED',
     file_path TEXT,
     total_lines INTEGER DEFAULT 0,
     processed_lines INTEGER DEFAULT 0,
     error_lines INTEGER DEFAULT 0,
+    repaired_lines INTEGER DEFAULT 0,
+    inserted_count INTEGER DEFAULT 0,
+    updated_count INTEGER DEFAULT 0,
+    unchanged_count INTEGER DEFAULT 0,
+    skipped_count INTEGER DEFAULT 0,
     errors JSONB DEFAULT '[]',
+    options JSONB DEFAULT '{}',
+    header_line TEXT,
+    last_committed_line INTEGER DEFAULT 0,
+    attempts INTEGER DEFAULT 0,
+    locked_by VARCHAR(100),
+    heartbeat_at TIMESTAMPTZ,
     start_time TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
     end_time TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
@@ -56,15 +120,69 @@ CREATE TABLE ingestion_jobs (
 CREATE INDEX idx_ingestion_jobs_status ON ingestion_jobs(status);
 CREATE INDEX idx_ingestion_jobs_created_at ON ingestion_jobs(created_at);
 
+-- Create the deferred_events table for ingested events whose parent doesn't exist yet
+CREATE TABLE deferred_events (
+    deferred_id BIGSERIAL PRIMARY KEY,
+    job_id VARCHAR(50) NOT NULL REFERENCES ingestion_jobs(job_id) ON DELETE CASCADE,
+    event_id UUID NOT NULL,
+    parent_event_id UUID NOT NULL,
+    line_number INTEGER,
+    event_data JSONB NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_deferred_events_parent_id ON deferred_events(parent_event_id);
+CREATE INDEX idx_deferred_events_job_id ON deferred_events(job_id);
+
+-- Create the ingestion_errors table for line-level ingestion errors
+CREATE TABLE ingestion_errors (
+    error_id BIGSERIAL PRIMARY KEY,
+    job_id VARCHAR(50) NOT NULL REFERENCES ingestion_jobs(job_id) ON DELETE CASCADE,
+    line_number INTEGER,
+    error_code VARCHAR(50) NOT NULL,
+    field VARCHAR(100),
+    message TEXT NOT NULL,
+    raw_line TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_ingestion_errors_job_line ON ingestion_errors(job_id, line_number);
+
+-- Create the ingestion_repairs table for lines fixed by repair mode
+CREATE TABLE ingestion_repairs (
+    repair_id BIGSERIAL PRIMARY KEY,
+    job_id VARCHAR(50) NOT NULL REFERENCES ingestion_jobs(job_id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL,
+    repairs JSONB NOT NULL,
+    raw_line TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_ingestion_repairs_job_line ON ingestion_repairs(job_id, line_number);
+
 -- Add constraint to ensure end_date is after start_date
 ALTER TABLE historical_events 
 ADD CONSTRAINT chk_date_order 
 CHECK (end_date > start_date);
 
+-- Add constraints for fuzzy date markers and bounds
+ALTER TABLE historical_events
+ADD CONSTRAINT chk_date_precision
+CHECK (start_date_precision IN ('instant', 'day', 'month', 'year', 'decade', 'century')
+   AND end_date_precision IN ('instant', 'day', 'month', 'year', 'decade', 'century'));
+
+ALTER TABLE historical_events
+ADD CONSTRAINT chk_date_confidence
+CHECK (date_confidence IN ('exact', 'approximate', 'uncertain'));
+
+ALTER TABLE historical_events
+ADD CONSTRAINT chk_date_bounds
+CHECK (start_date_earliest <= start_date_latest AND end_date_earliest <= end_date_latest);
+
 -- Add constraint to ensure valid status values for ingestion jobs
 ALTER TABLE ingestion_jobs 
 ADD CONSTRAINT chk_job_status 
-CHECK (status IN ('PROCESSING', 'COMPLETED', 'FAILED'));
+CHECK (status IN ('QUEUED', 'PROCESSING', 'COMPLETED', 'FAILED', 'CANCELLED'));
 
 -- Create function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -84,7 +202,51 @@ CREATE TRIGGER update_ingestion_jobs_updated_at
     BEFORE UPDATE ON ingestion_jobs 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
--- Create view for events with their children count (useful for queries)
+-- Create function to record a revision of every change to an event. Who made
+-- the change and the ingestion job behind it are taken from the transaction
+-- settings chronologicon.changed_by and chronologicon.job_id.
+CREATE OR REPLACE FUNCTION record_event_revision()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        INSERT INTO event_revisions (event_id, operation, changed_by, job_id, data)
+        VALUES (OLD.event_id, TG_OP,
+                NULLIF(current_setting('chronologicon.changed_by', true), ''),
+                NULLIF(current_setting('chronologicon.job_id', true), ''),
+                to_jsonb(OLD));
+    ELSE
+        INSERT INTO event_revisions (event_id, operation, changed_by, job_id, data)
+        VALUES (NEW.event_id, TG_OP,
+                NULLIF(current_setting('chronologicon.changed_by', true), ''),
+                NULLIF(current_setting('chronologicon.job_id', true), ''),
+                to_jsonb(NEW));
+    END IF;
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER record_historical_events_revision
+    AFTER INSERT OR UPDATE OR DELETE ON historical_events
+    FOR EACH ROW EXECUTE FUNCTION record_event_revision();
+
+CREATE TRIGGER update_event_relations_updated_at
+    BEFORE UPDATE ON event_relations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Create function to bump the relations version after a change to event_relations
+CREATE OR REPLACE FUNCTION bump_event_relations_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM nextval('event_relations_version');
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER bump_event_relations_version
+    AFTER INSERT OR UPDATE OR DELETE ON event_relations
+    FOR EACH STATEMENT EXECUTE FUNCTION bump_event_relations_version();
+
+-- Create view for events with their children count (used to list root timelines)
 CREATE VIEW events_with_children_count AS
 SELECT 
     he.*,
@@ -103,17 +265,63 @@ INSERT INTO historical_events (event_id, event_name, description, start_date, en
 ('f7e6d5c4-b3a2-1098-7654-3210fedcba98', 'Phase 1 Research', 'Early research on data fragmentation techniques.', '2023-01-01T10:30:00Z', '2023-01-01T11:00:00Z', 'a1b2c3d4-e5f6-7890-1234-567890abcdef', '{"source_file": "sample_data.txt", "line_number": 2}'),
 ('11223344-5566-7788-9900-aabbccddeeff', 'Internal Review Meeting', 'Reviewing initial research findings.', '2023-01-01T10:45:00Z', '2023-01-01T11:15:00Z', 'f7e6d5c4-b3a2-1098-7654-3210fedcba98', '{"source_file": "sample_data.txt", "line_number": 3}');
 
--- Create indexes for better performance on complex queries
-CREATE INDEX idx_events_overlapping ON historical_events(start_date, end_date) 
-WHERE start_date IS NOT NULL AND end_date IS NOT NULL;
+-- Range index on each event's period (used to find overlapping events: a
+-- lookup per event instead of comparing every pair)
+CREATE INDEX idx_events_overlapping ON historical_events
+USING GIST (tstzrange(start_date, end_date, '[)'));
+
+-- Events in start order, ties broken by ID (walked a page at a time when
+-- listing overlapping events)
+CREATE INDEX idx_events_start_keyset ON historical_events(start_date, event_id);
 
 -- Comments for documentation
 COMMENT ON TABLE historical_events IS 'Stores historical event data with hierarchical relationships';
 COMMENT ON COLUMN historical_events.event_id IS 'Unique identifier for each historical event';
-COMMENT ON COLUMN historical_events.duration_minutes IS 'Calculated field storing event duration in minutes';
+COMMENT ON COLUMN historical_events.duration_minutes IS 'Calculated field storing event duration in minutes (BIGINT, so spans of millennia fit)';
+COMMENT ON COLUMN historical_events.start_date_earliest IS 'Earliest instant the (possibly approximate) start date can mean';
+COMMENT ON COLUMN historical_events.start_date_latest IS 'Latest instant the start date can mean (end of its period, widened for circa dates)';
+COMMENT ON COLUMN historical_events.end_date_earliest IS 'Earliest instant the end date can mean';
+COMMENT ON COLUMN historical_events.end_date_latest IS 'Latest instant the end date can mean';
+COMMENT ON COLUMN historical_events.start_date_precision IS 'Unit the start date was given in: instant, day, month, year, decade or century';
+COMMENT ON COLUMN historical_events.end_date_precision IS 'Unit the end date was given in';
+COMMENT ON COLUMN historical_events.date_confidence IS 'exact, approximate (circa) or uncertain (marked with ?), the lower of both dates';
 COMMENT ON COLUMN historical_events.parent_event_id IS 'References parent event for hierarchical relationships';
+COMMENT ON COLUMN historical_events.research_value IS 'Non-negative research value score supplied by field teams (optional)';
 COMMENT ON COLUMN historical_events.metadata IS 'Additional unstructured data about the event';
+COMMENT ON COLUMN historical_events.updated_at IS 'Time of the last change; in microseconds it is the event version sent as its ETag';
+
+COMMENT ON TABLE event_revisions IS 'Audit trail of historical_events: one row per insert, update and delete, written by a trigger';
+COMMENT ON COLUMN event_revisions.operation IS 'INSERT, UPDATE or DELETE';
+COMMENT ON COLUMN event_revisions.changed_by IS 'Who made the change (X-User header of the request), if known';
+COMMENT ON COLUMN event_revisions.job_id IS 'Ingestion job that made the change, if any';
+COMMENT ON COLUMN event_revisions.data IS 'The event row after the change (before it, for a delete)';
+
+COMMENT ON TABLE event_relations IS 'Typed directed links between events, beyond parent/child';
+COMMENT ON COLUMN event_relations.relation_type IS 'caused, preceded, contemporaneous_with or references';
+COMMENT ON COLUMN event_relations.weight IS 'Optional non-negative weight; the cost of following the link when influence paths are weighed by relationWeight';
+COMMENT ON COLUMN event_relations.metadata IS 'Provenance of ingested relations (job_id, source_file, line_number) and other unstructured data';
 
 COMMENT ON TABLE ingestion_jobs IS 'Tracks the status and progress of file ingestion operations';
 COMMENT ON COLUMN ingestion_jobs.job_id IS 'Unique identifier for ingestion job';
-COMMENT ON COLUMN ingestion_jobs.errors IS 'JSON array of error messages encountered during processing';
+COMMENT ON COLUMN ingestion_jobs.errors IS 'JSON array of job-level error messages (line errors are kept in ingestion_errors)';
+COMMENT ON COLUMN ingestion_jobs.header_line IS 'Header row of the source file, repeated at the top of its rejects file';
+COMMENT ON COLUMN ingestion_jobs.options IS 'Ingestion options the job was started with (file format, content, mode, repair)';
+COMMENT ON COLUMN ingestion_jobs.repaired_lines IS 'Lines repair mode fixed before ingesting them (see ingestion_repairs)';
+COMMENT ON COLUMN ingestion_jobs.last_committed_line IS 'Checkpoint: every line up to this one has been committed, so an interrupted job resumes after it';
+COMMENT ON COLUMN ingestion_jobs.locked_by IS 'Worker currently processing the job';
+COMMENT ON COLUMN ingestion_jobs.heartbeat_at IS 'Last sign of life from the worker; stale PROCESSING jobs are requeued';
+COMMENT ON COLUMN ingestion_jobs.updated_count IS 'Existing events changed by an upsert ingestion';
+COMMENT ON COLUMN ingestion_jobs.unchanged_count IS 'Existing events an upsert ingestion found identical';
+COMMENT ON COLUMN ingestion_jobs.skipped_count IS 'Existing events left alone by a skip-existing ingestion';
+
+COMMENT ON TABLE deferred_events IS 'Ingested events waiting for their parent event to be ingested (reported as orphans of their job)';
+COMMENT ON COLUMN deferred_events.event_data IS 'Validated event record, inserted once the parent exists';
+
+COMMENT ON TABLE ingestion_errors IS 'Lines an ingestion job could not parse, validate or insert';
+COMMENT ON COLUMN ingestion_errors.error_code IS 'Stable error identifier, e.g. INVALID_DATE or DUPLICATE_EVENT';
+COMMENT ON COLUMN ingestion_errors.field IS 'Event field the error concerns, if any';
+COMMENT ON COLUMN ingestion_errors.raw_line IS 'Source line as read from the file, for the rejects file';
+
+COMMENT ON TABLE ingestion_repairs IS 'Lines an ingestion job in repair mode fixed before ingesting them';
+COMMENT ON COLUMN ingestion_repairs.repairs IS 'Fixes applied to the line: JSON array of { field, fix, original, repaired }';
+COMMENT ON COLUMN ingestion_repairs.raw_line IS 'Source line as read from the file, before repairs';
@@ -1,6 +1,14 @@
-const { Pool } = require('pg');
+const { Pool, types, defaults } = require('pg');
 const logger = require('./logger');
 
+// Return BIGINT (int8) values such as durations of BCE-era events as numbers;
+// they stay well within Number.MAX_SAFE_INTEGER
+types.setTypeParser(types.builtins.INT8, value => parseInt(value, 10));
+
+// Send Date parameters in UTC. Local-time serialization breaks for dates before
+// standard time zones existed, whose offsets aren't whole minutes.
+defaults.parseInputDatesAsUTC = true;
+
 // Database configuration
 const dbConfig = {
   host: process.env.DB_HOST || 'localhost',
@@ -66,9 +74,37 @@ const transaction = async (callback) => {
   }
 };
 
+// Cursor helper: run a query in a read-only transaction and yield its rows in
+// batches, so large results can be streamed without loading them at once.
+// Stopping early (e.g. the client went away) closes the cursor.
+const cursor = async function* (text, params, batchSize = 1000) {
+  const client = await pool.connect();
+  let open = false;
+  try {
+    await client.query('BEGIN READ ONLY');
+    open = true;
+    await client.query(`DECLARE chronologicon_cursor NO SCROLL CURSOR FOR ${text}`, params);
+
+    for (;;) {
+      const result = await client.query(`FETCH ${batchSize} FROM chronologicon_cursor`);
+      if (result.rows.length === 0) break;
+      yield result.rows;
+    }
+
+    await client.query('COMMIT');
+    open = false;
+  } finally {
+    if (open) {
+      await client.query('ROLLBACK').catch(error => logger.error('Cursor rollback failed:', error));
+    }
+    client.release();
+  }
+};
+
 module.exports = {
   pool,
   query,
   transaction,
+  cursor,
   testConnection
 };
@@ -0,0 +1,103 @@
+const { query } = require('../config/database');
+const logger = require('../config/logger');
+
+// Events held back during ingestion because their parent doesn't exist yet.
+// They stay here until an ingestion inserts the parent, and are reported as
+// orphans of the job that read them in the meantime.
+class DeferredEvent {
+  // Store events whose parent could not be resolved
+  static async bulkCreate(jobId, events) {
+    if (events.length === 0) return [];
+
+    const queryText = `
+      INSERT INTO deferred_events (job_id, event_id, parent_event_id, line_number, event_data)
+      SELECT $1, e.event_id, e.parent_event_id, e.line_number, e.event_data
+      FROM jsonb_to_recordset($2::jsonb)
+        AS e(event_id UUID, parent_event_id UUID, line_number INTEGER, event_data JSONB)
+      RETURNING deferred_id
+    `;
+
+    const rows = events.map(event => ({
+      event_id: event.event_id,
+      parent_event_id: event.parent_event_id,
+      line_number: event.metadata && event.metadata.line_number,
+      event_data: event
+    }));
+
+    try {
+      const result = await query(queryText, [jobId, JSON.stringify(rows)]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error deferring events:', error);
+      throw error;
+    }
+  }
+
+  // Find deferred events waiting for any of the given parents
+  static async findByParentIds(parentIds) {
+    if (parentIds.length === 0) return [];
+
+    const queryText = `
+      SELECT * FROM deferred_events
+      WHERE parent_event_id = ANY($1::uuid[])
+      ORDER BY deferred_id
+    `;
+
+    try {
+      const result = await query(queryText, [parentIds]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding deferred events by parent:', error);
+      throw error;
+    }
+  }
+
+  // Remove deferred events once they have been inserted
+  static async remove(deferredIds) {
+    if (deferredIds.length === 0) return 0;
+
+    const queryText = 'DELETE FROM deferred_events WHERE deferred_id = ANY($1::bigint[])';
+
+    try {
+      const result = await query(queryText, [deferredIds]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error removing deferred events:', error);
+      throw error;
+    }
+  }
+
+  // Get the orphans a job is still waiting on
+  static async findByJob(jobId, limit = 100) {
+    const queryText = `
+      SELECT event_id, parent_event_id, line_number, created_at
+      FROM deferred_events
+      WHERE job_id = $1
+      ORDER BY line_number
+      LIMIT $2
+    `;
+
+    try {
+      const result = await query(queryText, [jobId, limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding deferred events by job:', error);
+      throw error;
+    }
+  }
+
+  // Count the orphans a job is still waiting on
+  static async countByJob(jobId) {
+    const queryText = 'SELECT COUNT(*) as total FROM deferred_events WHERE job_id = $1';
+
+    try {
+      const result = await query(queryText, [jobId]);
+      return parseInt(result.rows[0].total);
+    } catch (error) {
+      logger.error('Error counting deferred events:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = DeferredEvent;
@@ -0,0 +1,411 @@
+const { query, transaction } = require('../config/database');
+const logger = require('../config/logger');
+
+// Error carrying the HTTP status the routes should answer with
+const relationError = (message, status) => Object.assign(new Error(message), { status });
+
+// Relation columns returned with the names of the events at both ends
+const RELATION_COLUMNS = `
+  r.relation_id, r.source_event_id, src.event_name AS source_event_name,
+  r.target_event_id, tgt.event_name AS target_event_name,
+  r.relation_type, r.weight, r.description, r.metadata, r.created_at, r.updated_at`;
+
+const RELATION_JOINS = `
+  FROM event_relations r
+  INNER JOIN historical_events src ON src.event_id = r.source_event_id
+  INNER JOIN historical_events tgt ON tgt.event_id = r.target_event_id`;
+
+// Fields an update may change; the events at both ends are fixed
+const UPDATABLE_FIELDS = ['relation_type', 'weight', 'description'];
+
+// Turn the database's rejection of a relation into an error with a status:
+// an unknown event at either end (404), an existing relation of the same type
+// between the same events (409) or a link from an event to itself (400)
+const describeWriteError = (error) => {
+  if (error.code === '23503') {
+    const end = error.constraint && error.constraint.includes('target') ? 'Target' : 'Source';
+    return relationError(`${end} event not found`, 404);
+  }
+  if (error.code === '23505') {
+    return relationError('A relation of this type already links these events', 409);
+  }
+  if (error.code === '23514' && error.constraint === 'chk_relation_not_self') {
+    return relationError('An event cannot be related to itself', 400);
+  }
+  return error;
+};
+
+// Typed, optionally weighted directed links between events (event_relations),
+// beyond the parent/child hierarchy: one event caused, preceded, was
+// contemporaneous with or references another.
+class EventRelation {
+  constructor(data) {
+    this.source_event_id = data.source_event_id;
+    this.target_event_id = data.target_event_id;
+    this.relation_type = data.relation_type;
+    this.weight = data.weight ?? null;
+    this.description = data.description || null;
+    this.metadata = data.metadata || {};
+  }
+
+  // Build the INSERT statement for a single relation. In 'skip-existing' mode an
+  // existing relation (same events and type) is left alone (no row returned); in
+  // 'upsert' mode its weight and description are updated only if they changed
+  // (no row returned when unchanged); as for events, metadata.job_id stays the
+  // job that inserted it and the new source is appended to metadata.sources.
+  static buildInsert(relationData, mode = 'insert-only') {
+    const relation = new EventRelation(relationData);
+
+    let conflictClause = '';
+    if (mode === 'skip-existing') {
+      conflictClause = 'ON CONFLICT (source_event_id, target_event_id, relation_type) DO NOTHING';
+    } else if (mode === 'upsert') {
+      conflictClause = `
+      ON CONFLICT (source_event_id, target_event_id, relation_type) DO UPDATE SET
+        weight = EXCLUDED.weight,
+        description = EXCLUDED.description,
+        metadata = event_relations.metadata || EXCLUDED.metadata || jsonb_build_object(
+          'job_id', COALESCE(event_relations.metadata->'job_id', EXCLUDED.metadata->'job_id'),
+          'sources', COALESCE(event_relations.metadata->'sources', '[]'::jsonb)
+            || COALESCE(EXCLUDED.metadata->'sources', '[]'::jsonb)
+        )
+      WHERE (event_relations.weight, event_relations.description)
+        IS DISTINCT FROM (EXCLUDED.weight, EXCLUDED.description)`;
+    }
+
+    const queryText = `
+      INSERT INTO event_relations (source_event_id, target_event_id, relation_type, weight, description, metadata)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ${conflictClause}
+      RETURNING *, (xmax = 0) AS inserted
+    `;
+
+    const values = [
+      relation.source_event_id,
+      relation.target_event_id,
+      relation.relation_type,
+      relation.weight,
+      relation.description,
+      JSON.stringify(relation.metadata)
+    ];
+
+    return { queryText, values };
+  }
+
+  // Create a relation. Throws with status 404 when either event doesn't exist,
+  // 409 when the events are already linked by a relation of this type and 400
+  // for a link from an event to itself.
+  static async create(relationData) {
+    const { queryText, values } = this.buildInsert(relationData);
+
+    try {
+      const result = await query(queryText, values);
+      return this.findById(result.rows[0].relation_id);
+    } catch (error) {
+      const described = describeWriteError(error);
+      if (!described.status) logger.error('Error creating relation:', error);
+      throw described;
+    }
+  }
+
+  // Get a relation with the names of its events, or null
+  static async findById(relationId) {
+    const queryText = `SELECT ${RELATION_COLUMNS} ${RELATION_JOINS} WHERE r.relation_id = $1`;
+
+    try {
+      const result = await query(queryText, [relationId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding relation:', error);
+      throw error;
+    }
+  }
+
+  // Get a page of relations, optionally only those touching filters.eventId (at
+  // either end), from filters.sourceEventId, to filters.targetEventId or of
+  // filters.relationType
+  static async findAll(filters = {}) {
+    const limit = parseInt(filters.limit) || 20;
+    const page = parseInt(filters.page) || 1;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const values = [];
+
+    if (filters.eventId) {
+      values.push(filters.eventId);
+      conditions.push(`(r.source_event_id = $${values.length} OR r.target_event_id = $${values.length})`);
+    }
+    if (filters.sourceEventId) {
+      values.push(filters.sourceEventId);
+      conditions.push(`r.source_event_id = $${values.length}`);
+    }
+    if (filters.targetEventId) {
+      values.push(filters.targetEventId);
+      conditions.push(`r.target_event_id = $${values.length}`);
+    }
+    if (filters.relationType) {
+      values.push(filters.relationType);
+      conditions.push(`r.relation_type = $${values.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const queryText = `
+      SELECT ${RELATION_COLUMNS}
+      ${RELATION_JOINS}
+      ${whereClause}
+      ORDER BY r.created_at, r.relation_id
+      LIMIT $${values.length + 1}
+      OFFSET $${values.length + 2}
+    `;
+
+    try {
+      const result = await query(queryText, [...values, limit, offset]);
+
+      const countQuery = `SELECT COUNT(*) as total FROM event_relations r ${whereClause}`;
+      const countResult = await query(countQuery, values);
+
+      return {
+        relations: result.rows,
+        totalRelations: parseInt(countResult.rows[0].total),
+        page,
+        limit
+      };
+    } catch (error) {
+      logger.error('Error finding relations:', error);
+      throw error;
+    }
+  }
+
+  // Change a relation's type, weight or description (metadata is merged).
+  // Returns the updated relation, or null when it doesn't exist; a type already
+  // linking the same events throws with status 409.
+  static async update(relationId, changes) {
+    const fields = UPDATABLE_FIELDS.filter(field => changes[field] !== undefined);
+    const values = [relationId, ...fields.map(field => changes[field])];
+    const setClauses = fields.map((field, index) => `${field} = $${index + 2}`);
+    if (changes.metadata) {
+      values.push(JSON.stringify(changes.metadata));
+      setClauses.push(`metadata = COALESCE(metadata, '{}'::jsonb) || $${values.length}::jsonb`);
+    }
+
+    if (setClauses.length === 0) return this.findById(relationId);
+
+    const queryText = `
+      UPDATE event_relations
+      SET ${setClauses.join(', ')}
+      WHERE relation_id = $1
+      RETURNING relation_id
+    `;
+
+    try {
+      const result = await query(queryText, values);
+      if (result.rows.length === 0) return null;
+      return this.findById(relationId);
+    } catch (error) {
+      const described = describeWriteError(error);
+      if (!described.status) logger.error('Error updating relation:', error);
+      throw described;
+    }
+  }
+
+  // Delete a relation. Returns whether it existed.
+  static async remove(relationId) {
+    try {
+      const result = await query('DELETE FROM event_relations WHERE relation_id = $1', [relationId]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting relation:', error);
+      throw error;
+    }
+  }
+
+  // Get the relations touching any of the given events, optionally only of some
+  // types, with the name and dates of the events at both ends
+  static async findByEventIds(eventIds, relationTypes = []) {
+    if (eventIds.length === 0) return [];
+
+    const values = [eventIds];
+    let typeCondition = '';
+    if (relationTypes.length > 0) {
+      values.push(relationTypes);
+      typeCondition = `AND r.relation_type = ANY($${values.length})`;
+    }
+
+    const queryText = `
+      SELECT ${RELATION_COLUMNS},
+        src.start_date AS source_start_date, src.end_date AS source_end_date,
+        tgt.start_date AS target_start_date, tgt.end_date AS target_end_date
+      ${RELATION_JOINS}
+      WHERE (r.source_event_id = ANY($1::uuid[]) OR r.target_event_id = ANY($1::uuid[]))
+        ${typeCondition}
+      ORDER BY r.relation_type, r.relation_id
+    `;
+
+    try {
+      const result = await query(queryText, values);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding relations of events:', error);
+      throw error;
+    }
+  }
+
+  // Follow the relations (of options.relationTypes, default all) out from a set
+  // of events for up to options.depth steps (default 1). Returns each reached
+  // event's relations, keyed by event ID, each seen from that event: its type,
+  // whether it is outgoing or incoming, and the event at the other end. Events
+  // outside the starting set are listed in relatedEvents with the number of
+  // steps it took to reach them. Events reached at the last step only list the
+  // relations that led to them.
+  static async traverse(eventIds, options = {}) {
+    const depth = options.depth || 1;
+    const byEvent = new Map();
+    const relatedEvents = [];
+    const reached = new Set(eventIds);
+    const seenRelations = new Set();
+
+    const addRelation = (eventId, relation) => {
+      if (!byEvent.has(eventId)) byEvent.set(eventId, []);
+      byEvent.get(eventId).push(relation);
+    };
+
+    let frontier = eventIds;
+    for (let distance = 1; distance <= depth && frontier.length > 0; distance++) {
+      const rows = await this.findByEventIds(frontier, options.relationTypes);
+      const next = [];
+
+      rows.forEach(row => {
+        if (seenRelations.has(row.relation_id)) return;
+        seenRelations.add(row.relation_id);
+
+        const ends = [
+          { event_id: row.source_event_id, event_name: row.source_event_name, start_date: row.source_start_date, end_date: row.source_end_date },
+          { event_id: row.target_event_id, event_name: row.target_event_name, start_date: row.target_start_date, end_date: row.target_end_date }
+        ];
+        const relation = {
+          relation_id: row.relation_id,
+          relation_type: row.relation_type,
+          weight: row.weight,
+          description: row.description
+        };
+        addRelation(row.source_event_id, { ...relation, direction: 'outgoing', related_event_id: ends[1].event_id, related_event_name: ends[1].event_name });
+        addRelation(row.target_event_id, { ...relation, direction: 'incoming', related_event_id: ends[0].event_id, related_event_name: ends[0].event_name });
+
+        ends.forEach(end => {
+          if (reached.has(end.event_id)) return;
+          reached.add(end.event_id);
+          next.push(end.event_id);
+          relatedEvents.push({ ...end, distance });
+        });
+      });
+
+      frontier = next;
+    }
+
+    relatedEvents.forEach(event => {
+      event.relations = byEvent.get(event.event_id) || [];
+    });
+
+    return { relations: byEvent, relatedEvents };
+  }
+
+  // Get every relation as a graph edge, for the Event Influence Spreader
+  static async findGraphEdges() {
+    const queryText = `
+      SELECT relation_id, source_event_id, target_event_id, relation_type, weight
+      FROM event_relations
+    `;
+
+    try {
+      const result = await query(queryText);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error loading relation edges:', error);
+      throw error;
+    }
+  }
+
+  // Get the relations version: it grows with every statement that changes
+  // event_relations, so cached graphs can tell when to reload
+  static async findVersion() {
+    try {
+      const result = await query('SELECT last_value, is_called FROM event_relations_version');
+      const { last_value: lastValue, is_called: isCalled } = result.rows[0];
+      return isCalled ? Number(lastValue) : 0;
+    } catch (error) {
+      logger.error('Error reading the relations version:', error);
+      throw error;
+    }
+  }
+
+  // Bulk create relations (for file ingestion) using one of
+  // HistoricalEvent.WRITE_MODES. The batch is first written in a single
+  // transaction; if any row is rejected (an unknown event, a duplicate in
+  // insert-only mode), it is retried with a savepoint per row so that only the
+  // offending rows fail. Returns the inserted and updated rows, the relations
+  // left unchanged or skipped because they already exist, and the failed
+  // relations with their errors (as { event, error }, the shape
+  // HistoricalEvent.bulkCreate reports failures in).
+  static async bulkCreate(relations, options = {}) {
+    const mode = options.mode || 'insert-only';
+    const outcome = () => ({ created: [], updated: [], unchanged: [], skipped: [], failed: [] });
+
+    // Sort a written row (or its absence) into the outcome
+    const record = (result, relationData, rows) => {
+      if (rows.length === 0) {
+        (mode === 'upsert' ? result.unchanged : result.skipped).push(relationData);
+        return;
+      }
+      const { inserted, ...relation } = rows[0];
+      (inserted ? result.created : result.updated).push(relation);
+    };
+
+    if (relations.length === 0) return outcome();
+
+    try {
+      return await transaction(async (client) => {
+        const result = outcome();
+
+        for (const relationData of relations) {
+          const { queryText, values } = this.buildInsert(relationData, mode);
+          const { rows } = await client.query(queryText, values);
+          record(result, relationData, rows);
+        }
+
+        return result;
+      });
+    } catch (error) {
+      if (relations.length === 1) {
+        return { ...outcome(), failed: [{ event: relations[0], error }] };
+      }
+      logger.warn(`Bulk insert of ${relations.length} relations failed (${error.message}), retrying row by row`);
+    }
+
+    return await transaction(async (client) => {
+      const result = outcome();
+
+      for (const relationData of relations) {
+        const { queryText, values } = this.buildInsert(relationData, mode);
+
+        await client.query('SAVEPOINT bulk_create_row');
+        try {
+          const { rows } = await client.query(queryText, values);
+          await client.query('RELEASE SAVEPOINT bulk_create_row');
+          record(result, relationData, rows);
+        } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT bulk_create_row');
+          logger.warn(`Error in bulk create for relation ${relationData.source_event_id} -> ${relationData.target_event_id}: ${error.message}`);
+          result.failed.push({ event: relationData, error });
+        }
+      }
+
+      return result;
+    });
+  }
+}
+
+// Kinds of link a relation can be
+EventRelation.RELATION_TYPES = ['caused', 'preceded', 'contemporaneous_with', 'references'];
+
+module.exports = EventRelation;
@@ -1,26 +1,175 @@
-const { query, transaction } = require('../config/database');
+const { query, transaction, cursor } = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../config/logger');
+const { convertMinutes } = require('../utils/duration');
+const { dateColumns, combineConfidence } = require('../utils/fuzzyDate');
+const { buildBuckets, sweepConcurrency } = require('../utils/intervals');
+const EventRelation = require('./EventRelation');
+
+// Dates come back as ISO strings from JSON (e.g. deferred events); PostgreSQL
+// can't read the expanded years of BCE dates ("-000043-01-01T..."), so they are
+// turned back into Dates, which pg sends in its own BC notation
+const toDate = (value) => (typeof value === 'string' ? new Date(value) : value);
+
+// Error carrying the HTTP status the routes should answer with
+const eventError = (message, status) => Object.assign(new Error(message), { status });
+
+// Error for a write that would break a hierarchy rule, with the code and field
+// ingestion reports it under
+const hierarchyError = (code, field, message) => Object.assign(eventError(message, 409), { code, field });
+
+// Whether a child's interval must lie within its parent's
+// (HIERARCHY_CONTAINMENT=enforce); off by default
+const containmentEnforced = () => process.env.HIERARCHY_CONTAINMENT === 'enforce';
+
+// Version of a row for optimistic concurrency (its updated_at in microseconds),
+// sent to clients as the event's ETag
+const VERSION_COLUMN = 'FLOOR(EXTRACT(EPOCH FROM updated_at) * 1000000)::BIGINT AS version';
+
+// Fields an update may change; dates are handled separately
+const UPDATABLE_FIELDS = ['event_name', 'description', 'parent_event_id', 'research_value'];
+
+// Metadata keys recorded by ingestion (provenance, which job rollback relies
+// on); an update that replaces the metadata keeps them
+const SYSTEM_METADATA_KEYS = ['job_id', 'sources', 'source_file', 'line_number', 'parsing_flags', 'raw_dates'];
+
+// Columns written back when a revision is restored (duration_minutes is
+// generated and the timestamps are maintained by the database)
+const RESTORED_COLUMNS = [
+  'event_name', 'description', 'start_date', 'end_date',
+  'start_date_earliest', 'start_date_latest', 'end_date_earliest', 'end_date_latest',
+  'start_date_precision', 'end_date_precision', 'date_confidence',
+  'parent_event_id', 'research_value', 'metadata'
+];
+
+// Columns of a revision that aren't event content, ignored when diffing revisions
+const BOOKKEEPING_COLUMNS = ['created_at', 'updated_at', 'duration_minutes'];
+
+// Event columns a timeline returns
+const TIMELINE_COLUMNS = [
+  'event_id', 'event_name', 'description', 'start_date', 'end_date',
+  'start_date_precision', 'end_date_precision', 'date_confidence',
+  'duration_minutes', 'parent_event_id', 'research_value', 'metadata'
+];
+
+const NUMERIC_COLUMNS = ['duration_minutes', 'research_value'];
+
+// Order timeline siblings by a column, missing values last and ties by start
+const timelineComparator = (sortBy = 'start_date', sortOrder = 'asc') => {
+  const direction = sortOrder === 'desc' ? -1 : 1;
+  const key = (event) => {
+    const value = event[sortBy];
+    if (value instanceof Date) return value.getTime();
+    // BIGINT and DECIMAL columns come back as strings
+    return NUMERIC_COLUMNS.includes(sortBy) && value !== null ? Number(value) : value;
+  };
+
+  return (a, b) => {
+    const [x, y] = [key(a), key(b)];
+    if (x === null || x === undefined) return (y === null || y === undefined) ? a.start_date - b.start_date : 1;
+    if (y === null || y === undefined) return -1;
+    if (x < y) return -direction;
+    if (x > y) return direction;
+    return a.start_date - b.start_date;
+  };
+};
+
+// Most histogram buckets a concurrency analysis returns
+const MAX_CONCURRENCY_BUCKETS = 1000;
+
+// CTE of the events in the timeline under a root event (its ID in the given
+// placeholder), stopping at events already on the walk's path
+const subtreeWalk = (rootParam) => `
+  subtree AS (
+    SELECT event_id, ARRAY[event_id] AS path
+    FROM historical_events
+    WHERE event_id = ${rootParam}
+    UNION ALL
+    SELECT he.event_id, s.path || he.event_id
+    FROM historical_events he
+    JOIN subtree s ON he.parent_event_id = s.event_id
+    WHERE NOT he.event_id = ANY(s.path)
+  )
+`;
+
+// Drop the walk paths from a nested timeline (they only appear in flat ones)
+const stripPaths = ({ path, children, ...event }) => ({ ...event, children: children.map(stripPaths) });
+
+// Whether two column values read from the database are the same
+const sameValue = (a, b) => {
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  return JSON.stringify(a) === JSON.stringify(b);
+};
 
 class HistoricalEvent {
   constructor(data) {
     this.event_id = data.event_id || uuidv4();
     this.event_name = data.event_name;
     this.description = data.description || null;
-    this.start_date = data.start_date;
-    this.end_date = data.end_date;
+    this.start_date = toDate(data.start_date);
+    this.end_date = toDate(data.end_date);
+    this.start_date_earliest = toDate(data.start_date_earliest || data.start_date);
+    this.start_date_latest = toDate(data.start_date_latest || data.start_date);
+    this.end_date_earliest = toDate(data.end_date_earliest || data.end_date);
+    this.end_date_latest = toDate(data.end_date_latest || data.end_date);
+    this.start_date_precision = data.start_date_precision || 'instant';
+    this.end_date_precision = data.end_date_precision || 'instant';
+    this.date_confidence = data.date_confidence || 'exact';
     this.parent_event_id = data.parent_event_id || null;
+    this.research_value = data.research_value ?? null;
     this.metadata = data.metadata || {};
   }
 
-  // Create a new historical event
-  static async create(eventData) {
+  // Build the INSERT statement for a single event. In 'skip-existing' mode an
+  // existing event is left alone (no row returned); in 'upsert' mode it is updated
+  // only if a field changed (no row returned when unchanged), keeping the job that
+  // first inserted it and appending the new source to metadata.sources.
+  static buildInsert(eventData, mode = 'insert-only') {
     const event = new HistoricalEvent(eventData);
+
+    let conflictClause = '';
+    if (mode === 'skip-existing') {
+      conflictClause = 'ON CONFLICT (event_id) DO NOTHING';
+    } else if (mode === 'upsert') {
+      conflictClause = `
+      ON CONFLICT (event_id) DO UPDATE SET
+        event_name = EXCLUDED.event_name,
+        description = EXCLUDED.description,
+        start_date = EXCLUDED.start_date,
+        end_date = EXCLUDED.end_date,
+        start_date_earliest = EXCLUDED.start_date_earliest,
+        start_date_latest = EXCLUDED.start_date_latest,
+        end_date_earliest = EXCLUDED.end_date_earliest,
+        end_date_latest = EXCLUDED.end_date_latest,
+        start_date_precision = EXCLUDED.start_date_precision,
+        end_date_precision = EXCLUDED.end_date_precision,
+        date_confidence = EXCLUDED.date_confidence,
+        parent_event_id = EXCLUDED.parent_event_id,
+        research_value = EXCLUDED.research_value,
+        metadata = historical_events.metadata || EXCLUDED.metadata || jsonb_build_object(
+          'job_id', COALESCE(historical_events.metadata->'job_id', EXCLUDED.metadata->'job_id'),
+          'sources', COALESCE(historical_events.metadata->'sources', '[]'::jsonb)
+            || COALESCE(EXCLUDED.metadata->'sources', '[]'::jsonb)
+        )
+      WHERE (historical_events.event_name, historical_events.description, historical_events.start_date,
+             historical_events.end_date, historical_events.start_date_earliest, historical_events.start_date_latest,
+             historical_events.end_date_earliest, historical_events.end_date_latest,
+             historical_events.start_date_precision, historical_events.end_date_precision,
+             historical_events.date_confidence, historical_events.parent_event_id, historical_events.research_value)
+        IS DISTINCT FROM (EXCLUDED.event_name, EXCLUDED.description, EXCLUDED.start_date,
+             EXCLUDED.end_date, EXCLUDED.start_date_earliest, EXCLUDED.start_date_latest,
+             EXCLUDED.end_date_earliest, EXCLUDED.end_date_latest,
+             EXCLUDED.start_date_precision, EXCLUDED.end_date_precision,
+             EXCLUDED.date_confidence, EXCLUDED.parent_event_id, EXCLUDED.research_value)`;
+    }
     
     const queryText = `
-      INSERT INTO historical_events (event_id, event_name, description, start_date, end_date, parent_event_id, metadata)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-      RETURNING *
+      INSERT INTO historical_events (event_id, event_name, description, start_date, end_date,
+        start_date_earliest, start_date_latest, end_date_earliest, end_date_latest,
+        start_date_precision, end_date_precision, date_confidence, parent_event_id, research_value, metadata)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      ${conflictClause}
+      RETURNING *, (xmax = 0) AS inserted
     `;
     
     const values = [
@@ -29,172 +178,874 @@ class HistoricalEvent {
       event.description,
       event.start_date,
       event.end_date,
+      event.start_date_earliest,
+      event.start_date_latest,
+      event.end_date_earliest,
+      event.end_date_latest,
+      event.start_date_precision,
+      event.end_date_precision,
+      event.date_confidence,
       event.parent_event_id,
+      event.research_value,
       JSON.stringify(event.metadata)
     ];
 
+    return { queryText, values };
+  }
+
+  // Record who is making this transaction's changes, and the ingestion job
+  // behind them, for the revision trigger (see event_revisions)
+  static async setAuditContext(client, context = {}) {
+    if (!context.changedBy && !context.jobId) return;
+
+    await client.query(
+      "SELECT set_config('chronologicon.changed_by', $1, true), set_config('chronologicon.job_id', $2, true)",
+      [context.changedBy || '', context.jobId || '']
+    );
+  }
+
+  // The events table, or with asOf its state at that time rebuilt from the
+  // revisions, for use in a FROM clause under the given alias. asOf is added
+  // to values.
+  static eventSource(asOf, values, alias = 'historical_events') {
+    if (!asOf) {
+      return alias === 'historical_events' ? 'historical_events' : `historical_events ${alias}`;
+    }
+
+    values.push(asOf);
+    return `(
+      SELECT (jsonb_populate_record(NULL::historical_events, r.data)).*
+      FROM (
+        SELECT DISTINCT ON (event_id) operation, data
+        FROM event_revisions
+        WHERE changed_at <= $${values.length}
+        ORDER BY event_id, revision_id DESC
+      ) r
+      WHERE r.operation <> 'DELETE'
+    ) AS ${alias}`;
+  }
+
+  // Create a new historical event. context.changedBy is recorded in its revision.
+  // Breaking a hierarchy rule is a 409.
+  static async create(eventData, context = {}) {
+    const { queryText, values } = this.buildInsert(eventData);
+
     try {
-      const result = await query(queryText, values);
-      return result.rows[0];
+      const result = await transaction(async (client) => {
+        await this.setAuditContext(client, context);
+        const written = await client.query(queryText, values);
+        await this.checkWrittenRow(client, written.rows[0]);
+        return written;
+      });
+      const { inserted, ...event } = result.rows[0];
+      return event;
+    } catch (error) {
+      if (!error.status) logger.error('Error creating historical event:', error);
+      throw error;
+    }
+  }
+
+  // Return the subset of the given IDs that exist
+  static async findExistingIds(eventIds) {
+    if (eventIds.length === 0) return new Set();
+
+    const queryText = 'SELECT event_id FROM historical_events WHERE event_id = ANY($1::uuid[])';
+
+    try {
+      const result = await query(queryText, [eventIds]);
+      return new Set(result.rows.map(row => row.event_id));
     } catch (error) {
-      logger.error('Error creating historical event:', error);
+      logger.error('Error finding existing event IDs:', error);
       throw error;
     }
   }
 
-  // Find event by ID
+  // Get the parent link and time span of the given events (used to check a
+  // file's hierarchy against the database before ingesting it)
+  static async findHierarchyNodes(eventIds) {
+    if (eventIds.length === 0) return [];
+
+    const queryText = `
+      SELECT event_id, parent_event_id, start_date, end_date
+      FROM historical_events
+      WHERE event_id = ANY($1::uuid[])
+    `;
+
+    try {
+      const result = await query(queryText, [eventIds]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding hierarchy nodes:', error);
+      throw error;
+    }
+  }
+
+  // Get a single event with its version, or null
   static async findById(eventId) {
-    const queryText = 'SELECT * FROM historical_events WHERE event_id = $1';
-    
+    const queryText = `SELECT *, ${VERSION_COLUMN} FROM historical_events WHERE event_id = $1`;
+
     try {
       const result = await query(queryText, [eventId]);
       return result.rows[0] || null;
     } catch (error) {
-      logger.error('Error finding event by ID:', error);
+      logger.error('Error finding historical event:', error);
       throw error;
     }
   }
 
-  // Get complete timeline hierarchy for a root event
-  static async getTimeline(rootEventId) {
+  // Whether making parentId the parent of eventId would close a cycle, i.e.
+  // eventId is parentId itself or one of its ancestors
+  static async wouldCreateCycle(client, eventId, parentId) {
     const queryText = `
+      WITH RECURSIVE ancestors AS (
+        SELECT event_id, parent_event_id FROM historical_events WHERE event_id = $2
+        UNION
+        SELECT he.event_id, he.parent_event_id
+        FROM historical_events he
+        JOIN ancestors a ON he.event_id = a.parent_event_id
+      )
+      SELECT EXISTS (SELECT 1 FROM ancestors WHERE event_id = $1) AS cycle
+    `;
+
+    const result = await client.query(queryText, [eventId, parentId]);
+    return result.rows[0].cycle;
+  }
+
+  // Check that parentId can become the parent of eventId: it must exist
+  // (missingStatus otherwise) and must not close a cycle (409)
+  static async checkParent(client, eventId, parentId, missingStatus) {
+    const parent = await client.query('SELECT 1 FROM historical_events WHERE event_id = $1', [parentId]);
+    if (parent.rows.length === 0) {
+      throw eventError(`Parent event ${parentId} does not exist`, missingStatus);
+    }
+    if (await this.wouldCreateCycle(client, eventId, parentId)) {
+      throw hierarchyError('HIERARCHY_CYCLE', 'parent_event_id',
+        `Event ${parentId} is ${eventId} or one of its descendants, which would create a cycle`);
+    }
+  }
+
+  // Whether child intervals must lie within their parent's
+  static isContainmentEnforced() {
+    return containmentEnforced();
+  }
+
+  // When containment is enforced, check that an event (with its new dates and
+  // parent) lies within its parent's interval and its children within its own
+  static async checkContainment(client, event, options = {}) {
+    if (!containmentEnforced()) return;
+
+    if (event.parent_event_id) {
+      const parent = await client.query(
+        'SELECT start_date, end_date FROM historical_events WHERE event_id = $1',
+        [event.parent_event_id]
+      );
+      const span = parent.rows[0];
+      if (span && (event.start_date < span.start_date || event.end_date > span.end_date)) {
+        throw hierarchyError('OUTSIDE_PARENT_SPAN', event.start_date < span.start_date ? 'start_date' : 'end_date',
+          `Event falls outside the time span of its parent ${event.parent_event_id}`);
+      }
+    }
+
+    if (options.children === false) return;
+
+    const children = await client.query(`
+      SELECT event_id FROM historical_events
+      WHERE parent_event_id = $1 AND (start_date < $2 OR end_date > $3)
+      LIMIT 1
+    `, [event.event_id, event.start_date, event.end_date]);
+    if (children.rows.length > 0) {
+      throw hierarchyError('OUTSIDE_PARENT_SPAN', null,
+        `Child event ${children.rows[0].event_id} would fall outside the time span of its parent`);
+    }
+  }
+
+  // Check a row just written by buildInsert's statement against the hierarchy
+  // rules, so that the write is rolled back when it breaks one. Only a
+  // self-parent or an upsert re-parenting an existing event can close a cycle,
+  // and only an existing event can have children.
+  static async checkWrittenRow(client, row) {
+    if (!row) return;
+
+    if (row.parent_event_id === row.event_id) {
+      throw hierarchyError('HIERARCHY_CYCLE', 'parent_event_id', `Event ${row.event_id} can't be its own parent`);
+    }
+    if (!row.inserted && row.parent_event_id && await this.wouldCreateCycle(client, row.event_id, row.parent_event_id)) {
+      throw hierarchyError('HIERARCHY_CYCLE', 'parent_event_id', `Event ${row.event_id} would be its own ancestor`);
+    }
+    await this.checkContainment(client, row, { children: !row.inserted });
+  }
+
+  // Lock an event for a write and check the version the client last read.
+  // Returns the row, or null when the event doesn't exist.
+  static async lockForWrite(client, eventId, version) {
+    const result = await client.query(
+      `SELECT *, ${VERSION_COLUMN} FROM historical_events WHERE event_id = $1 FOR UPDATE`,
+      [eventId]
+    );
+    const current = result.rows[0];
+    if (!current) return null;
+
+    if (version !== undefined && version !== null && current.version !== version) {
+      throw eventError('Event was modified since it was read; fetch it again and retry', 412);
+    }
+    return current;
+  }
+
+  // Update an event. changes holds event fields; start_date and end_date are
+  // parsed dates (see parseFuzzyDate) and metadata keys are merged into the
+  // existing metadata, or with options.replaceMetadata replace it, apart from
+  // the SYSTEM_METADATA_KEYS. When options.version is given, the update only applies
+  // to that version of the event (412 otherwise). A new parent must exist and
+  // must not be the event or one of its descendants, and when containment is
+  // enforced the event must stay within its parent and around its children
+  // (409). options.changedBy is recorded in the revision. Returns the updated row with its new version, or
+  // null when the event doesn't exist.
+  static async update(eventId, changes, options = {}) {
+    try {
+      return await transaction(async (client) => {
+        await this.setAuditContext(client, options);
+        const current = await this.lockForWrite(client, eventId, options.version);
+        if (!current) return null;
+
+        const columns = {};
+        UPDATABLE_FIELDS.filter(field => changes[field] !== undefined).forEach(field => {
+          columns[field] = changes[field];
+        });
+
+        if (changes.start_date) Object.assign(columns, dateColumns(changes.start_date, 'start'));
+        if (changes.end_date) Object.assign(columns, dateColumns(changes.end_date, 'end'));
+        if (changes.start_date || changes.end_date) {
+          // Only the combined confidence is stored, so a date left as it was
+          // contributes the event's current confidence
+          columns.date_confidence = combineConfidence(
+            changes.start_date ? changes.start_date.confidence : current.date_confidence,
+            changes.end_date ? changes.end_date.confidence : current.date_confidence
+          );
+        }
+
+        const startDate = columns.start_date || current.start_date;
+        const endDate = columns.end_date || current.end_date;
+        if (startDate >= endDate) {
+          throw eventError('start_date must be before end_date', 400);
+        }
+
+        const parentId = columns.parent_event_id;
+        if (parentId && parentId !== current.parent_event_id) {
+          await this.checkParent(client, eventId, parentId, 400);
+        }
+        if (columns.start_date || columns.end_date || parentId) {
+          await this.checkContainment(client, {
+            event_id: eventId,
+            parent_event_id: changes.parent_event_id !== undefined ? parentId : current.parent_event_id,
+            start_date: startDate,
+            end_date: endDate
+          });
+        }
+
+        const fields = Object.keys(columns);
+        const values = [eventId, ...fields.map(field => columns[field])];
+        const setClauses = fields.map((field, index) => `${field} = $${index + 2}`);
+        if (options.replaceMetadata) {
+          const kept = {};
+          SYSTEM_METADATA_KEYS.filter(key => current.metadata && current.metadata[key] !== undefined).forEach(key => {
+            kept[key] = current.metadata[key];
+          });
+          values.push(JSON.stringify({ ...changes.metadata, ...kept }));
+          setClauses.push(`metadata = $${values.length}::jsonb`);
+        } else if (changes.metadata) {
+          values.push(JSON.stringify(changes.metadata));
+          setClauses.push(`metadata = COALESCE(metadata, '{}'::jsonb) || $${values.length}::jsonb`);
+        }
+
+        if (setClauses.length === 0) return current;
+
+        const result = await client.query(
+          `UPDATE historical_events SET ${setClauses.join(', ')} WHERE event_id = $1 RETURNING *, ${VERSION_COLUMN}`,
+          values
+        );
+        return result.rows[0];
+      });
+    } catch (error) {
+      if (!error.status) logger.error('Error updating historical event:', error);
+      throw error;
+    }
+  }
+
+  // Delete an event. Its children are deleted with it (children 'cascade', the
+  // default) or kept as root events ('orphan'). When options.version is given,
+  // only that version of the event is deleted (412 otherwise). options.changedBy
+  // is recorded in the revisions. Returns what was deleted, or null when the
+  // event doesn't exist.
+  static async remove(eventId, options = {}) {
+    const children = options.children || 'cascade';
+
+    try {
+      return await transaction(async (client) => {
+        await this.setAuditContext(client, options);
+        const current = await this.lockForWrite(client, eventId, options.version);
+        if (!current) return null;
+
+        let orphanedEvents = 0;
+        let deletedDescendants = 0;
+
+        if (children === 'orphan') {
+          const orphaned = await client.query(
+            'UPDATE historical_events SET parent_event_id = NULL WHERE parent_event_id = $1',
+            [eventId]
+          );
+          orphanedEvents = orphaned.rowCount;
+        } else {
+          const descendants = await client.query(`
+            WITH RECURSIVE descendants AS (
+              SELECT event_id FROM historical_events WHERE parent_event_id = $1
+              UNION
+              SELECT he.event_id
+              FROM historical_events he
+              JOIN descendants d ON he.parent_event_id = d.event_id
+            )
+            SELECT COUNT(*) AS total FROM descendants
+          `, [eventId]);
+          deletedDescendants = parseInt(descendants.rows[0].total);
+        }
+
+        // The parent foreign key cascades to whatever children remain
+        await client.query('DELETE FROM historical_events WHERE event_id = $1', [eventId]);
+
+        return {
+          eventId,
+          deleted: true,
+          children,
+          deletedEvents: 1 + deletedDescendants,
+          orphanedEvents
+        };
+      });
+    } catch (error) {
+      if (!error.status) logger.error('Error deleting historical event:', error);
+      throw error;
+    }
+  }
+
+  // Get a page of an event's revisions, newest first. Each lists the fields it
+  // changed from the revision before it (all of them for the first).
+  static async getHistory(eventId, filters = {}) {
+    const limit = parseInt(filters.limit) || 50;
+    const page = parseInt(filters.page) || 1;
+    const offset = (page - 1) * limit;
+
+    // One revision past the page, to diff the page's oldest revision against
+    const queryText = `
+      SELECT r.revision_id, r.operation, r.changed_at, r.changed_by, r.job_id, e.*
+      FROM event_revisions r
+      CROSS JOIN LATERAL jsonb_populate_record(NULL::historical_events, r.data) e
+      WHERE r.event_id = $1
+      ORDER BY r.revision_id DESC
+      LIMIT $2
+      OFFSET $3
+    `;
+
+    try {
+      const result = await query(queryText, [eventId, limit + 1, offset]);
+      const countResult = await query('SELECT COUNT(*) as total FROM event_revisions WHERE event_id = $1', [eventId]);
+
+      const revisions = result.rows.map(row => {
+        const { revision_id, operation, changed_at, changed_by, job_id, ...event } = row;
+        return { revisionId: revision_id, operation, changedAt: changed_at, changedBy: changed_by, jobId: job_id, event };
+      });
+
+      return {
+        eventId,
+        revisions: revisions.slice(0, limit).map((revision, index) => {
+          const previous = revisions[index + 1];
+          let changedFields = Object.keys(revision.event).filter(field => !BOOKKEEPING_COLUMNS.includes(field));
+          if (revision.operation === 'DELETE') {
+            changedFields = [];
+          } else if (previous) {
+            changedFields = changedFields.filter(field => !sameValue(revision.event[field], previous.event[field]));
+          }
+          return { ...revision, changedFields };
+        }),
+        totalRevisions: parseInt(countResult.rows[0].total),
+        page,
+        limit
+      };
+    } catch (error) {
+      logger.error('Error getting event history:', error);
+      throw error;
+    }
+  }
+
+  // Put an event back as it was in one of its revisions, recreating it if it
+  // has been deleted. Its parent must still exist (409 otherwise) and the usual
+  // cycle and containment checks apply. options.version and options.changedBy work as for
+  // update. Returns the restored row with its version, or null when the event
+  // has no such revision.
+  static async restore(eventId, revisionId, options = {}) {
+    try {
+      return await transaction(async (client) => {
+        await this.setAuditContext(client, options);
+
+        const revision = await client.query(`
+          SELECT e.*
+          FROM event_revisions r
+          CROSS JOIN LATERAL jsonb_populate_record(NULL::historical_events, r.data) e
+          WHERE r.revision_id = $1 AND r.event_id = $2
+        `, [revisionId, eventId]);
+        const snapshot = revision.rows[0];
+        if (!snapshot) return null;
+
+        const current = await this.lockForWrite(client, eventId, options.version);
+        if (snapshot.parent_event_id && (!current || snapshot.parent_event_id !== current.parent_event_id)) {
+          await this.checkParent(client, eventId, snapshot.parent_event_id, 409);
+        }
+        await this.checkContainment(client, { ...snapshot, event_id: eventId });
+
+        const values = RESTORED_COLUMNS.map(column => (column === 'metadata'
+          ? JSON.stringify(snapshot.metadata)
+          : snapshot[column]));
+
+        let result;
+        if (current) {
+          const setClauses = RESTORED_COLUMNS.map((column, index) => `${column} = $${index + 2}`);
+          result = await client.query(
+            `UPDATE historical_events SET ${setClauses.join(', ')} WHERE event_id = $1 RETURNING *, ${VERSION_COLUMN}`,
+            [eventId, ...values]
+          );
+        } else {
+          const placeholders = RESTORED_COLUMNS.map((column, index) => `$${index + 2}`);
+          result = await client.query(
+            `INSERT INTO historical_events (event_id, ${RESTORED_COLUMNS.join(', ')})
+             VALUES ($1, ${placeholders.join(', ')})
+             RETURNING *, ${VERSION_COLUMN}`,
+            [eventId, ...values]
+          );
+        }
+        return result.rows[0];
+      });
+    } catch (error) {
+      if (!error.status) logger.error('Error restoring historical event:', error);
+      throw error;
+    }
+  }
+
+  // Add the duration in another unit (days or years) next to duration_minutes
+  static withDuration(event, durationUnit) {
+    if (!durationUnit || durationUnit === 'minutes') return event;
+
+    return {
+      ...event,
+      duration: convertMinutes(event.duration_minutes, durationUnit),
+      duration_unit: durationUnit
+    };
+  }
+
+  // Get the timeline under a root event, as it is now or, with options.asOf, as
+  // it was then. options.maxDepth limits the levels returned below the root,
+  // options.from and options.to prune the branches outside a date window (the
+  // root itself is always returned) and options.sortBy and options.sortOrder
+  // order siblings. With options.format 'flat' the events come back as a list
+  // in tree order with their level and path, otherwise nested as children;
+  // options.includeAncestors adds the events above the root, and
+  // options.includeRelations (or options.relationTypes) each event's relations
+  // (see attachRelations). Returns null when the root doesn't exist. The walk
+  // stops at events already on its path, so a cycle in existing data can't
+  // make it loop.
+  static async getTimeline(rootEventId, options = {}) {
+    // One level past maxDepth, to tell which events have children cut off
+    const depthLimit = options.maxDepth !== undefined ? options.maxDepth + 1 : undefined;
+    const { walk, values } = this.buildTimelineWalk(rootEventId, options, depthLimit);
+    const queryText = `
+      ${walk}
+      SELECT * FROM event_hierarchy
+      ORDER BY level, start_date
+    `;
+
+    try {
+      const result = await query(queryText, values);
+      let timeline = this.buildTimeline(result.rows, options);
+      if (timeline && (options.includeRelations || options.relationTypes)) {
+        timeline = await this.attachRelations(timeline, options);
+      }
+      if (!timeline || !options.includeAncestors) return timeline;
+
+      const ancestors = await this.findAncestors(rootEventId, options);
+      if (options.format === 'flat') return { ...timeline, ancestors };
+
+      const { children, ...root } = timeline;
+      return { ...root, ancestors, children };
+    } catch (error) {
+      logger.error('Error getting timeline:', error);
+      throw error;
+    }
+  }
+
+  // Add to each event of a built timeline its relations of options.relationTypes
+  // (default every type), and list the events outside the timeline they lead
+  // to, up to options.relationDepth relations away (default 1), as
+  // relatedEvents (see EventRelation.traverse). Relations are read as they are
+  // now, even for a timeline as of an earlier time.
+  static async attachRelations(timeline, options = {}) {
+    const events = [];
+    if (options.format === 'flat') {
+      events.push(...timeline.events);
+    } else {
+      const stack = [timeline];
+      while (stack.length > 0) {
+        const event = stack.pop();
+        events.push(event);
+        stack.push(...event.children);
+      }
+    }
+
+    const { relations, relatedEvents } = await EventRelation.traverse(events.map(event => event.event_id), {
+      relationTypes: options.relationTypes,
+      depth: options.relationDepth
+    });
+    events.forEach(event => {
+      event.relations = relations.get(event.event_id) || [];
+    });
+
+    return { ...timeline, relatedEvents };
+  }
+
+  // Stream the events of a timeline in batches of rows, parents before their
+  // children (level by level), for exports. options.maxDepth, options.from,
+  // options.to and options.asOf work as for getTimeline.
+  static async *streamTimeline(rootEventId, options = {}) {
+    const { walk, values } = this.buildTimelineWalk(rootEventId, options, options.maxDepth);
+    yield* cursor(`
+      ${walk}
+      SELECT * FROM event_hierarchy
+      ORDER BY level, start_date, event_id
+    `, values);
+  }
+
+  // Build the recursive walk of a timeline (the event_hierarchy CTE) down to
+  // depthLimit levels below the root, pruned to options.from and options.to,
+  // as of options.asOf
+  static buildTimelineWalk(rootEventId, options, depthLimit) {
+    const values = [rootEventId];
+    const rootSource = this.eventSource(options.asOf, values);
+    const childSource = this.eventSource(options.asOf, values, 'he');
+
+    const conditions = ['he.event_id <> ALL(eh.path)'];
+    if (depthLimit !== undefined) {
+      values.push(depthLimit);
+      conditions.push(`eh.level < $${values.length}`);
+    }
+    if (options.from) {
+      values.push(options.from);
+      conditions.push(`he.end_date >= $${values.length}`);
+    }
+    if (options.to) {
+      values.push(options.to);
+      conditions.push(`he.start_date <= $${values.length}`);
+    }
+
+    const walk = `
       WITH RECURSIVE event_hierarchy AS (
         -- Base case: start with the root event
-        SELECT event_id, event_name, description, start_date, end_date, 
-               duration_minutes, parent_event_id, metadata, 0 as level
-        FROM historical_events
+        SELECT ${TIMELINE_COLUMNS.join(', ')}, 0 as level, ARRAY[event_id] as path
+        FROM ${rootSource}
         WHERE event_id = $1
         
         UNION ALL
         
-        -- Recursive case: get all children
-        SELECT he.event_id, he.event_name, he.description, he.start_date, he.end_date,
-               he.duration_minutes, he.parent_event_id, he.metadata, eh.level + 1
-        FROM historical_events he
+        -- Recursive case: get the children within the depth and date window
+        SELECT ${TIMELINE_COLUMNS.map(column => `he.${column}`).join(', ')}, eh.level + 1, eh.path || he.event_id
+        FROM ${childSource}
         INNER JOIN event_hierarchy eh ON he.parent_event_id = eh.event_id
+        WHERE ${conditions.join(' AND ')}
+      )`;
+
+    return { walk, values };
+  }
+
+  // Get the ID and name of an event as it is now or, with asOf, as it was then,
+  // or null
+  static async findTimelineRoot(eventId, asOf) {
+    const values = [eventId];
+    const queryText = `SELECT event_id, event_name FROM ${this.eventSource(asOf, values)} WHERE event_id = $1`;
+
+    try {
+      const result = await query(queryText, values);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error finding timeline root:', error);
+      throw error;
+    }
+  }
+
+  // Get the events above an event, from the topmost down to its parent, with
+  // their level relative to it (-1 for the parent). options.asOf and
+  // options.durationUnit work as for getTimeline.
+  static async findAncestors(eventId, options = {}) {
+    const values = [eventId];
+    const queryText = `
+      WITH RECURSIVE ancestors AS (
+        SELECT ${TIMELINE_COLUMNS.join(', ')}, 0 as level, ARRAY[event_id] as path
+        FROM ${this.eventSource(options.asOf, values)}
+        WHERE event_id = $1
+
+        UNION ALL
+
+        SELECT ${TIMELINE_COLUMNS.map(column => `he.${column}`).join(', ')}, a.level - 1, a.path || he.event_id
+        FROM ${this.eventSource(options.asOf, values, 'he')}
+        INNER JOIN ancestors a ON he.event_id = a.parent_event_id
+        WHERE he.event_id <> ALL(a.path)
       )
-      SELECT * FROM event_hierarchy
-      ORDER BY level, start_date
+      SELECT ${TIMELINE_COLUMNS.join(', ')}, level
+      FROM ancestors
+      WHERE level < 0
+      ORDER BY level
     `;
 
     try {
-      const result = await query(queryText, [rootEventId]);
-      return this.buildHierarchy(result.rows);
+      const result = await query(queryText, values);
+      return result.rows.map(row => this.withDuration(row, options.durationUnit));
     } catch (error) {
-      logger.error('Error getting timeline:', error);
+      logger.error('Error finding ancestors:', error);
       throw error;
     }
   }
 
-  // Build hierarchical structure from flat array
-  static buildHierarchy(events) {
-    if (events.length === 0) return null;
+  // Build a timeline from the rows of getTimeline's walk (root first). Siblings
+  // are sorted and every event gets aggregates over the returned events under
+  // it: child_count, descendant_count and the span from the earliest start to
+  // the latest end (span_start, span_end, span_minutes). With maxDepth, the
+  // events whose children were cut off are marked truncated.
+  static buildTimeline(rows, options = {}) {
+    const root = rows.find(row => row.level === 0);
+    if (!root) return null;
 
-    const eventMap = new Map();
-    const rootEvent = events[0];
+    const { maxDepth, durationUnit } = options;
+    const truncated = new Set();
+    const nodes = new Map();
 
-    // Create map of all events
-    events.forEach(event => {
-      eventMap.set(event.event_id, { ...event, children: [] });
+    rows.forEach(row => {
+      if (maxDepth !== undefined && row.level > maxDepth) {
+        truncated.add(row.parent_event_id);
+        return;
+      }
+      nodes.set(row.event_id, {
+        ...this.withDuration(row, durationUnit),
+        child_count: 0,
+        descendant_count: 0,
+        span_start: row.start_date,
+        span_end: row.end_date,
+        children: []
+      });
     });
 
-    // Build parent-child relationships
-    events.forEach(event => {
-      if (event.parent_event_id && eventMap.has(event.parent_event_id)) {
-        const parent = eventMap.get(event.parent_event_id);
-        const child = eventMap.get(event.event_id);
-        parent.children.push(child);
+    nodes.forEach(node => {
+      if (node.event_id !== root.event_id && nodes.has(node.parent_event_id)) {
+        nodes.get(node.parent_event_id).children.push(node);
       }
     });
 
-    return eventMap.get(rootEvent.event_id);
+    // Aggregate bottom up: deeper levels first
+    const compare = timelineComparator(options.sortBy, options.sortOrder);
+    [...nodes.values()].sort((a, b) => b.level - a.level).forEach(node => {
+      node.children.sort(compare);
+      node.child_count = node.children.length;
+      node.children.forEach(child => {
+        node.descendant_count += child.descendant_count + 1;
+        if (child.span_start < node.span_start) node.span_start = child.span_start;
+        if (child.span_end > node.span_end) node.span_end = child.span_end;
+      });
+      node.span_minutes = Math.round((node.span_end - node.span_start) / 60000);
+      if (durationUnit && durationUnit !== 'minutes') {
+        node.span_duration = convertMinutes(node.span_minutes, durationUnit);
+      }
+      if (maxDepth !== undefined) node.truncated = truncated.has(node.event_id);
+    });
+
+    const tree = nodes.get(root.event_id);
+    if (options.format !== 'flat') {
+      return stripPaths(tree);
+    }
+
+    // Flatten depth first, siblings in their sorted order
+    const events = [];
+    const stack = [tree];
+    while (stack.length > 0) {
+      const { children, ...event } = stack.pop();
+      events.push(event);
+      stack.push(...[...children].reverse());
+    }
+    return { rootEventId: root.event_id, events, totalEvents: events.length };
   }
 
-  // Search events with filters and pagination
-  static async search(filters = {}) {
-    let queryText = `
-      SELECT event_id, event_name, description, start_date, end_date, 
-             duration_minutes, parent_event_id, metadata
-      FROM historical_events
-      WHERE 1=1
+  // List the root events (those without a parent), one per timeline, with
+  // statistics over each timeline: children_count (from the
+  // events_with_children_count view), descendant_count, depth (levels below
+  // the root), the span from its earliest start to its latest end and that
+  // span's duration. filters.name matches root names; filters.from and
+  // filters.to keep the timelines whose span overlaps the window. No cycle is
+  // reachable from a root, so the walk needs no cycle guard.
+  static async findRootTimelines(filters = {}) {
+    const rootConditions = ['parent_event_id IS NULL'];
+    const spanConditions = [];
+    const values = [];
+
+    if (filters.name) {
+      values.push(`%${filters.name}%`);
+      rootConditions.push(`event_name ILIKE $${values.length}`);
+    }
+    if (filters.from) {
+      values.push(filters.from);
+      spanConditions.push(`s.span_end >= $${values.length}`);
+    }
+    if (filters.to) {
+      values.push(filters.to);
+      spanConditions.push(`s.span_start <= $${values.length}`);
+    }
+
+    const sortBy = filters.sortBy || 'span_start';
+    const sortOrder = filters.sortOrder || 'asc';
+    const limit = parseInt(filters.limit) || 10;
+    const page = parseInt(filters.page) || 1;
+    const offset = (page - 1) * limit;
+
+    const timelines = `
+      WITH RECURSIVE roots AS (
+        SELECT * FROM events_with_children_count
+        WHERE ${rootConditions.join(' AND ')}
+      ),
+      tree AS (
+        SELECT event_id AS root_id, event_id, start_date, end_date, 0 AS depth
+        FROM roots
+
+        UNION ALL
+
+        SELECT t.root_id, he.event_id, he.start_date, he.end_date, t.depth + 1
+        FROM historical_events he
+        INNER JOIN tree t ON he.parent_event_id = t.event_id
+      ),
+      stats AS (
+        SELECT root_id, COUNT(*) - 1 AS descendant_count, MAX(depth) AS depth,
+               MIN(start_date) AS span_start, MAX(end_date) AS span_end
+        FROM tree
+        GROUP BY root_id
+      )
+      SELECT r.event_id, r.event_name, r.description, r.start_date, r.end_date,
+             r.start_date_precision, r.end_date_precision, r.date_confidence,
+             r.duration_minutes, r.research_value, r.children_count,
+             s.descendant_count, s.depth, s.span_start, s.span_end,
+             FLOOR(EXTRACT(EPOCH FROM (s.span_end - s.span_start)) / 60)::BIGINT AS total_duration_minutes
+      FROM roots r
+      INNER JOIN stats s ON s.root_id = r.event_id
+      ${spanConditions.length > 0 ? `WHERE ${spanConditions.join(' AND ')}` : ''}
     `;
-    
+
+    const queryText = `
+      ${timelines}
+      ORDER BY ${sortBy} ${sortOrder} NULLS LAST, event_id
+      LIMIT $${values.length + 1}
+      OFFSET $${values.length + 2}
+    `;
+
+    try {
+      const result = await query(queryText, [...values, limit, offset]);
+      const countResult = await query(`SELECT COUNT(*) as total FROM (${timelines}) timelines`, values);
+
+      return {
+        timelines: result.rows.map(row => {
+          const timeline = {
+            ...this.withDuration(row, filters.durationUnit),
+            children_count: parseInt(row.children_count),
+            descendant_count: parseInt(row.descendant_count)
+          };
+          if (filters.durationUnit && filters.durationUnit !== 'minutes') {
+            timeline.total_duration = convertMinutes(row.total_duration_minutes, filters.durationUnit);
+          }
+          return timeline;
+        }),
+        totalTimelines: parseInt(countResult.rows[0].total),
+        page,
+        limit
+      };
+    } catch (error) {
+      logger.error('Error listing root timelines:', error);
+      throw error;
+    }
+  }
+
+  // Build the WHERE conditions shared by the search and its count query
+  static buildSearchConditions(filters) {
+    const conditions = [];
     const values = [];
-    let paramCount = 0;
 
-    // Add filters
     if (filters.name) {
-      paramCount++;
-      queryText += ` AND LOWER(event_name) LIKE LOWER($${paramCount})`;
       values.push(`%${filters.name}%`);
+      conditions.push(`LOWER(event_name) LIKE LOWER($${values.length})`);
     }
 
     if (filters.start_date_after) {
-      paramCount++;
-      queryText += ` AND start_date >= $${paramCount}`;
       values.push(filters.start_date_after);
+      conditions.push(`start_date >= $${values.length}`);
     }
 
     if (filters.end_date_before) {
-      paramCount++;
-      queryText += ` AND end_date <= $${paramCount}`;
       values.push(filters.end_date_before);
+      conditions.push(`end_date <= $${values.length}`);
     }
 
-    // Add sorting
+    if (filters.min_research_value !== undefined) {
+      values.push(filters.min_research_value);
+      conditions.push(`research_value >= $${values.length}`);
+    }
+
+    if (filters.max_research_value !== undefined) {
+      values.push(filters.max_research_value);
+      conditions.push(`research_value <= $${values.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return { whereClause, values };
+  }
+
+  // Search events with filters and pagination, as they are now or, with
+  // filters.asOf, as they were then
+  static async search(filters = {}) {
+    const { whereClause, values } = this.buildSearchConditions(filters);
+    const source = this.eventSource(filters.asOf, values);
+
+    // Add sorting (events without a research value sort last)
     const sortBy = filters.sortBy || 'start_date';
     const sortOrder = filters.sortOrder || 'asc';
-    queryText += ` ORDER BY ${sortBy} ${sortOrder}`;
 
     // Add pagination
     const limit = parseInt(filters.limit) || 10;
     const page = parseInt(filters.page) || 1;
     const offset = (page - 1) * limit;
 
-    paramCount++;
-    queryText += ` LIMIT $${paramCount}`;
-    values.push(limit);
-
-    paramCount++;
-    queryText += ` OFFSET $${paramCount}`;
-    values.push(offset);
+    const queryText = `
+      SELECT event_id, event_name, description, start_date, end_date, 
+             start_date_earliest, start_date_latest, end_date_earliest, end_date_latest,
+             start_date_precision, end_date_precision, date_confidence,
+             duration_minutes, parent_event_id, research_value, metadata
+      FROM ${source}
+      ${whereClause}
+      ORDER BY ${sortBy} ${sortOrder} NULLS LAST
+      LIMIT $${values.length + 1}
+      OFFSET $${values.length + 2}
+    `;
 
     try {
-      const result = await query(queryText, values);
+      const result = await query(queryText, [...values, limit, offset]);
       
       // Get total count for pagination
-      let countQuery = `
+      const countQuery = `
         SELECT COUNT(*) as total
-        FROM historical_events
-        WHERE 1=1
+        FROM ${source}
+        ${whereClause}
       `;
-      
-      const countValues = [];
-      let countParamCount = 0;
-
-      if (filters.name) {
-        countParamCount++;
-        countQuery += ` AND LOWER(event_name) LIKE LOWER($${countParamCount})`;
-        countValues.push(`%${filters.name}%`);
-      }
-
-      if (filters.start_date_after) {
-        countParamCount++;
-        countQuery += ` AND start_date >= $${countParamCount}`;
-        countValues.push(filters.start_date_after);
-      }
 
-      if (filters.end_date_before) {
-        countParamCount++;
-        countQuery += ` AND end_date <= $${countParamCount}`;
-        countValues.push(filters.end_date_before);
-      }
-
-      const countResult = await query(countQuery, countValues);
+      const countResult = await query(countQuery, values);
       const totalEvents = parseInt(countResult.rows[0].total);
 
       return {
-        events: result.rows,
+        events: result.rows.map(row => this.withDuration(row, filters.durationUnit)),
         totalEvents,
         page,
         limit
@@ -205,9 +1056,110 @@ class HistoricalEvent {
     }
   }
 
-  // Find overlapping events
-  static async findOverlappingEvents() {
+  // Stream every event matching search filters in batches of rows, for
+  // exports. Sorted as search, ties broken by event ID.
+  static async *streamSearch(filters = {}) {
+    const { whereClause, values } = this.buildSearchConditions(filters);
+    const source = this.eventSource(filters.asOf, values);
+    const sortBy = filters.sortBy || 'start_date';
+    const sortOrder = filters.sortOrder || 'asc';
+
+    yield* cursor(`
+      SELECT ${TIMELINE_COLUMNS.join(', ')}
+      FROM ${source}
+      ${whereClause}
+      ORDER BY ${sortBy} ${sortOrder} NULLS LAST, event_id
+    `, values);
+  }
+
+  // Find pairs of events whose periods overlap, in order of the first event's
+  // start. options.startDate and options.endDate keep the pairs whose overlap
+  // falls (at least partly) in that window, options.rootEventId the pairs
+  // within that event's timeline, options.minOverlapMinutes the pairs
+  // overlapping by at least that long, and options.excludeAncestorPairs drops
+  // pairs where one event is the other's ancestor.
+  //
+  // Pages are read by keyset: options.after is the nextCursor of the previous
+  // page, and each page walks the (start_date, event_id) index from there,
+  // finding each event's partners through the GiST index on its period, so a
+  // page costs its own pairs rather than every pair in the table. With
+  // options.sortBy 'overlap' the pairs come longest overlap first, paged by
+  // options.page; that sorts every matching pair, so callers only allow it
+  // for a window or a root. options.includeTotal counts the pairs in a
+  // separate query. Returns null when the root doesn't exist.
+  static async findOverlappingEvents(options = {}) {
+    const values = [];
+    const param = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+    const period = (alias) => `tstzrange(${alias}.start_date, ${alias}.end_date, '[)')`;
+
+    const ctes = [];
+    const conditions = [];
+
+    if (options.rootEventId) {
+      const root = await this.findById(options.rootEventId);
+      if (!root) return null;
+
+      ctes.push(subtreeWalk(param(options.rootEventId)));
+      conditions.push('e1.event_id IN (SELECT event_id FROM subtree)');
+      conditions.push('e2.event_id IN (SELECT event_id FROM subtree)');
+    }
+
+    if (options.startDate || options.endDate) {
+      const window = `tstzrange(${param(options.startDate || null)}::timestamptz, ${param(options.endDate || null)}::timestamptz, '[)')`;
+      conditions.push(`${period('e1')} && ${window}`);
+      conditions.push(`tstzrange(GREATEST(e1.start_date, e2.start_date), LEAST(e1.end_date, e2.end_date), '[)') && ${window}`);
+    }
+
+    if (options.minOverlapMinutes) {
+      conditions.push(`LEAST(e1.end_date, e2.end_date) - GREATEST(e1.start_date, e2.start_date) >= make_interval(mins => ${param(options.minOverlapMinutes)})`);
+    }
+
+    // Walk up from both events; the pair is related if either walk meets the other
+    if (options.excludeAncestorPairs) {
+      conditions.push(`NOT EXISTS (
+        WITH RECURSIVE lineage AS (
+          SELECT e1.parent_event_id AS event_id, e2.event_id AS target, ARRAY[e1.event_id] AS path
+          UNION ALL
+          SELECT e2.parent_event_id, e1.event_id, ARRAY[e2.event_id]
+          UNION ALL
+          SELECT p.parent_event_id, l.target, l.path || p.event_id
+          FROM lineage l
+          JOIN historical_events p ON p.event_id = l.event_id
+          WHERE p.event_id <> l.target AND NOT p.event_id = ANY(l.path)
+        )
+        SELECT 1 FROM lineage WHERE event_id = target
+      )`);
+    }
+
+    const limit = parseInt(options.limit) || 100;
+    const page = parseInt(options.page) || 1;
+    const byOverlap = options.sortBy === 'overlap';
+
+    // Half-open periods: events that only touch, and instants, don't overlap
+    const withClause = ctes.length > 0 ? `WITH RECURSIVE ${ctes.join(', ')}` : '';
+    const pairs = `
+      FROM historical_events e1
+      INNER JOIN historical_events e2
+        ON ${period('e2')} && ${period('e1')}
+        AND e1.event_id < e2.event_id
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    `;
+    const filterValues = [...values];
+
+    // The first row comparison alone can use the index; the second only
+    // breaks ties between the partners of the cursor's event
+    let keyset = '';
+    if (!byOverlap && options.after) {
+      const start = param(options.after.startDate);
+      const event1 = param(options.after.event1Id);
+      keyset = `${conditions.length > 0 ? 'AND' : 'WHERE'} (e1.start_date, e1.event_id) >= (${start}::timestamptz, ${event1}::uuid)
+        AND ((e1.start_date, e1.event_id) > (${start}::timestamptz, ${event1}::uuid) OR e2.event_id > ${param(options.after.event2Id)}::uuid)`;
+    }
     const queryText = `
+      ${withClause}
       SELECT 
         e1.event_id as event1_id,
         e1.event_name as event1_name,
@@ -219,21 +1171,29 @@ class HistoricalEvent {
         e2.end_date as event2_end,
         EXTRACT(EPOCH FROM (
           LEAST(e1.end_date, e2.end_date) - GREATEST(e1.start_date, e2.start_date)
-        )) / 60 as overlap_duration_minutes
-      FROM historical_events e1
-      INNER JOIN historical_events e2 ON e1.event_id < e2.event_id
-      WHERE e1.start_date < e2.end_date 
-        AND e2.start_date < e1.end_date
-        AND EXTRACT(EPOCH FROM (
-          LEAST(e1.end_date, e2.end_date) - GREATEST(e1.start_date, e2.start_date)
-        )) > 0
-      ORDER BY overlap_duration_minutes DESC
+        )) / 60 as overlap_duration_minutes,
+        e1.start_date::text as event1_start_key
+      ${pairs}
+      ${keyset}
+      ${byOverlap
+        ? `ORDER BY overlap_duration_minutes DESC, e1.event_id, e2.event_id
+      LIMIT ${param(limit)}
+      OFFSET ${param((page - 1) * limit)}`
+        : `ORDER BY e1.start_date, e1.event_id, e2.event_id
+      LIMIT ${param(limit + 1)}`}
     `;
 
     try {
-      const result = await query(queryText);
-      
-      return result.rows.map(row => ({
+      const result = await query(queryText, values);
+
+      // One row past the page says there is a next page
+      const rows = result.rows.slice(0, limit);
+      const last = rows[rows.length - 1];
+      const nextCursor = !byOverlap && result.rows.length > limit
+        ? { startDate: last.event1_start_key, event1Id: last.event1_id, event2Id: last.event2_id }
+        : null;
+
+      const overlappingEvents = rows.map(row => ({
         overlappingEventPairs: [
           {
             event_id: row.event1_id,
@@ -248,74 +1208,287 @@ class HistoricalEvent {
             end_date: row.event2_end
           }
         ],
-        overlap_duration_minutes: Math.round(row.overlap_duration_minutes)
+        overlap_duration_minutes: Math.round(row.overlap_duration_minutes),
+        ...(options.durationUnit && options.durationUnit !== 'minutes' && {
+          overlap_duration: convertMinutes(row.overlap_duration_minutes, options.durationUnit),
+          duration_unit: options.durationUnit
+        })
       }));
+
+      let totalPairs = null;
+      if (options.includeTotal) {
+        const countResult = await query(`${withClause} SELECT COUNT(*) as total ${pairs}`, filterValues);
+        totalPairs = parseInt(countResult.rows[0].total);
+      }
+
+      return {
+        overlappingEvents,
+        totalPairs,
+        ...(byOverlap && { page }),
+        limit,
+        nextCursor
+      };
     } catch (error) {
       logger.error('Error finding overlapping events:', error);
       throw error;
     }
   }
 
-  // Find temporal gaps
-  static async findTemporalGaps(startDate, endDate) {
-    const queryText = `
-      WITH ordered_events AS (
-        SELECT event_id, event_name, start_date, end_date
-        FROM historical_events
-        WHERE start_date >= $1 AND end_date <= $2
-        ORDER BY start_date
-      ),
-      gaps AS (
+  // Analyse how many events run at once: the peak number of simultaneous
+  // events and when it first held, the clusters of overlapping events (events
+  // chained together by overlaps), largest first, and with options.bucketUnit
+  // and options.bucketSize a histogram of the events active in each bucket and
+  // their peak. options.startDate, options.endDate and options.rootEventId
+  // select the events as for findOverlappingEvents, and events are cut to the
+  // window; events without a duration never overlap and are left out. The
+  // events are streamed in start order through a sweep, so the pairs are never
+  // listed. Returns null when the root doesn't exist.
+  static async findConcurrency(options = {}) {
+    const values = [];
+    const param = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    if (options.rootEventId) {
+      const root = await this.findById(options.rootEventId);
+      if (!root) return null;
+    }
+
+    const windowStart = param(options.startDate || null);
+    const windowEnd = param(options.endDate || null);
+    const withClause = options.rootEventId ? `WITH RECURSIVE ${subtreeWalk(param(options.rootEventId))}` : '';
+    const filters = `
+      FROM historical_events e
+      WHERE e.end_date > e.start_date
+        AND tstzrange(e.start_date, e.end_date, '[)') && tstzrange(${windowStart}::timestamptz, ${windowEnd}::timestamptz, '[)')
+        ${options.rootEventId ? 'AND e.event_id IN (SELECT event_id FROM subtree)' : ''}
+    `;
+
+    try {
+      // The window is the one asked for, narrowed to the events in it
+      const spanResult = await query(`
+        ${withClause}
+        SELECT MIN(e.start_date) AS span_start, MAX(e.end_date) AS span_end
+        ${filters}
+      `, values);
+      const { span_start: spanStart, span_end: spanEnd } = spanResult.rows[0];
+
+      const window = spanStart && {
+        start: options.startDate && options.startDate > spanStart ? options.startDate : spanStart,
+        end: options.endDate && options.endDate < spanEnd ? options.endDate : spanEnd
+      };
+
+      let buckets = [];
+      if (window && options.bucketUnit) {
+        const interval = { unit: options.bucketUnit, step: options.bucketSize || 1 };
+        buckets = buildBuckets(window.start.getTime(), window.end.getTime(), interval, MAX_CONCURRENCY_BUCKETS);
+        if (!buckets) {
+          throw eventError(`The histogram would need more than ${MAX_CONCURRENCY_BUCKETS} buckets; use a larger bucketSize or bucketUnit`, 400);
+        }
+      }
+
+      async function* intervals() {
+        if (!window) return;
+        for await (const rows of cursor(`
+          ${withClause}
+          SELECT e.event_id, e.event_name,
+                 GREATEST(e.start_date, ${windowStart}) AS start_date,
+                 LEAST(e.end_date, ${windowEnd}) AS end_date
+          ${filters}
+          ORDER BY GREATEST(e.start_date, ${windowStart}), e.event_id
+        `, [window.start, window.end, ...values.slice(2)])) {
+          yield rows.map(row => ({
+            event_id: row.event_id,
+            event_name: row.event_name,
+            start: row.start_date.getTime(),
+            end: row.end_date.getTime()
+          }));
+        }
+      }
+
+      const clusterLimit = parseInt(options.clusterLimit) || 20;
+      const { eventCount, peak, clusters, histogram } = await sweepConcurrency(intervals(), { buckets });
+      const asDate = (time) => (time === null ? null : new Date(time));
+
+      return {
+        window: window ? { start_date: window.start, end_date: window.end } : null,
+        totalEvents: eventCount,
+        peak: { concurrency: peak.concurrency, start_date: asDate(peak.start), end_date: asDate(peak.end) },
+        clusters: [...clusters]
+          .sort((a, b) => b.event_count - a.event_count || a.start - b.start)
+          .slice(0, clusterLimit)
+          .map(cluster => ({
+            start_date: new Date(cluster.start),
+            end_date: new Date(cluster.end),
+            duration_minutes: Math.round((cluster.end - cluster.start) / 60000),
+            event_count: cluster.event_count,
+            peak_concurrency: cluster.peak.concurrency,
+            peak_start_date: new Date(cluster.peak.start),
+            peak_end_date: new Date(cluster.peak.end),
+            events: cluster.events,
+            events_truncated: cluster.events.length < cluster.event_count
+          })),
+        totalClusters: clusters.length,
+        ...(options.bucketUnit && {
+          bucketSize: options.bucketSize || 1,
+          bucketUnit: options.bucketUnit,
+          histogram: histogram.map(bucket => ({
+            bucket_start: new Date(bucket.start),
+            bucket_end: new Date(bucket.end),
+            active_events: bucket.active_events,
+            peak_concurrency: bucket.peak_concurrency
+          }))
+        })
+      };
+    } catch (error) {
+      if (!error.status) logger.error('Error analysing concurrency:', error);
+      throw error;
+    }
+  }
+
+  // Find the gaps between recorded events in [startDate, endDate), largest
+  // first: stretches of time no event covers, between the end of the events so
+  // far and the next event's start. Events are cut to the window and merged
+  // where they overlap, so a long event covers the shorter ones inside it.
+  // options.minGapMinutes keeps the gaps at least that long,
+  // options.rootEventId the events in that event's timeline, and options.page
+  // and options.limit page through the gaps. Also reports the share of the
+  // window the events cover (the stretches before the first event and after
+  // the last count as uncovered, but aren't gaps). Returns null when the root
+  // doesn't exist.
+  static async findTemporalGaps(startDate, endDate, options = {}) {
+    if (options.rootEventId) {
+      const root = await this.findById(options.rootEventId);
+      if (!root) return null;
+    }
+
+    const minGapMinutes = options.minGapMinutes || 0;
+    const limit = parseInt(options.limit) || 10;
+    const page = parseInt(options.page) || 1;
+    const values = [startDate, endDate, minGapMinutes, ...(options.rootEventId ? [options.rootEventId] : [])];
+
+    // covered_until: the latest end of the events starting before this one
+    const ctes = [
+      ...(options.rootEventId ? [subtreeWalk('$4')] : []),
+      `clipped AS (
+        SELECT e.event_id, e.event_name,
+               GREATEST(e.start_date, $1) AS start_date,
+               LEAST(e.end_date, $2) AS end_date
+        FROM historical_events e
+        WHERE e.start_date < $2 AND e.end_date >= $1
+          ${options.rootEventId ? 'AND e.event_id IN (SELECT event_id FROM subtree)' : ''}
+      )`,
+      `covered AS (
+        SELECT *,
+               MAX(end_date) OVER (
+                 ORDER BY start_date, end_date, event_id
+                 ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+               ) AS covered_until
+        FROM clipped
+      )`,
+      `gaps AS (
         SELECT 
-          LAG(end_date) OVER (ORDER BY start_date) as gap_start,
+          covered_until as gap_start,
           start_date as gap_end,
-          LAG(event_id) OVER (ORDER BY start_date) as preceding_event_id,
-          LAG(event_name) OVER (ORDER BY start_date) as preceding_event_name,
-          LAG(end_date) OVER (ORDER BY start_date) as preceding_end_date,
           event_id as succeeding_event_id,
           event_name as succeeding_event_name,
           start_date as succeeding_start_date,
-          EXTRACT(EPOCH FROM (
-            start_date - LAG(end_date) OVER (ORDER BY start_date)
-          )) / 60 as gap_duration_minutes
-        FROM ordered_events
-      )
-      SELECT *
-      FROM gaps
-      WHERE gap_start IS NOT NULL 
-        AND gap_duration_minutes > 0
-      ORDER BY gap_duration_minutes DESC
-      LIMIT 1
+          EXTRACT(EPOCH FROM (start_date - covered_until)) / 60 as gap_duration_minutes
+        FROM covered
+        WHERE start_date > covered_until
+      )`
+    ];
+    const withClause = `WITH RECURSIVE ${ctes.join(',\n')}`;
+
+    // The preceding event is the one whose end opened the gap
+    const gapsQuery = (pageLimit, offset) => `
+      ${withClause}
+      SELECT g.*, p.event_id as preceding_event_id, p.event_name as preceding_event_name, p.end_date as preceding_end_date
+      FROM (
+        SELECT * FROM gaps
+        WHERE gap_duration_minutes >= $3
+        ORDER BY gap_duration_minutes DESC, gap_start
+        LIMIT ${pageLimit} OFFSET ${offset}
+      ) g
+      LEFT JOIN LATERAL (
+        SELECT he.event_id, he.event_name, he.end_date
+        FROM historical_events he
+        WHERE he.end_date = g.gap_start AND he.start_date < g.gap_end
+          ${options.rootEventId ? 'AND he.event_id IN (SELECT event_id FROM subtree)' : ''}
+        ORDER BY he.start_date DESC, he.event_id
+        LIMIT 1
+      ) p ON true
+      ORDER BY g.gap_duration_minutes DESC, g.gap_start
+    `;
+
+    const summaryQuery = `
+      ${withClause}
+      SELECT
+        (SELECT MIN(start_date) FROM clipped) as first_start,
+        (SELECT MAX(end_date) FROM clipped) as last_end,
+        (SELECT COALESCE(SUM(gap_duration_minutes), 0) FROM gaps) as gap_minutes,
+        (SELECT COUNT(*) FROM gaps WHERE gap_duration_minutes >= $3) as total_gaps
     `;
 
+    const formatGap = (gap, rank) => ({
+      rank,
+      startOfGap: gap.gap_start,
+      endOfGap: gap.gap_end,
+      durationMinutes: Math.round(gap.gap_duration_minutes),
+      ...(options.durationUnit && options.durationUnit !== 'minutes' && {
+        duration: convertMinutes(gap.gap_duration_minutes, options.durationUnit),
+        durationUnit: options.durationUnit
+      }),
+      precedingEvent: {
+        event_id: gap.preceding_event_id,
+        event_name: gap.preceding_event_name,
+        end_date: gap.preceding_end_date
+      },
+      succeedingEvent: {
+        event_id: gap.succeeding_event_id,
+        event_name: gap.succeeding_event_name,
+        start_date: gap.succeeding_start_date
+      }
+    });
+
     try {
-      const result = await query(queryText, [startDate, endDate]);
-      
-      if (result.rows.length === 0) {
-        return {
-          largestGap: null,
-          message: "No significant temporal gaps found within the specified range, or too few events."
-        };
+      const offset = (page - 1) * limit;
+      const gapsResult = await query(gapsQuery(limit, offset), values);
+      const summaryResult = await query(summaryQuery, values);
+      const gaps = gapsResult.rows.map((gap, index) => formatGap(gap, offset + index + 1));
+
+      let largestGap = gaps[0] || null;
+      if (page > 1) {
+        const largestResult = await query(gapsQuery(1, 0), values);
+        largestGap = largestResult.rows.length > 0 ? formatGap(largestResult.rows[0], 1) : null;
       }
 
-      const gap = result.rows[0];
+      // Uncovered: the gaps between events and the stretches at either end
+      const summary = summaryResult.rows[0];
+      const windowMinutes = (endDate - startDate) / 60000;
+      const uncoveredMinutes = summary.first_start
+        ? Number(summary.gap_minutes)
+          + (summary.first_start - startDate) / 60000
+          + (endDate - summary.last_end) / 60000
+        : windowMinutes;
+      const coveredMinutes = windowMinutes - uncoveredMinutes;
+
       return {
-        largestGap: {
-          startOfGap: gap.gap_start,
-          endOfGap: gap.gap_end,
-          durationMinutes: Math.round(gap.gap_duration_minutes),
-          precedingEvent: {
-            event_id: gap.preceding_event_id,
-            event_name: gap.preceding_event_name,
-            end_date: gap.preceding_end_date
-          },
-          succeedingEvent: {
-            event_id: gap.succeeding_event_id,
-            event_name: gap.succeeding_event_name,
-            start_date: gap.succeeding_start_date
-          }
+        largestGap,
+        gaps,
+        totalGaps: parseInt(summary.total_gaps),
+        page,
+        limit,
+        coverage: {
+          windowMinutes: Math.round(windowMinutes),
+          coveredMinutes: Math.round(coveredMinutes),
+          uncoveredMinutes: Math.round(uncoveredMinutes),
+          coveragePercent: windowMinutes > 0 ? Math.round((coveredMinutes / windowMinutes) * 10000) / 100 : 0
         },
-        message: "Largest temporal gap identified."
+        message: largestGap
+          ? "Largest temporal gap identified."
+          : "No significant temporal gaps found within the specified range, or too few events."
       };
     } catch (error) {
       logger.error('Error finding temporal gaps:', error);
@@ -323,152 +1496,180 @@ class HistoricalEvent {
     }
   }
 
-  // Find shortest path between events (Event Influence Spreader)
-  static async findShortestPath(sourceEventId, targetEventId) {
-    // First, build the graph of parent-child relationships
-    const graphQuery = `
-      SELECT event_id, event_name, duration_minutes, parent_event_id
-      FROM historical_events
+  // Find existing rows that break the hierarchy rules: parent cycles (each
+  // listed once, as its members in child-to-parent order starting from the
+  // smallest ID) and children outside their parent's interval, whether or not
+  // containment is enforced. Rows written before the rules, or while
+  // containment was off, can break them.
+  static async findHierarchyViolations(options = {}) {
+    const limit = parseInt(options.limit) || 100;
+
+    const cyclesQuery = `
+      WITH RECURSIVE walk AS (
+        SELECT event_id AS origin, parent_event_id AS current, ARRAY[event_id] AS path
+        FROM historical_events
+        WHERE parent_event_id IS NOT NULL
+
+        UNION ALL
+
+        SELECT w.origin, he.parent_event_id, w.path || he.event_id
+        FROM walk w
+        INNER JOIN historical_events he ON he.event_id = w.current
+        WHERE he.event_id <> ALL(w.path) AND he.parent_event_id IS NOT NULL
+      )
+      SELECT path AS event_ids
+      FROM walk
+      WHERE current = origin
+        AND origin = (SELECT MIN(id::text)::uuid FROM unnest(path) AS id)
+      ORDER BY origin
+    `;
+
+    const containmentQuery = `
+      SELECT
+        c.event_id, c.event_name, c.start_date, c.end_date,
+        p.event_id AS parent_event_id, p.event_name AS parent_event_name,
+        p.start_date AS parent_start_date, p.end_date AS parent_end_date,
+        c.start_date < p.start_date AS starts_before_parent,
+        c.end_date > p.end_date AS ends_after_parent,
+        COUNT(*) OVER () AS total
+      FROM historical_events c
+      INNER JOIN historical_events p ON p.event_id = c.parent_event_id
+      WHERE c.start_date < p.start_date OR c.end_date > p.end_date
+      ORDER BY c.start_date, c.event_id
+      LIMIT $1
     `;
 
     try {
-      const result = await query(graphQuery);
-      const events = result.rows;
-      
-      // Build adjacency list (parent -> children)
-      const graph = new Map();
-      const eventDetails = new Map();
-      
-      events.forEach(event => {
-        eventDetails.set(event.event_id, event);
-        if (!graph.has(event.event_id)) {
-          graph.set(event.event_id, []);
-        }
-        
-        if (event.parent_event_id) {
-          if (!graph.has(event.parent_event_id)) {
-            graph.set(event.parent_event_id, []);
-          }
-          graph.get(event.parent_event_id).push(event.event_id);
-        }
-      });
+      const cycles = await query(cyclesQuery);
+      const containment = await query(containmentQuery, [limit]);
 
-      // Use Dijkstra's algorithm to find shortest path
-      const distances = new Map();
-      const previous = new Map();
-      const visited = new Set();
-      const queue = [];
+      return {
+        cycles: cycles.rows.map(row => ({ event_ids: row.event_ids, length: row.event_ids.length })),
+        totalCycles: cycles.rows.length,
+        containmentViolations: containment.rows.map(row => ({
+          event_id: row.event_id,
+          event_name: row.event_name,
+          start_date: row.start_date,
+          end_date: row.end_date,
+          parent: {
+            event_id: row.parent_event_id,
+            event_name: row.parent_event_name,
+            start_date: row.parent_start_date,
+            end_date: row.parent_end_date
+          },
+          starts_before_parent: row.starts_before_parent,
+          ends_after_parent: row.ends_after_parent
+        })),
+        totalContainmentViolations: containment.rows.length > 0 ? parseInt(containment.rows[0].total) : 0,
+        containmentEnforced: containmentEnforced()
+      };
+    } catch (error) {
+      logger.error('Error finding hierarchy violations:', error);
+      throw error;
+    }
+  }
 
-      // Initialize distances
-      events.forEach(event => {
-        distances.set(event.event_id, Infinity);
-      });
-      distances.set(sourceEventId, 0);
-      queue.push({ eventId: sourceEventId, distance: 0 });
+  // Every event with the fields the event graph needs (see services/EventGraph)
+  static async findGraphRows() {
+    const queryText = `
+      SELECT event_id, event_name, start_date, duration_minutes, research_value, parent_event_id
+      FROM historical_events
+    `;
 
-      while (queue.length > 0) {
-        // Sort queue by distance and get the closest unvisited node
-        queue.sort((a, b) => a.distance - b.distance);
-        const current = queue.shift();
-        
-        if (visited.has(current.eventId)) continue;
-        visited.add(current.eventId);
+    try {
+      const result = await query(queryText);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error loading event graph:', error);
+      throw error;
+    }
+  }
 
-        if (current.eventId === targetEventId) break;
+  // ID of the latest revision; it changes with every write to the events, so
+  // caches of them can tell when they are stale
+  static async findLatestRevisionId() {
+    try {
+      const result = await query('SELECT MAX(revision_id) AS revision_id FROM event_revisions');
+      return result.rows[0].revision_id;
+    } catch (error) {
+      logger.error('Error reading latest revision:', error);
+      throw error;
+    }
+  }
 
-        const neighbors = graph.get(current.eventId) || [];
-        
-        for (const neighborId of neighbors) {
-          if (visited.has(neighborId)) continue;
-          
-          const neighborEvent = eventDetails.get(neighborId);
-          const newDistance = distances.get(current.eventId) + neighborEvent.duration_minutes;
-          
-          if (newDistance < distances.get(neighborId)) {
-            distances.set(neighborId, newDistance);
-            previous.set(neighborId, current.eventId);
-            queue.push({ eventId: neighborId, distance: newDistance });
-          }
-        }
-      }
+  // Bulk create events (for file ingestion) using one of WRITE_MODES. The batch
+  // is first written in a single transaction; if any row violates a constraint
+  // or a hierarchy rule,
+  // the batch is retried with a savepoint per row so that only the offending rows
+  // fail. Returns the inserted and updated rows, the events left unchanged or
+  // skipped because they already exist, and the failed events with their errors.
+  // options.jobId tags the revisions with the ingestion job.
+  static async bulkCreate(events, options = {}) {
+    const mode = options.mode || 'insert-only';
+    const outcome = () => ({ created: [], updated: [], unchanged: [], skipped: [], failed: [] });
 
-      // Reconstruct path
-      if (!previous.has(targetEventId) && sourceEventId !== targetEventId) {
-        return {
-          sourceEventId,
-          targetEventId,
-          shortestPath: [],
-          totalDurationMinutes: 0,
-          message: "No temporal path found from source to target event."
-        };
+    // Sort a written row (or its absence) into the outcome
+    const record = (result, eventData, rows) => {
+      if (rows.length === 0) {
+        (mode === 'upsert' ? result.unchanged : result.skipped).push(eventData);
+        return;
       }
+      const { inserted, ...event } = rows[0];
+      (inserted ? result.created : result.updated).push(event);
+    };
 
-      const path = [];
-      let currentEventId = targetEventId;
-      
-      while (currentEventId !== undefined) {
-        const event = eventDetails.get(currentEventId);
-        path.unshift({
-          event_id: event.event_id,
-          event_name: event.event_name,
-          duration_minutes: event.duration_minutes
-        });
-        currentEventId = previous.get(currentEventId);
-      }
+    if (events.length === 0) return outcome();
 
-      const totalDuration = path.reduce((sum, event) => sum + event.duration_minutes, 0);
+    try {
+      return await transaction(async (client) => {
+        const result = outcome();
+        await this.setAuditContext(client, options);
 
-      return {
-        sourceEventId,
-        targetEventId,
-        shortestPath: path,
-        totalDurationMinutes: totalDuration,
-        message: "Shortest temporal path found from source to target event."
-      };
+        for (const eventData of events) {
+          const { queryText, values } = this.buildInsert(eventData, mode);
+          const { rows } = await client.query(queryText, values);
+          await this.checkWrittenRow(client, rows[0]);
+          record(result, eventData, rows);
+        }
+
+        return result;
+      });
     } catch (error) {
-      logger.error('Error finding shortest path:', error);
-      throw error;
+      if (events.length === 1) {
+        return { ...outcome(), failed: [{ event: events[0], error }] };
+      }
+      logger.warn(`Bulk insert of ${events.length} events failed (${error.message}), retrying row by row`);
     }
-  }
-
-  // Bulk create events (for file ingestion)
-  static async bulkCreate(events) {
-    if (events.length === 0) return [];
 
     return await transaction(async (client) => {
-      const results = [];
-      
+      const result = outcome();
+      await this.setAuditContext(client, options);
+
       for (const eventData of events) {
-        const event = new HistoricalEvent(eventData);
-        
-        const queryText = `
-          INSERT INTO historical_events (event_id, event_name, description, start_date, end_date, parent_event_id, metadata)
-          VALUES ($1, $2, $3, $4, $5, $6, $7)
-          RETURNING *
-        `;
-        
-        const values = [
-          event.event_id,
-          event.event_name,
-          event.description,
-          event.start_date,
-          event.end_date,
-          event.parent_event_id,
-          JSON.stringify(event.metadata)
-        ];
+        const { queryText, values } = this.buildInsert(eventData, mode);
 
+        await client.query('SAVEPOINT bulk_create_row');
         try {
-          const result = await client.query(queryText, values);
-          results.push(result.rows[0]);
+          const { rows } = await client.query(queryText, values);
+          await this.checkWrittenRow(client, rows[0]);
+          await client.query('RELEASE SAVEPOINT bulk_create_row');
+          record(result, eventData, rows);
         } catch (error) {
-          logger.error('Error in bulk create for event:', event.event_id, error);
-          throw error;
+          await client.query('ROLLBACK TO SAVEPOINT bulk_create_row');
+          logger.warn(`Error in bulk create for event ${eventData.event_id}: ${error.message}`);
+          result.failed.push({ event: eventData, error });
         }
       }
-      
-      return results;
+
+      return result;
     });
   }
 }
 
+// How bulkCreate treats events that already exist
+HistoricalEvent.WRITE_MODES = ['insert-only', 'upsert', 'skip-existing'];
+
+// What deleting an event does to its children
+HistoricalEvent.DELETE_CHILDREN_MODES = ['cascade', 'orphan'];
+
 module.exports = HistoricalEvent;
@@ -0,0 +1,108 @@
+const { query } = require('../config/database');
+const logger = require('../config/logger');
+
+// Line-level problems found while ingesting a file: lines that failed to parse
+// or validate, and rows the database rejected. Each keeps the raw line so the
+// rejects can be handed back for correction.
+class IngestionError {
+  // Record errors for a job
+  static async bulkCreate(jobId, errors) {
+    if (errors.length === 0) return 0;
+
+    const queryText = `
+      INSERT INTO ingestion_errors (job_id, line_number, error_code, field, message, raw_line)
+      SELECT $1, e.line_number, e.error_code, e.field, e.message, e.raw_line
+      FROM jsonb_to_recordset($2::jsonb)
+        AS e(line_number INTEGER, error_code VARCHAR, field VARCHAR, message TEXT, raw_line TEXT)
+    `;
+
+    try {
+      const result = await query(queryText, [jobId, JSON.stringify(errors)]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error recording ingestion errors:', error);
+      throw error;
+    }
+  }
+
+  // Get a page of a job's errors in line order, optionally of a single error code
+  static async findByJob(jobId, filters = {}) {
+    const limit = parseInt(filters.limit) || 50;
+    const page = parseInt(filters.page) || 1;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE job_id = $1';
+    const values = [jobId];
+
+    if (filters.code) {
+      values.push(filters.code);
+      whereClause += ` AND error_code = $${values.length}`;
+    }
+
+    const queryText = `
+      SELECT line_number, error_code, field, message, raw_line
+      FROM ingestion_errors
+      ${whereClause}
+      ORDER BY line_number NULLS FIRST, error_id
+      LIMIT $${values.length + 1}
+      OFFSET $${values.length + 2}
+    `;
+
+    try {
+      const result = await query(queryText, [...values, limit, offset]);
+
+      const countQuery = `SELECT COUNT(*) as total FROM ingestion_errors ${whereClause}`;
+      const countResult = await query(countQuery, values);
+
+      return {
+        errors: result.rows,
+        totalErrors: parseInt(countResult.rows[0].total),
+        page,
+        limit
+      };
+    } catch (error) {
+      logger.error('Error finding ingestion errors:', error);
+      throw error;
+    }
+  }
+
+  // Get the distinct line numbers a job has errors for, in file order
+  static async findLineNumbers(jobId) {
+    const queryText = `
+      SELECT DISTINCT line_number
+      FROM ingestion_errors
+      WHERE job_id = $1 AND line_number IS NOT NULL
+      ORDER BY line_number
+    `;
+
+    try {
+      const result = await query(queryText, [jobId]);
+      return result.rows.map(row => row.line_number);
+    } catch (error) {
+      logger.error('Error finding failed line numbers:', error);
+      throw error;
+    }
+  }
+
+  // Get the next chunk of rejected raw lines after a line number, one per line
+  // (a line with several errors is returned once). Used to stream rejects files.
+  static async findRejects(jobId, afterLine = 0, limit = 1000) {
+    const queryText = `
+      SELECT DISTINCT ON (line_number) line_number, raw_line
+      FROM ingestion_errors
+      WHERE job_id = $1 AND line_number > $2 AND raw_line IS NOT NULL
+      ORDER BY line_number, error_id
+      LIMIT $3
+    `;
+
+    try {
+      const result = await query(queryText, [jobId, afterLine, limit]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error finding rejected lines:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = IngestionError;
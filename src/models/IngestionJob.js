@@ -1,15 +1,17 @@
-const { query } = require('../config/database');
+const { query, transaction } = require('../config/database');
 const logger = require('../config/logger');
+const HistoricalEvent = require('./HistoricalEvent');
 
 class IngestionJob {
   constructor(data) {
     this.job_id = data.job_id;
-    this.status = data.status || 'PROCESSING';
+    this.status = data.status || 'QUEUED';
     this.file_path = data.file_path;
     this.total_lines = data.total_lines || 0;
     this.processed_lines = data.processed_lines || 0;
     this.error_lines = data.error_lines || 0;
     this.errors = data.errors || [];
+    this.options = data.options || {};
     this.start_time = data.start_time;
     this.end_time = data.end_time;
   }
@@ -19,8 +21,8 @@ class IngestionJob {
     const job = new IngestionJob(jobData);
     
     const queryText = `
-      INSERT INTO ingestion_jobs (job_id, status, file_path, total_lines, processed_lines, error_lines, errors, start_time)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      INSERT INTO ingestion_jobs (job_id, status, file_path, total_lines, processed_lines, error_lines, errors, options, start_time)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
       RETURNING *
     `;
     
@@ -32,6 +34,7 @@ class IngestionJob {
       job.processed_lines,
       job.error_lines,
       JSON.stringify(job.errors),
+      JSON.stringify(job.options),
       job.start_time || new Date()
     ];
 
@@ -59,7 +62,11 @@ class IngestionJob {
 
   // Update job progress
   static async updateProgress(jobId, updates) {
-    const allowedFields = ['status', 'total_lines', 'processed_lines', 'error_lines', 'errors', 'end_time'];
+    const allowedFields = [
+      'status', 'total_lines', 'processed_lines', 'error_lines', 'repaired_lines', 'errors', 'end_time',
+      'inserted_count', 'updated_count', 'unchanged_count', 'skipped_count',
+      'last_committed_line', 'heartbeat_at', 'header_line'
+    ];
     const updateFields = [];
     const values = [];
     let paramCount = 0;
@@ -100,6 +107,27 @@ class IngestionJob {
     }
   }
 
+  // Count lines that failed after the job recorded its progress (line details
+  // are kept in ingestion_errors)
+  static async addErrorLines(jobId, count) {
+    if (count === 0) return null;
+
+    const queryText = `
+      UPDATE ingestion_jobs 
+      SET error_lines = error_lines + $1
+      WHERE job_id = $2
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(queryText, [count, jobId]);
+      return result.rows[0];
+    } catch (error) {
+      logger.error('Error adding error lines to job:', error);
+      throw error;
+    }
+  }
+
   // Add error to job
   static async addError(jobId, errorMessage) {
     const queryText = `
@@ -119,13 +147,13 @@ class IngestionJob {
     }
   }
 
-  // Complete job
+  // Complete job (unless it was cancelled in the meantime)
   static async complete(jobId) {
     const queryText = `
       UPDATE ingestion_jobs 
       SET status = 'COMPLETED',
           end_time = CURRENT_TIMESTAMP
-      WHERE job_id = $1
+      WHERE job_id = $1 AND status = 'PROCESSING'
       RETURNING *
     `;
 
@@ -138,14 +166,14 @@ class IngestionJob {
     }
   }
 
-  // Fail job
+  // Fail job (unless it was cancelled in the meantime)
   static async fail(jobId, errorMessage) {
     const queryText = `
       UPDATE ingestion_jobs 
       SET status = 'FAILED',
           end_time = CURRENT_TIMESTAMP,
           errors = errors || $1::jsonb
-      WHERE job_id = $2
+      WHERE job_id = $2 AND status = 'PROCESSING'
       RETURNING *
     `;
 
@@ -158,24 +186,192 @@ class IngestionJob {
     }
   }
 
-  // Get all jobs with optional filtering
-  static async getAll(filters = {}) {
-    let queryText = 'SELECT * FROM ingestion_jobs WHERE 1=1';
+  // Cancel a queued or running job. A queued job is never claimed; a running
+  // one stops at its next checkpoint. Returns null when the job already finished.
+  static async cancel(jobId) {
+    const queryText = `
+      UPDATE ingestion_jobs
+      SET status = 'CANCELLED',
+          end_time = CURRENT_TIMESTAMP,
+          locked_by = NULL
+      WHERE job_id = $1 AND status IN ('QUEUED', 'PROCESSING')
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(queryText, [jobId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error cancelling job:', error);
+      throw error;
+    }
+  }
+
+  // Delete a job, its deferred events and, with rollback, every event and
+  // relation it inserted (metadata.job_id). Children of rolled back events go with them
+  // through ON DELETE CASCADE, whichever ingestion inserted them.
+  static async remove(jobId, { rollback = false } = {}) {
+    try {
+      return await transaction(async (client) => {
+        let rolledBackEvents = 0;
+        let rolledBackRelations = 0;
+
+        if (rollback) {
+          const relations = await client.query(
+            "DELETE FROM event_relations WHERE metadata->>'job_id' = $1",
+            [jobId]
+          );
+          rolledBackRelations = relations.rowCount;
+
+          await HistoricalEvent.setAuditContext(client, { jobId });
+          const events = await client.query(
+            "DELETE FROM historical_events WHERE metadata->>'job_id' = $1",
+            [jobId]
+          );
+          rolledBackEvents = events.rowCount;
+        }
+
+        const result = await client.query('DELETE FROM ingestion_jobs WHERE job_id = $1', [jobId]);
+        return { deleted: result.rowCount > 0, rolledBackEvents, rolledBackRelations };
+      });
+    } catch (error) {
+      logger.error('Error deleting job:', error);
+      throw error;
+    }
+  }
+
+  // Claim the oldest queued job for a worker. SKIP LOCKED lets several workers
+  // (or server instances) poll the same table without claiming a job twice.
+  static async claimNext(workerId) {
+    const queryText = `
+      UPDATE ingestion_jobs
+      SET status = 'PROCESSING',
+          locked_by = $1,
+          heartbeat_at = CURRENT_TIMESTAMP,
+          attempts = attempts + 1
+      WHERE job_id = (
+        SELECT job_id FROM ingestion_jobs
+        WHERE status = 'QUEUED'
+        ORDER BY created_at
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(queryText, [workerId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error claiming next job:', error);
+      throw error;
+    }
+  }
+
+  // Mark jobs as still being worked on
+  static async heartbeat(jobIds) {
+    if (jobIds.length === 0) return;
+
+    const queryText = `
+      UPDATE ingestion_jobs
+      SET heartbeat_at = CURRENT_TIMESTAMP
+      WHERE job_id = ANY($1) AND status = 'PROCESSING'
+    `;
+
+    try {
+      await query(queryText, [jobIds]);
+    } catch (error) {
+      logger.error('Error updating job heartbeat:', error);
+      throw error;
+    }
+  }
+
+  // Put a job back on the queue so it resumes from its last checkpoint
+  static async requeue(jobId) {
+    const queryText = `
+      UPDATE ingestion_jobs
+      SET status = 'QUEUED',
+          locked_by = NULL
+      WHERE job_id = $1 AND status = 'PROCESSING'
+      RETURNING *
+    `;
+
+    try {
+      const result = await query(queryText, [jobId]);
+      return result.rows[0] || null;
+    } catch (error) {
+      logger.error('Error requeueing job:', error);
+      throw error;
+    }
+  }
+
+  // Requeue processing jobs whose worker stopped sending heartbeats (e.g. the
+  // server restarted mid-job), or that are locked by the given worker ID (a
+  // restarted worker knows it isn't running anything yet). Jobs that already used
+  // up their attempts are failed instead, so a file that crashes the worker can't
+  // loop forever.
+  static async requeueInterrupted(staleAfterMs, maxAttempts, lockedBy = null) {
+    const queryText = `
+      UPDATE ingestion_jobs
+      SET status = CASE WHEN attempts >= $2 THEN 'FAILED' ELSE 'QUEUED' END,
+          end_time = CASE WHEN attempts >= $2 THEN CURRENT_TIMESTAMP ELSE end_time END,
+          errors = CASE WHEN attempts >= $2
+            THEN errors || jsonb_build_array('Processing interrupted too many times (' || attempts || ' attempts)')
+            ELSE errors END,
+          locked_by = NULL
+      WHERE status = 'PROCESSING'
+        AND (locked_by = $3
+          OR heartbeat_at IS NULL
+          OR heartbeat_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 millisecond')
+      RETURNING job_id, status
+    `;
+
+    try {
+      const result = await query(queryText, [staleAfterMs, maxAttempts, lockedBy]);
+      return result.rows;
+    } catch (error) {
+      logger.error('Error requeueing interrupted jobs:', error);
+      throw error;
+    }
+  }
+
+  // Build the WHERE clause for job list filters
+  static buildFilterConditions(filters = {}) {
+    const conditions = [];
     const values = [];
-    let paramCount = 0;
 
     if (filters.status) {
-      paramCount++;
-      queryText += ` AND status = $${paramCount}`;
       values.push(filters.status);
+      conditions.push(`status = $${values.length}`);
     }
 
-    queryText += ' ORDER BY created_at DESC';
+    if (filters.created_after) {
+      values.push(filters.created_after);
+      conditions.push(`created_at >= $${values.length}`);
+    }
+
+    if (filters.created_before) {
+      values.push(filters.created_before);
+      conditions.push(`created_at <= $${values.length}`);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return { whereClause, values };
+  }
+
+  // Get all jobs with optional filtering, newest first
+  static async getAll(filters = {}) {
+    const { whereClause, values } = this.buildFilterConditions(filters);
+    let queryText = `SELECT * FROM ingestion_jobs ${whereClause} ORDER BY created_at DESC`;
 
     if (filters.limit) {
-      paramCount++;
-      queryText += ` LIMIT $${paramCount}`;
       values.push(filters.limit);
+      queryText += ` LIMIT $${values.length}`;
+    }
+
+    if (filters.offset) {
+      values.push(filters.offset);
+      queryText += ` OFFSET $${values.length}`;
     }
 
     try {
@@ -186,6 +382,24 @@ class IngestionJob {
       throw error;
     }
   }
+
+  // Count jobs matching the job list filters
+  static async count(filters = {}) {
+    const { whereClause, values } = this.buildFilterConditions(filters);
+    const queryText = `SELECT COUNT(*) as total FROM ingestion_jobs ${whereClause}`;
+
+    try {
+      const result = await query(queryText, values);
+      return parseInt(result.rows[0].total);
+    } catch (error) {
+      logger.error('Error counting jobs:', error);
+      throw error;
+    }
+  }
 }
 
+// Job states, as allowed by chk_job_status
+IngestionJob.STATUSES = ['QUEUED', 'PROCESSING', 'COMPLETED', 'FAILED', 'CANCELLED'];
+IngestionJob.FINISHED_STATUSES = ['COMPLETED', 'FAILED', 'CANCELLED'];
+
 module.exports = IngestionJob;
@@ -0,0 +1,70 @@
+const { query } = require('../config/database');
+const logger = require('../config/logger');
+
+// Lines an ingestion in repair mode fixed before ingesting them, with the fixes
+// applied. Kept apart from ingestion_errors: a repaired line was ingested, so it
+// is neither retried nor part of the rejects file.
+class IngestionRepair {
+  // Record repaired lines for a job
+  static async bulkCreate(jobId, repairs) {
+    if (repairs.length === 0) return 0;
+
+    const queryText = `
+      INSERT INTO ingestion_repairs (job_id, line_number, repairs, raw_line)
+      SELECT $1, r.line_number, r.repairs, r.raw_line
+      FROM jsonb_to_recordset($2::jsonb)
+        AS r(line_number INTEGER, repairs JSONB, raw_line TEXT)
+    `;
+
+    try {
+      const result = await query(queryText, [jobId, JSON.stringify(repairs)]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error recording ingestion repairs:', error);
+      throw error;
+    }
+  }
+
+  // Get a page of a job's repaired lines in line order, optionally of a single fix
+  static async findByJob(jobId, filters = {}) {
+    const limit = parseInt(filters.limit) || 50;
+    const page = parseInt(filters.page) || 1;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE job_id = $1';
+    const values = [jobId];
+
+    if (filters.fix) {
+      values.push(JSON.stringify([{ fix: filters.fix }]));
+      whereClause += ` AND repairs @> $${values.length}::jsonb`;
+    }
+
+    const queryText = `
+      SELECT line_number, repairs, raw_line
+      FROM ingestion_repairs
+      ${whereClause}
+      ORDER BY line_number
+      LIMIT $${values.length + 1}
+      OFFSET $${values.length + 2}
+    `;
+
+    try {
+      const result = await query(queryText, [...values, limit, offset]);
+
+      const countQuery = `SELECT COUNT(*) as total FROM ingestion_repairs ${whereClause}`;
+      const countResult = await query(countQuery, values);
+
+      return {
+        repairs: result.rows,
+        totalRepairs: parseInt(countResult.rows[0].total),
+        page,
+        limit
+      };
+    } catch (error) {
+      logger.error('Error finding ingestion repairs:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = IngestionRepair;
@@ -1,10 +1,21 @@
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs').promises;
 const Joi = require('joi');
 const HistoricalEvent = require('../models/HistoricalEvent');
+const IngestionJob = require('../models/IngestionJob');
 const FileIngestionService = require('../services/FileIngestionService');
+const ExportService = require('../services/ExportService');
+const ChartService = require('../services/ChartService');
+const formats = require('../services/formats');
+const { REPAIR_FIXES } = require('../services/formats/repairs');
 const logger = require('../config/logger');
+const { EVENT_ID_PATTERN, historicalPeriod, historicalDate, durationUnit } = require('../utils/validation');
+const { eventDateColumns } = require('../utils/fuzzyDate');
+const { sendDownload } = require('../utils/download');
+const { sendError } = require('../utils/errorResponse');
+const { EXPORT_FORMATS, DEFAULT_EXPORT_FORMAT } = require('../services/exports');
 
 const router = express.Router();
 
@@ -25,33 +36,137 @@ const upload = multer({
     fileSize: 50 * 1024 * 1024, // 50MB limit
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/plain' || path.extname(file.originalname) === '.txt') {
+    if (formats.isSupportedUpload(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Only .txt files are allowed'));
+      cb(new Error(`Only ${formats.SUPPORTED_EXTENSIONS.join(', ')} files are allowed`));
     }
   }
 });
 
 // Validation schemas
+
+// Repair mode and dry runs only apply to events files
+const eventsOnly = (name) => Joi.boolean().default(false).when('content', {
+  is: 'relations',
+  then: Joi.valid(false).messages({ 'any.only': `"${name}" is not supported for relations files` })
+});
+
 const ingestionSchema = Joi.object({
-  filePath: Joi.string().required()
+  filePath: Joi.string().required(),
+  format: Joi.string().valid(...formats.FORMAT_NAMES).optional(),
+  content: Joi.string().valid(...FileIngestionService.CONTENTS).default('events'),
+  mode: Joi.string().valid(...HistoricalEvent.WRITE_MODES).default('insert-only'),
+  repair: eventsOnly('repair'),
+  dryRun: eventsOnly('dryRun')
+});
+
+const uploadSchema = Joi.object({
+  format: Joi.string().valid(...formats.FORMAT_NAMES).optional(),
+  content: Joi.string().valid(...FileIngestionService.CONTENTS).default('events'),
+  mode: Joi.string().valid(...HistoricalEvent.WRITE_MODES).default('insert-only'),
+  repair: eventsOnly('repair'),
+  dryRun: eventsOnly('dryRun')
+});
+
+const jobListSchema = Joi.object({
+  status: Joi.string().valid(...IngestionJob.STATUSES).optional(),
+  created_after: Joi.string().isoDate().optional(),
+  created_before: Joi.string().isoDate().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const jobErrorsSchema = Joi.object({
+  code: Joi.string().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(500).default(50)
+});
+
+const jobRepairsSchema = Joi.object({
+  fix: Joi.string().valid(...REPAIR_FIXES).optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(500).default(50)
+});
+
+const retrySchema = Joi.object({
+  failedLinesOnly: Joi.boolean().default(false)
+});
+
+const deleteJobSchema = Joi.object({
+  rollback: Joi.boolean().default(false)
 });
 
 const searchSchema = Joi.object({
   name: Joi.string().optional(),
-  start_date_after: Joi.string().isoDate().optional(),
-  end_date_before: Joi.string().isoDate().optional(),
-  sortBy: Joi.string().valid('start_date', 'end_date', 'event_name', 'duration_minutes').default('start_date'),
+  start_date_after: historicalDate().optional(),
+  end_date_before: historicalDate('end').optional(),
+  min_research_value: Joi.number().min(0).optional(),
+  max_research_value: Joi.number().min(0).optional(),
+  sortBy: Joi.string().valid('start_date', 'end_date', 'event_name', 'duration_minutes', 'research_value').default('start_date'),
   sortOrder: Joi.string().valid('asc', 'desc').default('asc'),
+  durationUnit: durationUnit(),
+  asOf: Joi.date().iso().optional(),
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(10)
 });
 
+// Search filters plus the export format; pagination doesn't apply to exports
+const searchExportSchema = searchSchema.keys({
+  format: Joi.string().lowercase().valid(...EXPORT_FORMATS).default(DEFAULT_EXPORT_FORMAT)
+});
+
+// Search filters plus the chart width; the chart draws the first page, of up
+// to 1000 events
+const searchChartSchema = searchSchema.keys({
+  width: Joi.number().integer().min(400).max(4000).default(1200),
+  limit: Joi.number().integer().min(1).max(1000).default(200)
+});
+
+const eventFields = {
+  event_name: Joi.string().max(255),
+  description: Joi.string().allow('', null),
+  start_date: historicalPeriod(),
+  end_date: historicalPeriod('end'),
+  parent_event_id: Joi.string().pattern(EVENT_ID_PATTERN).lowercase().allow(null),
+  research_value: Joi.number().min(0).allow(null),
+  metadata: Joi.object()
+};
+
+const replaceEventSchema = Joi.object({
+  ...eventFields,
+  event_name: eventFields.event_name.required(),
+  start_date: eventFields.start_date.required(),
+  end_date: eventFields.end_date.required()
+});
+
+const patchEventSchema = Joi.object(eventFields).min(1);
+
+const deleteEventSchema = Joi.object({
+  children: Joi.string().valid(...HistoricalEvent.DELETE_CHILDREN_MODES).default('cascade')
+});
+
+const historySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(500).default(50)
+});
+
+// Delete an upload that won't be ingested (already gone is fine)
+const removeUpload = async (filePath) => {
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Could not remove upload ${filePath}:`, error.message);
+    }
+  }
+};
+
 // POST /api/events/ingest
 router.post('/ingest', async (req, res) => {
   try {
     let filePath;
+    let options;
 
     // Handle both file upload and server file path
     if (req.body.filePath) {
@@ -64,6 +179,7 @@ router.post('/ingest', async (req, res) => {
         });
       }
       filePath = value.filePath;
+      options = { format: value.format, content: value.content, mode: value.mode, repair: value.repair, dryRun: value.dryRun };
     } else {
       // Handle file upload
       upload.single('file')(req, res, async (err) => {
@@ -82,10 +198,38 @@ router.post('/ingest', async (req, res) => {
           });
         }
 
+        const { error, value } = uploadSchema.validate(req.body);
+        if (error) {
+          await removeUpload(req.file.path);
+          return res.status(400).json({
+            error: 'Validation Error',
+            message: error.details[0].message
+          });
+        }
+
         filePath = req.file.path;
         
         try {
-          const result = await FileIngestionService.startIngestion(filePath);
+          const uploadOptions = {
+            format: value.format,
+            content: value.content,
+            mode: value.mode,
+            repair: value.repair,
+            mimeType: req.file.mimetype
+          };
+
+          // A dry run doesn't create a job, so the upload isn't kept, even
+          // when validation throws
+          if (value.dryRun) {
+            try {
+              const report = await FileIngestionService.validateFile(filePath, uploadOptions);
+              return res.json(report);
+            } finally {
+              await removeUpload(filePath);
+            }
+          }
+
+          const result = await FileIngestionService.startIngestion(filePath, uploadOptions);
           res.status(202).json(result);
         } catch (error) {
           logger.error('Ingestion start error:', error);
@@ -99,7 +243,12 @@ router.post('/ingest', async (req, res) => {
     }
 
     // Process server file path
-    const result = await FileIngestionService.startIngestion(filePath);
+    if (options.dryRun) {
+      const report = await FileIngestionService.validateFile(filePath, options);
+      return res.json(report);
+    }
+
+    const result = await FileIngestionService.startIngestion(filePath, options);
     res.status(202).json(result);
   } catch (error) {
     logger.error('Ingestion error:', error);
@@ -140,39 +289,119 @@ router.get('/ingestion-status/:jobId', async (req, res) => {
   }
 });
 
-// GET /api/timeline/:rootEventId
-router.get('/timeline/:rootEventId', async (req, res) => {
+// How often a progress stream re-reads the job, for jobs run by another
+// server instance, and sends a comment to keep proxies from closing it
+const STREAM_POLL_INTERVAL_MS = 5000;
+const STREAM_KEEP_ALIVE_MS = 15000;
+
+// GET /api/events/ingestion-status/:jobId/stream (Server-Sent Events)
+router.get('/ingestion-status/:jobId/stream', async (req, res) => {
+  const { jobId } = req.params;
+  let closed = false;
+  let lastProgressAt = 0;
+  let pollTimer;
+  let keepAliveTimer;
+
+  const send = (event, data) => {
+    if (!closed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  const onProgress = (progress) => {
+    if (progress.jobId !== jobId) return;
+    lastProgressAt = Date.now();
+    send('progress', progress);
+  };
+
+  const cleanup = () => {
+    closed = true;
+    clearInterval(pollTimer);
+    clearInterval(keepAliveTimer);
+    FileIngestionService.off('progress', onProgress);
+    FileIngestionService.off('finished', onFinished);
+  };
+
+  const finish = (status) => {
+    send('complete', status);
+    cleanup();
+    res.end();
+  };
+
+  function onFinished(status) {
+    if (status.jobId === jobId) finish(status);
+  }
+
+  // Subscribe before reading the status so nothing is missed in between
+  FileIngestionService.on('progress', onProgress);
+  FileIngestionService.on('finished', onFinished);
+
+  let status;
   try {
-    const { rootEventId } = req.params;
-    
-    if (!rootEventId) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Root event ID is required'
+    status = await FileIngestionService.getJobStatus(jobId);
+  } catch (error) {
+    cleanup();
+    if (error.message === 'Job not found') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Job not found'
       });
     }
 
-    // Validate UUID format
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-    if (!uuidRegex.test(rootEventId)) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: 'Invalid UUID format for root event ID'
-      });
+    logger.error('Job stream error:', error);
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  req.on('close', cleanup);
+
+  send('status', status);
+  if (IngestionJob.FINISHED_STATUSES.includes(status.status)) {
+    return finish(status);
+  }
+
+  keepAliveTimer = setInterval(() => res.write(': keep-alive\n\n'), STREAM_KEEP_ALIVE_MS);
+  pollTimer = setInterval(async () => {
+    try {
+      const latest = await FileIngestionService.getJobStatus(jobId);
+      if (IngestionJob.FINISHED_STATUSES.includes(latest.status)) {
+        finish(latest);
+      } else if (Date.now() - lastProgressAt > STREAM_POLL_INTERVAL_MS) {
+        send('status', latest);
+      }
+    } catch (error) {
+      if (error.message === 'Job not found') {
+        cleanup();
+        return res.end();
+      }
+      logger.error('Job stream poll error:', error);
     }
+  }, STREAM_POLL_INTERVAL_MS);
+});
 
-    const timeline = await HistoricalEvent.getTimeline(rootEventId);
-    
-    if (!timeline) {
-      return res.status(404).json({
-        error: 'Not Found',
-        message: 'Event not found'
+// GET /api/events/ingestion-jobs
+router.get('/ingestion-jobs', async (req, res) => {
+  try {
+    const { error, value } = jobListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
       });
     }
 
-    res.json(timeline);
+    const result = await FileIngestionService.getAllJobs(value);
+    res.json(result);
   } catch (error) {
-    logger.error('Timeline error:', error);
+    logger.error('Job list error:', error);
     res.status(500).json({
       error: 'Internal Server Error',
       message: error.message
@@ -180,6 +409,143 @@ router.get('/timeline/:rootEventId', async (req, res) => {
   }
 });
 
+// GET /api/events/ingestion-jobs/:jobId/errors
+router.get('/ingestion-jobs/:jobId/errors', async (req, res) => {
+  try {
+    const { error, value } = jobErrorsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const result = await FileIngestionService.getJobErrors(req.params.jobId, value);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Job errors');
+  }
+});
+
+// GET /api/events/ingestion-jobs/:jobId/repairs
+router.get('/ingestion-jobs/:jobId/repairs', async (req, res) => {
+  try {
+    const { error, value } = jobRepairsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const result = await FileIngestionService.getJobRepairs(req.params.jobId, value);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Job repairs');
+  }
+});
+
+// GET /api/events/ingestion-jobs/:jobId/rejects (download the rejected lines)
+router.get('/ingestion-jobs/:jobId/rejects', async (req, res) => {
+  try {
+    const rejects = await FileIngestionService.getRejects(req.params.jobId);
+    await sendDownload(res, rejects);
+  } catch (error) {
+    if (res.headersSent) {
+      logger.error('Job rejects error:', error);
+      return res.destroy(error);
+    }
+    sendError(res, error, 'Job rejects');
+  }
+});
+
+// POST /api/events/ingestion-jobs/:jobId/cancel
+router.post('/ingestion-jobs/:jobId/cancel', async (req, res) => {
+  try {
+    const status = await FileIngestionService.cancelJob(req.params.jobId);
+    res.json(status);
+  } catch (error) {
+    sendError(res, error, 'Job cancel');
+  }
+});
+
+// POST /api/events/ingestion-jobs/:jobId/retry
+router.post('/ingestion-jobs/:jobId/retry', async (req, res) => {
+  try {
+    const { error, value } = retrySchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const result = await FileIngestionService.retryJob(req.params.jobId, value);
+    res.status(202).json(result);
+  } catch (error) {
+    sendError(res, error, 'Job retry');
+  }
+});
+
+// DELETE /api/events/ingestion-jobs/:jobId
+router.delete('/ingestion-jobs/:jobId', async (req, res) => {
+  try {
+    const { error, value } = deleteJobSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const result = await FileIngestionService.deleteJob(req.params.jobId, value);
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Job delete');
+  }
+});
+
+// GET /api/events/search/export (download every matching event)
+router.get('/search/export', async (req, res) => {
+  try {
+    const { error, value } = searchExportSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const { format, page, limit, ...filters } = value;
+    await sendDownload(res, ExportService.exportSearch(filters, { format }));
+  } catch (error) {
+    if (res.headersSent) {
+      logger.error('Search export error:', error);
+      return res.destroy(error);
+    }
+    sendError(res, error, 'Search export');
+  }
+});
+
+// GET /api/events/search/chart.svg (Gantt chart of matching events)
+router.get('/search/chart.svg', async (req, res) => {
+  try {
+    const { error, value } = searchChartSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const { width, page, ...filters } = value;
+    const svg = await ChartService.searchChart(filters, { width });
+    res.type('image/svg+xml').send(svg);
+  } catch (error) {
+    sendError(res, error, 'Search chart');
+  }
+});
+
 // GET /api/events/search
 router.get('/search', async (req, res) => {
   try {
@@ -227,9 +593,10 @@ router.post('/', async (req, res) => {
       event_id: Joi.string().uuid().optional(),
       event_name: Joi.string().required(),
       description: Joi.string().optional(),
-      start_date: Joi.string().isoDate().required(),
-      end_date: Joi.string().isoDate().required(),
+      start_date: historicalPeriod().required(),
+      end_date: historicalPeriod('end').required(),
       parent_event_id: Joi.string().uuid().optional(),
+      research_value: Joi.number().min(0).optional(),
       metadata: Joi.object().optional()
     });
 
@@ -241,14 +608,224 @@ router.post('/', async (req, res) => {
       });
     }
 
-    const event = await HistoricalEvent.create(value);
+    const { start_date: start, end_date: end, ...fields } = value;
+    if (start.start >= end.end) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'start_date must be before end_date'
+      });
+    }
+
+    const event = await HistoricalEvent.create({ ...fields, ...eventDateColumns(start, end) }, {
+      changedBy: changedBy(req)
+    });
     res.status(201).json(event);
   } catch (error) {
-    logger.error('Create event error:', error);
-    res.status(500).json({
-      error: 'Internal Server Error',
-      message: error.message
+    sendError(res, error, 'Create event');
+  }
+});
+
+// Version a request's If-Match header asks for, or undefined for any version.
+// An ETag that isn't one of ours never matches.
+const requestedVersion = (req) => {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return undefined;
+  return Number(header.trim().replace(/^W\//, '').replace(/"/g, ''));
+};
+
+// Who is making a change, for the event's revision history
+const changedBy = (req) => req.get('X-User') || undefined;
+
+// Send an event with its version as the ETag
+const sendEvent = (res, event) => {
+  const { version, ...body } = event;
+  res.set('ETag', `"${version}"`);
+  res.json(body);
+};
+
+// Reject event IDs that aren't UUIDs before they reach the database
+const checkEventId = (req, res) => {
+  if (EVENT_ID_PATTERN.test(req.params.eventId)) return true;
+
+  res.status(400).json({
+    error: 'Bad Request',
+    message: 'Invalid UUID format for event ID'
+  });
+  return false;
+};
+
+// Update an event from a validated PUT or PATCH body
+const updateEvent = async (req, res, changes, options = {}) => {
+  const event = await HistoricalEvent.update(req.params.eventId.toLowerCase(), changes, {
+    ...options,
+    version: requestedVersion(req),
+    changedBy: changedBy(req)
+  });
+
+  if (!event) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: 'Event not found'
+    });
+  }
+
+  sendEvent(res, event);
+};
+
+// GET /api/events/:eventId
+router.get('/:eventId', async (req, res) => {
+  try {
+    if (!checkEventId(req, res)) return;
+
+    const event = await HistoricalEvent.findById(req.params.eventId.toLowerCase());
+    if (!event) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Event not found'
+      });
+    }
+
+    if (req.get('If-None-Match') === `"${event.version}"`) {
+      return res.status(304).end();
+    }
+
+    sendEvent(res, event);
+  } catch (error) {
+    sendError(res, error, 'Get event');
+  }
+});
+
+// PUT /api/events/:eventId (replace an event; omitted optional fields are
+// cleared, and metadata is replaced apart from its ingestion provenance)
+router.put('/:eventId', async (req, res) => {
+  try {
+    if (!checkEventId(req, res)) return;
+
+    const { error, value } = replaceEventSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    await updateEvent(req, res, {
+      description: null,
+      parent_event_id: null,
+      research_value: null,
+      ...value
+    }, { replaceMetadata: true });
+  } catch (error) {
+    sendError(res, error, 'Replace event');
+  }
+});
+
+// PATCH /api/events/:eventId (change some fields of an event)
+router.patch('/:eventId', async (req, res) => {
+  try {
+    if (!checkEventId(req, res)) return;
+
+    const { error, value } = patchEventSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    await updateEvent(req, res, value);
+  } catch (error) {
+    sendError(res, error, 'Update event');
+  }
+});
+
+// DELETE /api/events/:eventId
+router.delete('/:eventId', async (req, res) => {
+  try {
+    if (!checkEventId(req, res)) return;
+
+    const { error, value } = deleteEventSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const result = await HistoricalEvent.remove(req.params.eventId.toLowerCase(), {
+      children: value.children,
+      version: requestedVersion(req),
+      changedBy: changedBy(req)
     });
+
+    if (!result) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Event not found'
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 'Delete event');
+  }
+});
+
+// GET /api/events/:eventId/history
+router.get('/:eventId/history', async (req, res) => {
+  try {
+    if (!checkEventId(req, res)) return;
+
+    const { error, value } = historySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const history = await HistoricalEvent.getHistory(req.params.eventId.toLowerCase(), value);
+    if (history.totalRevisions === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Event has no history'
+      });
+    }
+
+    res.json(history);
+  } catch (error) {
+    sendError(res, error, 'Event history');
+  }
+});
+
+// POST /api/events/:eventId/revisions/:revisionId/restore
+router.post('/:eventId/revisions/:revisionId/restore', async (req, res) => {
+  try {
+    if (!checkEventId(req, res)) return;
+
+    const { error, value: revisionId } = Joi.number().integer().min(1).validate(req.params.revisionId);
+    if (error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Revision ID must be a positive integer'
+      });
+    }
+
+    const event = await HistoricalEvent.restore(req.params.eventId.toLowerCase(), revisionId, {
+      version: requestedVersion(req),
+      changedBy: changedBy(req)
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Revision not found for this event'
+      });
+    }
+
+    sendEvent(res, event);
+  } catch (error) {
+    sendError(res, error, 'Restore event');
   }
 });
 
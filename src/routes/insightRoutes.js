@@ -1,26 +1,123 @@
 const express = require('express');
 const Joi = require('joi');
 const HistoricalEvent = require('../models/HistoricalEvent');
+const EventGraph = require('../services/EventGraph');
 const logger = require('../config/logger');
+const { EVENT_ID_PATTERN, historicalDate, durationUnit, relationTypes } = require('../utils/validation');
+const { INTERVAL_UNITS } = require('../utils/intervals');
 
 const router = express.Router();
 
 // Validation schemas
 const temporalGapsSchema = Joi.object({
-  startDate: Joi.string().isoDate().required(),
-  endDate: Joi.string().isoDate().required()
+  startDate: historicalDate().required(),
+  endDate: historicalDate('end').required(),
+  minGapMinutes: Joi.number().integer().min(0).default(0),
+  rootEventId: Joi.string().uuid().optional(),
+  durationUnit: durationUnit(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10)
+});
+
+// Overlapping event pages are read by keyset; the cursor handed out in
+// X-Next-Cursor is the last pair of the page, encoded
+const encodeOverlapCursor = ({ startDate, event1Id, event2Id }) =>
+  Buffer.from(JSON.stringify([startDate, event1Id, event2Id])).toString('base64url');
+
+const overlapCursor = () => Joi.string().custom((value, helpers) => {
+  try {
+    const [startDate, event1Id, event2Id] = JSON.parse(Buffer.from(value, 'base64url').toString());
+    if ([startDate, event1Id, event2Id].every(part => typeof part === 'string')
+      && EVENT_ID_PATTERN.test(event1Id) && EVENT_ID_PATTERN.test(event2Id)) {
+      return { startDate, event1Id, event2Id };
+    }
+  } catch (error) {
+    // Reported below
+  }
+  return helpers.message('{{#label}} must be a cursor from the X-Next-Cursor header');
+});
+
+const overlappingEventsSchema = Joi.object({
+  startDate: historicalDate().optional(),
+  endDate: historicalDate('end').optional(),
+  rootEventId: Joi.string().uuid().optional(),
+  minOverlapMinutes: Joi.number().integer().min(1).optional(),
+  excludeAncestorPairs: Joi.boolean().default(false),
+  durationUnit: durationUnit(),
+  sortBy: Joi.string().valid('start', 'overlap').default('start'),
+  cursor: overlapCursor().when('sortBy', { is: 'overlap', then: Joi.forbidden() }),
+  page: Joi.when('sortBy', {
+    is: 'overlap',
+    then: Joi.number().integer().min(1).default(1),
+    otherwise: Joi.forbidden()
+  }),
+  includeTotal: Joi.boolean().default(false),
+  limit: Joi.number().integer().min(1).max(1000).default(100)
+});
+
+const concurrencySchema = Joi.object({
+  startDate: historicalDate().optional(),
+  endDate: historicalDate('end').optional(),
+  rootEventId: Joi.string().uuid().optional(),
+  bucketUnit: Joi.string().valid(...INTERVAL_UNITS).optional(),
+  bucketSize: Joi.number().integer().min(1).max(1000).default(1),
+  clusterLimit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const hierarchyViolationsSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(1000).default(100)
 });
 
 const eventInfluenceSchema = Joi.object({
-  sourceEventId: Joi.string().uuid().required(),
-  targetEventId: Joi.string().uuid().required()
+  sourceEventId: Joi.string().uuid().lowercase().required(),
+  targetEventId: Joi.string().uuid().lowercase().required(),
+  direction: Joi.string().valid(...EventGraph.DIRECTIONS).default('down'),
+  weight: Joi.string().valid(...EventGraph.WEIGHTS).default('duration'),
+  k: Joi.number().integer().min(1).max(10).default(1),
+  includeRelations: Joi.boolean().default(false),
+  relationTypes: relationTypes().optional()
 });
 
 // GET /api/insights/overlapping-events
 router.get('/overlapping-events', async (req, res) => {
   try {
-    const overlappingEvents = await HistoricalEvent.findOverlappingEvents();
-    res.json(overlappingEvents);
+    const { error, value } = overlappingEventsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    if (value.startDate && value.endDate && value.startDate >= value.endDate) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'startDate must be before endDate'
+      });
+    }
+
+    // Ordering by overlap sorts every matching pair, so the set must be bounded
+    if (value.sortBy === 'overlap' && !value.rootEventId && !(value.startDate && value.endDate)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'sortBy=overlap requires a rootEventId or both startDate and endDate'
+      });
+    }
+
+    const result = await HistoricalEvent.findOverlappingEvents({ ...value, after: value.cursor });
+    if (!result) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Root event not found'
+      });
+    }
+
+    // The body stays a plain list of pairs; pagination is in the headers
+    res.set('X-Limit', result.limit);
+    if (result.page) res.set('X-Page', result.page);
+    if (result.nextCursor) res.set('X-Next-Cursor', encodeOverlapCursor(result.nextCursor));
+    if (result.totalPairs !== null) res.set('X-Total-Count', result.totalPairs);
+    res.json(result.overlappingEvents);
   } catch (error) {
     logger.error('Overlapping events error:', error);
     res.status(500).json({
@@ -30,6 +127,48 @@ router.get('/overlapping-events', async (req, res) => {
   }
 });
 
+// GET /api/insights/concurrency
+router.get('/concurrency', async (req, res) => {
+  try {
+    const { error, value } = concurrencySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    if (value.startDate && value.endDate && value.startDate >= value.endDate) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'startDate must be before endDate'
+      });
+    }
+
+    const concurrency = await HistoricalEvent.findConcurrency(value);
+    if (!concurrency) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Root event not found'
+      });
+    }
+
+    res.json(concurrency);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.message
+      });
+    }
+    logger.error('Concurrency error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/insights/temporal-gaps
 router.get('/temporal-gaps', async (req, res) => {
   try {
@@ -44,14 +183,21 @@ router.get('/temporal-gaps', async (req, res) => {
     const { startDate, endDate } = value;
     
     // Validate that startDate is before endDate
-    if (new Date(startDate) >= new Date(endDate)) {
+    if (startDate >= endDate) {
       return res.status(400).json({
         error: 'Validation Error',
         message: 'startDate must be before endDate'
       });
     }
 
-    const gaps = await HistoricalEvent.findTemporalGaps(startDate, endDate);
+    const gaps = await HistoricalEvent.findTemporalGaps(startDate, endDate, value);
+    if (!gaps) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Root event not found'
+      });
+    }
+
     res.json(gaps);
   } catch (error) {
     logger.error('Temporal gaps error:', error);
@@ -62,6 +208,28 @@ router.get('/temporal-gaps', async (req, res) => {
   }
 });
 
+// GET /api/insights/hierarchy-violations
+router.get('/hierarchy-violations', async (req, res) => {
+  try {
+    const { error, value } = hierarchyViolationsSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const violations = await HistoricalEvent.findHierarchyViolations(value);
+    res.json(violations);
+  } catch (error) {
+    logger.error('Hierarchy violations error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
 // GET /api/insights/event-influence
 router.get('/event-influence', async (req, res) => {
   try {
@@ -83,7 +251,7 @@ router.get('/event-influence', async (req, res) => {
       });
     }
 
-    const influence = await HistoricalEvent.findShortestPath(sourceEventId, targetEventId);
+    const influence = await EventGraph.findPaths(sourceEventId, targetEventId, value);
     res.json(influence);
   } catch (error) {
     logger.error('Event influence error:', error);
@@ -108,7 +276,10 @@ router.get('/statistics', async (req, res) => {
         MIN(start_date) as earliest_event,
         MAX(end_date) as latest_event,
         MAX(duration_minutes) as longest_event_duration,
-        MIN(duration_minutes) as shortest_event_duration
+        MIN(duration_minutes) as shortest_event_duration,
+        COUNT(research_value) as events_with_research_value,
+        AVG(research_value) as avg_research_value,
+        MAX(research_value) as max_research_value
       FROM historical_events
     `;
     
@@ -122,6 +293,7 @@ router.get('/statistics', async (req, res) => {
     stats.avg_duration_minutes = Math.round(parseFloat(stats.avg_duration_minutes) || 0);
     stats.longest_event_duration = parseInt(stats.longest_event_duration) || 0;
     stats.shortest_event_duration = parseInt(stats.shortest_event_duration) || 0;
+    stats.events_with_research_value = parseInt(stats.events_with_research_value);
     
     res.json({
       statistics: stats,
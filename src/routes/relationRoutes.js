@@ -0,0 +1,156 @@
+const express = require('express');
+const Joi = require('joi');
+const EventRelation = require('../models/EventRelation');
+const { EVENT_ID_PATTERN } = require('../utils/validation');
+const { sendError } = require('../utils/errorResponse');
+
+const router = express.Router();
+
+// Validation schemas
+const eventId = () => Joi.string().pattern(EVENT_ID_PATTERN).lowercase();
+
+const relationListSchema = Joi.object({
+  eventId: eventId().optional(),
+  sourceEventId: eventId().optional(),
+  targetEventId: eventId().optional(),
+  relationType: Joi.string().lowercase().valid(...EventRelation.RELATION_TYPES).optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const relationFields = {
+  relation_type: Joi.string().lowercase().valid(...EventRelation.RELATION_TYPES),
+  weight: Joi.number().min(0).allow(null),
+  description: Joi.string().allow('', null),
+  metadata: Joi.object()
+};
+
+const createRelationSchema = Joi.object({
+  ...relationFields,
+  source_event_id: eventId().required(),
+  target_event_id: eventId().required(),
+  relation_type: relationFields.relation_type.required()
+});
+
+const patchRelationSchema = Joi.object(relationFields).min(1);
+
+// Reject a malformed relation ID in the path with 400
+const checkRelationId = (req, res) => {
+  if (EVENT_ID_PATTERN.test(req.params.relationId)) return true;
+
+  res.status(400).json({
+    error: 'Bad Request',
+    message: 'Invalid UUID format for relation ID'
+  });
+  return false;
+};
+
+// GET /api/relations
+router.get('/', async (req, res) => {
+  try {
+    const { error, value } = relationListSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const relations = await EventRelation.findAll(value);
+    res.json(relations);
+  } catch (error) {
+    sendError(res, error, 'List relations');
+  }
+});
+
+// POST /api/relations
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = createRelationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    if (value.source_event_id === value.target_event_id) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'An event cannot be related to itself'
+      });
+    }
+
+    const relation = await EventRelation.create(value);
+    res.status(201).json(relation);
+  } catch (error) {
+    sendError(res, error, 'Create relation');
+  }
+});
+
+// GET /api/relations/:relationId
+router.get('/:relationId', async (req, res) => {
+  try {
+    if (!checkRelationId(req, res)) return;
+
+    const relation = await EventRelation.findById(req.params.relationId.toLowerCase());
+    if (!relation) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Relation not found'
+      });
+    }
+
+    res.json(relation);
+  } catch (error) {
+    sendError(res, error, 'Get relation');
+  }
+});
+
+// PATCH /api/relations/:relationId
+router.patch('/:relationId', async (req, res) => {
+  try {
+    if (!checkRelationId(req, res)) return;
+
+    const { error, value } = patchRelationSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    const relation = await EventRelation.update(req.params.relationId.toLowerCase(), value);
+    if (!relation) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Relation not found'
+      });
+    }
+
+    res.json(relation);
+  } catch (error) {
+    sendError(res, error, 'Update relation');
+  }
+});
+
+// DELETE /api/relations/:relationId
+router.delete('/:relationId', async (req, res) => {
+  try {
+    if (!checkRelationId(req, res)) return;
+
+    const deleted = await EventRelation.remove(req.params.relationId.toLowerCase());
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Relation not found'
+      });
+    }
+
+    res.json({ relationId: req.params.relationId.toLowerCase(), deleted: true });
+  } catch (error) {
+    sendError(res, error, 'Delete relation');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,229 @@
+const express = require('express');
+const Joi = require('joi');
+const HistoricalEvent = require('../models/HistoricalEvent');
+const logger = require('../config/logger');
+const ExportService = require('../services/ExportService');
+const ChartService = require('../services/ChartService');
+const { EXPORT_FORMATS, DEFAULT_EXPORT_FORMAT } = require('../services/exports');
+const { EVENT_ID_PATTERN, historicalDate, durationUnit, relationTypes } = require('../utils/validation');
+const { sendDownload } = require('../utils/download');
+
+const router = express.Router();
+
+// Validation schemas
+const forestSchema = Joi.object({
+  name: Joi.string().optional(),
+  from: historicalDate().optional(),
+  to: historicalDate('end').optional(),
+  sortBy: Joi.string().valid(
+    'span_start', 'span_end', 'event_name', 'descendant_count', 'depth', 'total_duration_minutes'
+  ).default('span_start'),
+  sortOrder: Joi.string().valid('asc', 'desc').default('asc'),
+  durationUnit: durationUnit(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10)
+});
+
+const timelineSchema = Joi.object({
+  maxDepth: Joi.number().integer().min(0).max(100).optional(),
+  includeAncestors: Joi.boolean().default(false),
+  from: historicalDate().optional(),
+  to: historicalDate('end').optional(),
+  sortBy: Joi.string().valid('start_date', 'end_date', 'event_name', 'duration_minutes', 'research_value').default('start_date'),
+  sortOrder: Joi.string().valid('asc', 'desc').default('asc'),
+  format: Joi.string().valid('nested', 'flat').default('nested'),
+  durationUnit: durationUnit(),
+  asOf: Joi.date().iso().optional(),
+  includeRelations: Joi.boolean().default(false),
+  relationTypes: relationTypes().optional(),
+  relationDepth: Joi.number().integer().min(1).max(3).default(1)
+});
+
+const timelineExportSchema = Joi.object({
+  format: Joi.string().lowercase().valid(...EXPORT_FORMATS).default(DEFAULT_EXPORT_FORMAT),
+  maxDepth: Joi.number().integer().min(0).max(100).optional(),
+  from: historicalDate().optional(),
+  to: historicalDate('end').optional(),
+  asOf: Joi.date().iso().optional()
+});
+
+const timelineChartSchema = Joi.object({
+  width: Joi.number().integer().min(400).max(4000).default(1200),
+  maxDepth: Joi.number().integer().min(0).max(100).optional(),
+  from: historicalDate().optional(),
+  to: historicalDate('end').optional(),
+  sortBy: Joi.string().valid('start_date', 'end_date', 'event_name', 'duration_minutes', 'research_value').default('start_date'),
+  sortOrder: Joi.string().valid('asc', 'desc').default('asc'),
+  asOf: Joi.date().iso().optional()
+});
+
+// GET /api/timeline
+router.get('/', async (req, res) => {
+  try {
+    const { error, value } = forestSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    if (value.from && value.to && value.from >= value.to) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'from must be before to'
+      });
+    }
+
+    const timelines = await HistoricalEvent.findRootTimelines(value);
+    res.json(timelines);
+  } catch (error) {
+    logger.error('Timeline list error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/timeline/:rootEventId
+router.get('/:rootEventId', async (req, res) => {
+  try {
+    const { rootEventId } = req.params;
+
+    // Validate UUID format
+    if (!EVENT_ID_PATTERN.test(rootEventId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid UUID format for root event ID'
+      });
+    }
+
+    const { error, value } = timelineSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    if (value.from && value.to && value.from >= value.to) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'from must be before to'
+      });
+    }
+
+    const timeline = await HistoricalEvent.getTimeline(rootEventId.toLowerCase(), value);
+
+    if (!timeline) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Event not found'
+      });
+    }
+
+    res.json(timeline);
+  } catch (error) {
+    logger.error('Timeline error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/timeline/:rootEventId/export (download the timeline's events)
+router.get('/:rootEventId/export', async (req, res) => {
+  try {
+    const { rootEventId } = req.params;
+
+    if (!EVENT_ID_PATTERN.test(rootEventId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid UUID format for root event ID'
+      });
+    }
+
+    const { error, value } = timelineExportSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    if (value.from && value.to && value.from >= value.to) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'from must be before to'
+      });
+    }
+
+    const download = await ExportService.exportTimeline(rootEventId.toLowerCase(), value);
+    if (!download) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Event not found'
+      });
+    }
+
+    await sendDownload(res, download);
+  } catch (error) {
+    logger.error('Timeline export error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/timeline/:rootEventId/chart.svg (Gantt chart of the timeline)
+router.get('/:rootEventId/chart.svg', async (req, res) => {
+  try {
+    const { rootEventId } = req.params;
+
+    if (!EVENT_ID_PATTERN.test(rootEventId)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid UUID format for root event ID'
+      });
+    }
+
+    const { error, value } = timelineChartSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: error.details[0].message
+      });
+    }
+
+    if (value.from && value.to && value.from >= value.to) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'from must be before to'
+      });
+    }
+
+    const svg = await ChartService.timelineChart(rootEventId.toLowerCase(), value);
+    if (!svg) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Event not found'
+      });
+    }
+
+    res.type('image/svg+xml').send(svg);
+  } catch (error) {
+    logger.error('Timeline chart error:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
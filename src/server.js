@@ -9,13 +9,17 @@ const fs = require('fs');
 
 const logger = require('./config/logger');
 const { testConnection } = require('./config/database');
+const IngestionQueue = require('./services/IngestionQueue');
 
 // Import routes
 const eventRoutes = require('./routes/eventRoutes');
 const insightRoutes = require('./routes/insightRoutes');
+const timelineRoutes = require('./routes/timelineRoutes');
+const relationRoutes = require('./routes/relationRoutes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+let server;
 
 // Create necessary directories
 const createDirectories = () => {
@@ -29,7 +33,8 @@ const createDirectories = () => {
 
 // Middleware
 app.use(helmet());
-app.use(cors());
+// Let browsers read the pagination headers of overlapping-events
+app.use(cors({ exposedHeaders: ['X-Total-Count', 'X-Page', 'X-Limit', 'X-Next-Cursor'] }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -63,8 +68,12 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/timeline', timelineRoutes);
+// The timeline used to be served under /api/events; kept for existing clients
+app.use('/api/events/timeline', timelineRoutes);
 app.use('/api/events', eventRoutes);
 app.use('/api/insights', insightRoutes);
+app.use('/api/relations', relationRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -91,7 +100,11 @@ app.use((err, req, res, next) => {
 const gracefulShutdown = (signal) => {
   logger.info(`Received ${signal}. Shutting down gracefully...`);
   
-  server.close(() => {
+  // Running ingestion jobs stop at their next checkpoint and are requeued
+  Promise.all([
+    IngestionQueue.stop(),
+    new Promise(resolve => server.close(resolve))
+  ]).then(() => {
     logger.info('HTTP server closed.');
     process.exit(0);
   });
@@ -116,18 +129,37 @@ const startServer = async () => {
       process.exit(1);
     }
     
+    // Start the ingestion worker loop (resumes interrupted jobs)
+    await IngestionQueue.start();
+    
     // Start HTTP server
-    const server = app.listen(PORT, () => {
+    server = app.listen(PORT, () => {
       logger.info(`Chronologicon Engine started on port ${PORT}`);
       logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
       logger.info('API endpoints:');
       logger.info('  POST /api/events/ingest');
       logger.info('  GET  /api/events/ingestion-status/:jobId');
+      logger.info('  GET  /api/events/ingestion-status/:jobId/stream');
+      logger.info('  POST /api/events/ingestion-jobs/:jobId/cancel');
+      logger.info('  POST /api/events/ingestion-jobs/:jobId/retry');
+      logger.info('  DELETE /api/events/ingestion-jobs/:jobId');
+      logger.info('  GET  /api/timeline');
       logger.info('  GET  /api/timeline/:rootEventId');
+      logger.info('  GET  /api/timeline/:rootEventId/export');
+      logger.info('  GET  /api/timeline/:rootEventId/chart.svg');
       logger.info('  GET  /api/events/search');
+      logger.info('  GET  /api/events/search/export');
+      logger.info('  GET  /api/events/search/chart.svg');
+      logger.info('  GET|PUT|PATCH|DELETE /api/events/:eventId');
+      logger.info('  GET  /api/events/:eventId/history');
+      logger.info('  POST /api/events/:eventId/revisions/:revisionId/restore');
+      logger.info('  GET|POST /api/relations');
+      logger.info('  GET|PATCH|DELETE /api/relations/:relationId');
       logger.info('  GET  /api/insights/overlapping-events');
+      logger.info('  GET  /api/insights/concurrency');
       logger.info('  GET  /api/insights/temporal-gaps');
       logger.info('  GET  /api/insights/event-influence');
+      logger.info('  GET  /api/insights/hierarchy-violations');
     });
     
     // Handle graceful shutdown
@@ -0,0 +1,43 @@
+const HistoricalEvent = require('../models/HistoricalEvent');
+const { renderGanttChart } = require('./charts/ganttChart');
+
+// Most events drawn in one chart; the rest are counted below it
+const MAX_CHART_EVENTS = 1000;
+
+// SVG Gantt charts of a timeline or a page of search results (see
+// services/charts), rendered on the server
+class ChartService {
+  // Chart the timeline under a root event, each event indented by its level.
+  // options.maxDepth, options.from, options.to, options.sortBy,
+  // options.sortOrder and options.asOf select and order the events as for the
+  // timeline endpoint; options.width is the chart's width in pixels. Returns
+  // null when the root doesn't exist.
+  async timelineChart(rootEventId, options = {}) {
+    const { width, ...timelineOptions } = options;
+    const timeline = await HistoricalEvent.getTimeline(rootEventId, { ...timelineOptions, format: 'flat' });
+    if (!timeline) return null;
+
+    const [root] = timeline.events;
+    return renderGanttChart({
+      title: root.event_name,
+      events: timeline.events.slice(0, MAX_CHART_EVENTS),
+      hiddenEvents: Math.max(0, timeline.totalEvents - MAX_CHART_EVENTS),
+      width
+    });
+  }
+
+  // Chart the first filters.limit events matching search filters, in the
+  // search's sort order
+  async searchChart(filters = {}, options = {}) {
+    const result = await HistoricalEvent.search({ ...filters, page: 1 });
+
+    return renderGanttChart({
+      title: filters.name ? `Events matching "${filters.name}"` : 'Events',
+      events: result.events,
+      hiddenEvents: result.totalEvents - result.events.length,
+      width: options.width
+    });
+  }
+}
+
+module.exports = new ChartService();
@@ -0,0 +1,296 @@
+const HistoricalEvent = require('../models/HistoricalEvent');
+const EventRelation = require('../models/EventRelation');
+const BinaryHeap = require('../utils/binaryHeap');
+
+// The event hierarchy as a graph, for the Event Influence Spreader. Edges join
+// each event to its parent; paths may follow them down (parent to child), up
+// (child to parent) or both ways (so child, parent, sibling), weighed by one
+// of WEIGHTS. When asked to, paths also follow the typed relations between
+// events (see EventRelation): forwards when going down, backwards when going
+// up. The graph is loaded once and kept until the events or relations change:
+// each request compares the latest revision ID (every event write adds a
+// revision) and the relations version with the ones the graph was loaded at.
+
+const DIRECTIONS = ['down', 'up', 'both'];
+
+// Cost of stepping from one event to the next (over a parent/child link or,
+// with step.relation, a relation):
+// - duration: minutes the next event lasts
+// - hops: 1 per step
+// - temporal: minutes between the two events' starts
+// - researchValue: 1 / (1 + the next event's research value), so paths through
+//   valuable events cost less (events without one count as 0)
+// - relationWeight: the relation's weight (1 when it has none); parent/child
+//   links cost 1
+const WEIGHTS = {
+  duration: (from, to) => to.duration_minutes,
+  hops: () => 1,
+  temporal: (from, to) => Math.abs(to.start - from.start) / 60000,
+  researchValue: (from, to) => 1 / (1 + (to.research_value || 0)),
+  relationWeight: (from, to, step) => (step.relation && step.relation.weight !== null ? step.relation.weight : 1)
+};
+
+// Reload at least this often, in case a write committed after a load but
+// before a later revision was read
+const MAX_GRAPH_AGE_MS = 5 * 60 * 1000;
+
+// Steps one away from an event in a direction: { eventId, via } where via is
+// 'child', 'parent' or, with relation, the relation's type. Relations of the
+// given types are followed from source to target when going down and back
+// from target to source (reversed) when going up.
+const neighbors = (graph, eventId, direction, relationTypes) => {
+  const steps = [];
+  const relationSteps = (edges, reversed) => edges
+    .filter(edge => relationTypes.includes(edge.relation_type))
+    .forEach(edge => {
+      const neighborId = reversed ? edge.source_event_id : edge.target_event_id;
+      if (graph.nodes.has(neighborId)) steps.push({ eventId: neighborId, via: edge.relation_type, relation: edge, reversed });
+    });
+
+  if (direction !== 'up') {
+    (graph.children.get(eventId) || []).forEach(childId => steps.push({ eventId: childId, via: 'child' }));
+    relationSteps(graph.outgoing.get(eventId) || [], false);
+  }
+  if (direction !== 'down') {
+    const { parent_event_id: parentId } = graph.nodes.get(eventId);
+    if (parentId && graph.nodes.has(parentId)) steps.push({ eventId: parentId, via: 'parent' });
+    relationSteps(graph.incoming.get(eventId) || [], true);
+  }
+  return steps;
+};
+
+// Dijkstra's algorithm from source to target, skipping the blocked events
+// and steps ('from>to'). Returns { eventIds, steps, cost } or null, where
+// steps[i] is the step taken to eventIds[i + 1].
+const shortestPath = (graph, sourceId, targetId, { direction, weight, relationTypes, blockedEvents = new Set(), blockedSteps = new Set() }) => {
+  const stepCost = WEIGHTS[weight];
+  const costs = new Map([[sourceId, 0]]);
+  const previous = new Map();
+  const visited = new Set();
+  const queue = new BinaryHeap((a, b) => a.cost - b.cost);
+  queue.push({ eventId: sourceId, cost: 0 });
+
+  while (queue.size > 0) {
+    const current = queue.pop();
+    if (visited.has(current.eventId)) continue;
+    visited.add(current.eventId);
+
+    if (current.eventId === targetId) {
+      const eventIds = [targetId];
+      const steps = [];
+      while (previous.has(eventIds[0])) {
+        const { fromId, step } = previous.get(eventIds[0]);
+        eventIds.unshift(fromId);
+        steps.unshift(step);
+      }
+      return { eventIds, steps, cost: current.cost };
+    }
+
+    const from = graph.nodes.get(current.eventId);
+    neighbors(graph, current.eventId, direction, relationTypes).forEach(step => {
+      const neighborId = step.eventId;
+      if (visited.has(neighborId) || blockedEvents.has(neighborId) || blockedSteps.has(`${current.eventId}>${neighborId}`)) {
+        return;
+      }
+
+      const cost = current.cost + stepCost(from, graph.nodes.get(neighborId), step);
+      if (cost < (costs.has(neighborId) ? costs.get(neighborId) : Infinity)) {
+        costs.set(neighborId, cost);
+        previous.set(neighborId, { fromId: current.eventId, step });
+        queue.push({ eventId: neighborId, cost });
+      }
+    });
+  }
+
+  return null;
+};
+
+// Cost of following the first steps of a path
+const pathCost = (graph, { eventIds, steps }, stepCount, weight) => {
+  let cost = 0;
+  for (let i = 0; i < stepCount; i += 1) {
+    cost += WEIGHTS[weight](graph.nodes.get(eventIds[i]), graph.nodes.get(eventIds[i + 1]), steps[i]);
+  }
+  return cost;
+};
+
+// Up to k loopless paths from source to target, cheapest first (Yen's
+// algorithm: each further path leaves an earlier one at some event and
+// takes the cheapest way on that the earlier paths don't)
+const kShortestPaths = (graph, sourceId, targetId, k, { direction, weight, relationTypes }) => {
+  const first = shortestPath(graph, sourceId, targetId, { direction, weight, relationTypes });
+  if (!first) return [];
+
+  const paths = [first];
+  const candidates = new BinaryHeap((a, b) => a.cost - b.cost);
+  const seen = new Set([first.eventIds.join('>')]);
+
+  while (paths.length < k) {
+    const lastPath = paths[paths.length - 1];
+    const last = lastPath.eventIds;
+
+    for (let i = 0; i < last.length - 1; i += 1) {
+      const spurId = last[i];
+      const rootIds = last.slice(0, i + 1);
+      const rootKey = rootIds.join('>');
+
+      const blockedSteps = new Set();
+      paths.forEach(({ eventIds }) => {
+        if (eventIds.length > i + 1 && eventIds.slice(0, i + 1).join('>') === rootKey) {
+          blockedSteps.add(`${eventIds[i]}>${eventIds[i + 1]}`);
+        }
+      });
+      const blockedEvents = new Set(rootIds.slice(0, -1));
+
+      const spur = shortestPath(graph, spurId, targetId, { direction, weight, relationTypes, blockedEvents, blockedSteps });
+      if (!spur) continue;
+
+      const eventIds = [...rootIds.slice(0, -1), ...spur.eventIds];
+      const key = eventIds.join('>');
+      if (!seen.has(key)) {
+        seen.add(key);
+        candidates.push({
+          eventIds,
+          steps: [...lastPath.steps.slice(0, i), ...spur.steps],
+          cost: pathCost(graph, lastPath, i, weight) + spur.cost
+        });
+      }
+    }
+
+    if (candidates.size === 0) break;
+    paths.push(candidates.pop());
+  }
+
+  return paths;
+};
+
+class EventGraph {
+  constructor() {
+    this.graph = null;
+    this.loading = null;
+  }
+
+  // The cached graph, reloaded when the events or relations have changed
+  async getGraph() {
+    const revisionId = await HistoricalEvent.findLatestRevisionId();
+    const relationsVersion = await EventRelation.findVersion();
+    const { graph } = this;
+    if (graph && graph.revisionId === revisionId && graph.relationsVersion === relationsVersion
+      && Date.now() - graph.loadedAt < MAX_GRAPH_AGE_MS) {
+      return graph;
+    }
+
+    // Requests arriving during a load share it
+    if (!this.loading) {
+      this.loading = this.load(revisionId, relationsVersion).finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  async load(revisionId, relationsVersion) {
+    const rows = await HistoricalEvent.findGraphRows();
+    const edges = await EventRelation.findGraphEdges();
+    const nodes = new Map();
+    const children = new Map();
+    const outgoing = new Map();
+    const incoming = new Map();
+
+    rows.forEach(row => {
+      nodes.set(row.event_id, { ...row, start: row.start_date.getTime() });
+      if (row.parent_event_id) {
+        if (!children.has(row.parent_event_id)) children.set(row.parent_event_id, []);
+        children.get(row.parent_event_id).push(row.event_id);
+      }
+    });
+
+    edges.forEach(edge => {
+      if (!outgoing.has(edge.source_event_id)) outgoing.set(edge.source_event_id, []);
+      outgoing.get(edge.source_event_id).push(edge);
+      if (!incoming.has(edge.target_event_id)) incoming.set(edge.target_event_id, []);
+      incoming.get(edge.target_event_id).push(edge);
+    });
+
+    this.graph = { nodes, children, outgoing, incoming, revisionId, relationsVersion, loadedAt: Date.now() };
+    return this.graph;
+  }
+
+  // Find the k cheapest paths from one event to another. options.direction is
+  // one of DIRECTIONS (default 'down', parent to child), options.weight one of
+  // WEIGHTS (default 'duration') and options.k the number of paths (default 1).
+  // Relations are followed too when options.relationTypes lists their types,
+  // or with options.includeRelations (every type). Each event after the first
+  // on a path says how it was reached (via, plus relation_id and reversed for
+  // a relation).
+  async findPaths(sourceEventId, targetEventId, options = {}) {
+    const direction = options.direction || 'down';
+    const weight = options.weight || 'duration';
+    const relationTypes = options.relationTypes && options.relationTypes.length > 0
+      ? options.relationTypes
+      : options.includeRelations ? EventRelation.RELATION_TYPES : [];
+    const graph = await this.getGraph();
+
+    const found = graph.nodes.has(sourceEventId) && graph.nodes.has(targetEventId)
+      ? kShortestPaths(graph, sourceEventId, targetEventId, options.k || 1, { direction, weight, relationTypes })
+      : [];
+
+    const paths = found.map(({ eventIds, steps, cost }, index) => {
+      const path = eventIds.map((eventId, position) => {
+        const event = graph.nodes.get(eventId);
+        const step = steps[position - 1];
+        return {
+          event_id: event.event_id,
+          event_name: event.event_name,
+          duration_minutes: event.duration_minutes,
+          ...(step && { via: step.via }),
+          ...(step && step.relation && { relation_id: step.relation.relation_id, reversed: step.reversed })
+        };
+      });
+      return {
+        rank: index + 1,
+        path,
+        hops: path.length - 1,
+        totalCost: Math.round(cost * 10000) / 10000,
+        totalDurationMinutes: path.reduce((sum, event) => sum + event.duration_minutes, 0)
+      };
+    });
+
+    if (paths.length === 0) {
+      return {
+        sourceEventId,
+        targetEventId,
+        direction,
+        weight,
+        relationTypes,
+        shortestPath: [],
+        totalDurationMinutes: 0,
+        paths: [],
+        message: "No temporal path found from source to target event."
+      };
+    }
+
+    return {
+      sourceEventId,
+      targetEventId,
+      direction,
+      weight,
+      relationTypes,
+      shortestPath: paths[0].path,
+      totalDurationMinutes: paths[0].totalDurationMinutes,
+      totalCost: paths[0].totalCost,
+      paths,
+      message: paths.length > 1
+        ? `${paths.length} temporal paths found from source to target event.`
+        : "Shortest temporal path found from source to target event."
+    };
+  }
+}
+
+const eventGraph = new EventGraph();
+
+// Directions and weights paths can be found with
+eventGraph.DIRECTIONS = DIRECTIONS;
+eventGraph.WEIGHTS = Object.keys(WEIGHTS);
+
+module.exports = eventGraph;
@@ -0,0 +1,62 @@
+const HistoricalEvent = require('../models/HistoricalEvent');
+const exportFormats = require('./exports');
+
+// Exports of a timeline or a search result set in one of the export formats
+// (see services/exports). Events are read through a database cursor and
+// written a batch at a time, so exports of any size are streamed.
+class ExportService {
+  // Describe an export: its file name, content type and content, an async
+  // generator of text chunks (one per batch of events)
+  buildExport(exporter, baseName, batches, context) {
+    async function* content() {
+      yield exporter.header(context);
+
+      let first = true;
+      for await (const rows of batches()) {
+        const entries = rows.map(row => exporter.formatEvent(row, context)).filter(entry => entry !== null);
+        if (entries.length === 0) continue;
+
+        yield `${first ? '' : exporter.separator}${entries.join(exporter.separator)}`;
+        first = false;
+      }
+
+      yield exporter.footer(context);
+    }
+
+    return {
+      fileName: `${baseName}${exporter.extension}`,
+      contentType: exporter.contentType,
+      content
+    };
+  }
+
+  // Export the timeline under a root event, parents before their children.
+  // options.maxDepth, options.from, options.to and options.asOf select the
+  // events as for the timeline endpoint. Returns null when the root doesn't exist.
+  async exportTimeline(rootEventId, options = {}) {
+    const exporter = exportFormats.getExporter(options.format || exportFormats.DEFAULT_EXPORT_FORMAT);
+    const root = await HistoricalEvent.findTimelineRoot(rootEventId, options.asOf);
+    if (!root) return null;
+
+    return this.buildExport(
+      exporter,
+      `timeline-${rootEventId}`,
+      () => HistoricalEvent.streamTimeline(rootEventId, options),
+      { title: root.event_name, exportedAt: new Date() }
+    );
+  }
+
+  // Export every event matching search filters, in the search's sort order
+  exportSearch(filters = {}, options = {}) {
+    const exporter = exportFormats.getExporter(options.format || exportFormats.DEFAULT_EXPORT_FORMAT);
+
+    return this.buildExport(
+      exporter,
+      'events',
+      () => HistoricalEvent.streamSearch(filters),
+      { title: filters.name ? `Events matching "${filters.name}"` : 'Events', exportedAt: new Date() }
+    );
+  }
+}
+
+module.exports = new ExportService();
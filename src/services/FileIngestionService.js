@@ -1,14 +1,59 @@
 const fs = require('fs').promises;
+const { EventEmitter } = require('events');
 const readline = require('readline');
 const { createReadStream } = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const HistoricalEvent = require('../models/HistoricalEvent');
+const EventRelation = require('../models/EventRelation');
 const IngestionJob = require('../models/IngestionJob');
+const DeferredEvent = require('../models/DeferredEvent');
+const IngestionError = require('../models/IngestionError');
+const IngestionRepair = require('../models/IngestionRepair');
 const logger = require('../config/logger');
+const formats = require('./formats');
+const { parseFuzzyDate, eventDateColumns, isSupportedDate } = require('../utils/fuzzyDate');
+const pipeFormat = require('./formats/pipe');
+const { repairRecord, repairFlag } = require('./formats/repairs');
+const {
+  DEFAULT_COLUMNS, REQUIRED_COLUMNS, KNOWN_COLUMNS, EVENT_LAYOUT, RELATION_LAYOUT, parseHeader
+} = require('./formats/columns');
 
-class FileIngestionService {
+// Error carrying the HTTP status the routes should answer with
+const jobError = (message, status) => Object.assign(new Error(message), { status });
+
+// Error for a line that can't be ingested: code identifies the problem and
+// field the event field it concerns (see ingestion_errors)
+const lineError = (code, field, message) => Object.assign(new Error(message), { code, field });
+
+// Error codes for rows the database rejected, by PostgreSQL SQLSTATE
+const DATABASE_ERROR_CODES = {
+  '23505': { code: 'DUPLICATE_EVENT', field: 'event_id' },
+  '23503': { code: 'MISSING_PARENT', field: 'parent_event_id' },
+  '23514': { code: 'CONSTRAINT_VIOLATION', field: null }
+};
+
+// The same for relations; a missing event's ID is named in the error detail
+const RELATION_ERROR_CODES = {
+  '23505': { code: 'DUPLICATE_RELATION', field: 'relation_type' },
+  '23503': { code: 'MISSING_EVENT', field: null },
+  '23514': { code: 'CONSTRAINT_VIOLATION', field: null }
+};
+
+// How many line errors (and repaired lines) the job status includes; the rest
+// are paged through /errors and /repairs
+const STATUS_ERROR_LIMIT = 100;
+
+// How many findings a dry run reports; the counts still cover every line
+const DRY_RUN_FINDING_LIMIT = 1000;
+
+// Minimum time between 'progress' events of a job
+const PROGRESS_INTERVAL_MS = 500;
+
+class FileIngestionService extends EventEmitter {
   constructor() {
-    this.activeJobs = new Map();
+    super();
+    // Every open progress stream subscribes to 'progress' and 'finished'
+    this.setMaxListeners(0);
   }
 
   // Generate unique job ID
@@ -16,30 +61,44 @@ class FileIngestionService {
     return `ingest-job-${Date.now()}-${uuidv4().substring(0, 8)}`;
   }
 
-  // Start file ingestion process
-  async startIngestion(filePath) {
+  // Queue a file for ingestion as a job for IngestionQueue to run
+  async startIngestion(filePath, options = {}) {
     const jobId = this.generateJobId();
     
     try {
+      // An explicit format wins over the upload's MIME type and the extension
+      const format = formats.resolveFormat({ format: options.format, mimeType: options.mimeType, filePath });
+      // How existing events are treated (see HistoricalEvent.WRITE_MODES)
+      const mode = options.mode || 'insert-only';
+      const jobOptions = { format, mode };
+      if (options.content === 'relations') jobOptions.content = 'relations';
+      if (options.repair) jobOptions.repair = true;
+      // Retries read only the failed lines of the original file
+      if (options.retryOf) jobOptions.retryOf = options.retryOf;
+      if (options.lines) jobOptions.lines = options.lines;
+
       // Check if file exists
       await fs.access(filePath);
       
       // Create job record
-      const job = await IngestionJob.create({
+      await IngestionJob.create({
         job_id: jobId,
         file_path: filePath,
-        status: 'PROCESSING'
+        status: 'QUEUED',
+        options: jobOptions
       });
 
-      // Start processing asynchronously
-      this.processFile(jobId, filePath).catch(error => {
-        logger.error(`Job ${jobId} failed:`, error);
-        IngestionJob.fail(jobId, `Processing failed: ${error.message}`);
-      });
+      // A running queue claims it without waiting for its next poll
+      this.emit('queued', jobId);
 
       return {
         status: "Ingestion initiated",
         jobId: jobId,
+        format,
+        mode,
+        ...(jobOptions.content && { content: jobOptions.content }),
+        ...(options.repair && { repair: true }),
+        ...(options.retryOf && { retryOf: options.retryOf }),
         message: `Check /api/events/ingestion-status/${jobId} for updates.`
       };
     } catch (error) {
@@ -48,88 +107,574 @@ class FileIngestionService {
     }
   }
 
-  // Process file line by line
-  async processFile(jobId, filePath) {
+  // Process a claimed job's file record by record, checkpointing every 100
+  // records so an interrupted job resumes where it stopped
+  async processFile(jobId, filePath, options = {}) {
     logger.info(`Starting file processing for job ${jobId}`);
     
     try {
-      // First pass: count total lines
-      const totalLines = await this.countLines(filePath);
-      await IngestionJob.updateProgress(jobId, { total_lines: totalLines });
+      const job = await IngestionJob.findById(jobId);
+      const adapter = formats.getAdapter(options.format || formats.DEFAULT_FORMAT);
+      // Relations files hold links between existing events (see buildRelation)
+      const relations = options.content === 'relations';
+      const layout = relations ? RELATION_LAYOUT : EVENT_LAYOUT;
+      const resumeAfterLine = job.last_committed_line || 0;
+      const selectedLines = options.lines ? new Set(options.lines) : null;
 
-      const fileStream = createReadStream(filePath);
-      const rl = readline.createInterface({
-        input: fileStream,
-        crlfDelay: Infinity
-      });
+      let totalLines = job.total_lines || 0;
+
+      if (resumeAfterLine > 0) {
+        logger.info(`Job ${jobId} resuming after line ${resumeAfterLine}`);
+      } else {
+        // First pass: count total lines (or records, for formats that aren't line based)
+        totalLines = selectedLines ? selectedLines.size : adapter.countRecords
+          ? await adapter.countRecords(filePath, layout)
+          : await this.countLines(filePath);
+        await IngestionJob.updateProgress(jobId, { total_lines: totalLines });
+      }
 
-      let lineNumber = 0;
-      let processedLines = 0;
-      let errorLines = 0;
-      const batchSize = 100;
+      let recordCount = 0;
+      let processedLines = job.processed_lines || 0;
+      let errorLines = job.error_lines || 0;
+      let repairedLines = job.repaired_lines || 0;
+      const checkpointInterval = 100;
       let eventBatch = [];
+      let lineErrors = [];
+      let lineRepairs = [];
+      const counts = {
+        inserted: job.inserted_count || 0,
+        updated: job.updated_count || 0,
+        unchanged: job.unchanged_count || 0,
+        skipped: job.skipped_count || 0
+      };
+
+      // Throughput and ETA are measured over this run, so a resumed job's
+      // estimate isn't skewed by the lines it skips
+      const linesBeforeRun = processedLines + errorLines;
+      const runStartedAt = Date.now();
+      let lastProgressAt = 0;
+
+      // Emit 'progress' at most every PROGRESS_INTERVAL_MS, and at each checkpoint
+      const reportProgress = (force = false) => {
+        const now = Date.now();
+        if (!force && now - lastProgressAt < PROGRESS_INTERVAL_MS) return;
+        lastProgressAt = now;
+
+        const elapsedSeconds = (now - runStartedAt) / 1000;
+        const throughput = elapsedSeconds > 0 ? recordCount / elapsedSeconds : 0;
+        const linesRead = linesBeforeRun + recordCount;
+
+        this.emit('progress', {
+          jobId,
+          status: 'PROCESSING',
+          linesRead,
+          totalLines,
+          processedLines,
+          errorLines,
+          repairedLines,
+          ...counts,
+          linesPerSecond: Math.round(throughput),
+          etaSeconds: throughput > 0 ? Math.ceil(Math.max(totalLines - linesRead, 0) / throughput) : null
+        });
+      };
+
+      const flushBatch = async () => {
+        if (eventBatch.length === 0) return;
+
+        try {
+          const result = relations
+            ? await this.insertRelationBatch(jobId, eventBatch, options.mode)
+            : await this.insertBatch(jobId, eventBatch, options.mode);
+          processedLines += result.releasedLines - result.deferredLines - result.failedLines;
+          errorLines += result.failedLines;
+          Object.keys(counts).forEach(key => {
+            counts[key] += result.counts[key];
+          });
+        } catch (error) {
+          logger.error(`Error processing batch ending at line ${eventBatch[eventBatch.length - 1].metadata.line_number}:`, error);
+          errorLines += eventBatch.length;
+          processedLines -= eventBatch.length;
+        }
+        eventBatch = [];
+      };
+
+      const progressFields = () => ({
+        processed_lines: processedLines,
+        error_lines: errorLines,
+        repaired_lines: repairedLines,
+        inserted_count: counts.inserted,
+        updated_count: counts.updated,
+        unchanged_count: counts.unchanged,
+        skipped_count: counts.skipped
+      });
 
-      for await (const line of rl) {
-        lineNumber++;
+      // Commit the pending batch, parse errors and repairs, then record the
+      // checkpoint: the last line read with the counters. (A crash between the
+      // two replays that batch.) Returns the job row, whose status tells whether
+      // it was cancelled meanwhile.
+      const checkpoint = async (lineNumber) => {
+        await flushBatch();
+        await IngestionError.bulkCreate(jobId, lineErrors);
+        await IngestionRepair.bulkCreate(jobId, lineRepairs);
+        lineErrors = [];
+        lineRepairs = [];
+        return IngestionJob.updateProgress(jobId, {
+          ...progressFields(),
+          last_committed_line: lineNumber,
+          heartbeat_at: new Date()
+        });
+      };
+
+      let lastLine = resumeAfterLine;
+
+      for await (const record of adapter.records(filePath, layout)) {
+        const { lineNumber } = record;
+
+        if (record.header) {
+          logger.info(`Job ${jobId} detected header with columns: ${record.header.join(', ')}`);
+          await IngestionJob.updateProgress(jobId, { header_line: record.raw });
+          continue;
+        }
+
+        // Already committed before an interruption, or not selected for a retry
+        if (lineNumber <= resumeAfterLine || (selectedLines && !selectedLines.has(lineNumber))) {
+          continue;
+        }
+
+        recordCount++;
+        lastLine = lineNumber;
         
         try {
-          const eventData = this.parseLine(line, lineNumber, filePath);
-          if (eventData) {
-            eventBatch.push(eventData);
-            processedLines++;
+          // Repair mode fixes known data-quality problems in event lines
+          const { fields, repairs } = this.readRecord(record, adapter, options.repair && !relations);
+          const entry = relations
+            ? this.buildRelation(fields, lineNumber, filePath)
+            : this.buildEvent(fields, lineNumber, filePath, repairs);
+          eventBatch.push({ ...this.tagWithJob(entry, jobId), raw_line: record.raw });
+          processedLines++;
+
+          if (repairs.length > 0) {
+            repairedLines++;
+            lineRepairs.push(this.describeRepair(lineNumber, record.raw, repairs));
           }
         } catch (error) {
           errorLines++;
-          await IngestionJob.addError(jobId, `Line ${lineNumber}: ${error.message}`);
+          lineErrors.push(this.describeLineError(lineNumber, record.raw, error));
           logger.warn(`Error parsing line ${lineNumber}:`, error.message);
         }
 
-        // Process batch when it reaches the batch size
-        if (eventBatch.length >= batchSize) {
-          try {
-            await HistoricalEvent.bulkCreate(eventBatch);
-            eventBatch = [];
-          } catch (error) {
-            logger.error(`Error processing batch at line ${lineNumber}:`, error);
-            errorLines += eventBatch.length;
-            processedLines -= eventBatch.length;
-            eventBatch = [];
+        reportProgress();
+
+        if (recordCount % checkpointInterval === 0) {
+          const progress = await checkpoint(lineNumber);
+          reportProgress(true);
+
+          if (progress.status === 'CANCELLED') {
+            logger.info(`Job ${jobId} cancelled after line ${lineNumber}`);
+            await this.emitFinished(jobId);
+            return { interrupted: false, cancelled: true };
           }
-        }
 
-        // Update progress every 100 lines
-        if (lineNumber % 100 === 0) {
-          await IngestionJob.updateProgress(jobId, {
-            processed_lines: processedLines,
-            error_lines: errorLines
-          });
+          // The queue aborts the signal on shutdown; the job resumes on restart
+          if (options.signal && options.signal.aborted) {
+            logger.info(`Job ${jobId} interrupted after line ${lineNumber}`);
+            return { interrupted: true };
+          }
         }
       }
 
       // Process remaining events in the last batch
-      if (eventBatch.length > 0) {
-        try {
-          await HistoricalEvent.bulkCreate(eventBatch);
-        } catch (error) {
-          logger.error('Error processing final batch:', error);
-          errorLines += eventBatch.length;
-          processedLines -= eventBatch.length;
+      await checkpoint(lastLine);
+
+      // Whatever is still deferred never found its parent in this file
+      const orphanLines = await DeferredEvent.countByJob(jobId);
+
+      // Complete the job
+      const completed = await IngestionJob.complete(jobId);
+      if (!completed) {
+        logger.info(`Job ${jobId} cancelled before it could complete`);
+        await this.emitFinished(jobId);
+        return { interrupted: false, cancelled: true };
+      }
+
+      logger.info(`Job ${jobId} completed. Processed: ${processedLines}, Errors: ${errorLines}, Repaired: ${repairedLines}, Orphans: ${orphanLines}, ` +
+        `Inserted: ${counts.inserted}, Updated: ${counts.updated}, Unchanged: ${counts.unchanged}, Skipped: ${counts.skipped}`);
+      await this.emitFinished(jobId);
+      return { interrupted: false };
+    } catch (error) {
+      const failed = await IngestionJob.fail(jobId, `Processing failed: ${error.message}`);
+      if (!failed) {
+        logger.info(`Job ${jobId} cancelled before it could fail: ${error.message}`);
+        await this.emitFinished(jobId);
+        return { interrupted: false, cancelled: true };
+      }
+
+      logger.error(`Job ${jobId} failed:`, error);
+      await this.emitFinished(jobId);
+      return { interrupted: false };
+    }
+  }
+
+  // Emit 'finished' with the job's final status for open progress streams
+  async emitFinished(jobId) {
+    try {
+      this.emit('finished', await this.getJobStatus(jobId));
+    } catch (error) {
+      logger.error(`Could not report the end of job ${jobId}:`, error);
+    }
+  }
+
+  // Validate a file without writing anything (dry run); returns a report of
+  // per-line errors, warnings and info findings
+  async validateFile(filePath, options = {}) {
+    const format = formats.resolveFormat({ format: options.format, mimeType: options.mimeType, filePath });
+    const mode = options.mode || 'insert-only';
+    const adapter = formats.getAdapter(format);
+
+    await fs.access(filePath);
+
+    const findings = [];
+    const events = new Map();
+    let totalLines = 0;
+
+    for await (const record of adapter.records(filePath)) {
+      if (record.header) continue;
+
+      const { lineNumber } = record;
+      totalLines++;
+
+      try {
+        // Each line is parsed and validated as an ingestion would; fixes repair
+        // mode would apply are reported as info
+        const { fields, repairs } = this.readRecord(record, adapter, options.repair);
+        const event = this.buildEvent(fields, lineNumber, filePath, repairs);
+        if (repairs.length > 0) {
+          findings.push({
+            lineNumber,
+            severity: 'info',
+            code: 'REPAIRED',
+            field: [...new Set(repairs.map(repair => repair.field))].join(', '),
+            message: `Would repair: ${repairs.map(repairFlag).join(', ')}`
+          });
+        }
+
+        const first = events.get(event.event_id);
+        if (first) {
+          findings.push({
+            lineNumber,
+            severity: mode === 'insert-only' ? 'error' : 'warning',
+            code: 'DUPLICATE_IN_FILE',
+            field: 'event_id',
+            message: `Event ID ${event.event_id} also appears on line ${first.metadata.line_number}`
+          });
+          continue;
         }
+        events.set(event.event_id, event);
+      } catch (error) {
+        const { error_code, field, message } = this.describeLineError(lineNumber, record.raw, error);
+        findings.push({ lineNumber, severity: 'error', code: error_code, field, message });
       }
+    }
 
-      // Complete the job
-      await IngestionJob.updateProgress(jobId, {
-        processed_lines: processedLines,
-        error_lines: errorLines,
-        status: 'COMPLETED',
-        end_time: new Date()
+    // Then the valid events against each other and the database: unknown
+    // parents, hierarchy cycles and children outside their parent's span
+    findings.push(...await this.checkHierarchy([...events.values()], mode));
+    findings.sort((a, b) => a.lineNumber - b.lineNumber);
+
+    const linesWith = (severity) => new Set(findings
+      .filter(finding => finding.severity === severity)
+      .map(finding => finding.lineNumber)).size;
+    const byCode = {};
+    findings.forEach(finding => {
+      byCode[finding.code] = (byCode[finding.code] || 0) + 1;
+    });
+
+    const errorLines = linesWith('error');
+
+    return {
+      dryRun: true,
+      filePath,
+      format,
+      mode,
+      ...(options.repair && { repair: true }),
+      totalLines,
+      validLines: totalLines - errorLines,
+      errorLines,
+      warningLines: linesWith('warning'),
+      repairedLines: byCode.REPAIRED || 0,
+      findingsByCode: byCode,
+      findings: findings.slice(0, DRY_RUN_FINDING_LIMIT),
+      findingsTruncated: findings.length > DRY_RUN_FINDING_LIMIT
+    };
+  }
+
+  // Dry-run checks of parsed events against each other and the database. The
+  // hierarchy is the file's parent links laid over the database's, so cycles
+  // through existing events (an upsert re-parenting an ancestor) are found too.
+  async checkHierarchy(events, mode) {
+    const findings = [];
+    const nodes = new Map(events.map(event => [event.event_id, {
+      parentId: event.parent_event_id,
+      start: event.start_date,
+      end: event.end_date
+    }]));
+
+    const existingIds = await HistoricalEvent.findExistingIds([...nodes.keys()]);
+
+    // Load the database ancestors of the file's events, level by level
+    const missingParents = new Set();
+    let frontier = [...new Set(events.map(event => event.parent_event_id).filter(id => id && !nodes.has(id)))];
+    while (frontier.length > 0) {
+      const rows = await HistoricalEvent.findHierarchyNodes(frontier);
+      rows.forEach(row => {
+        nodes.set(row.event_id, { parentId: row.parent_event_id, start: row.start_date, end: row.end_date });
       });
+      frontier.forEach(id => {
+        if (!nodes.has(id)) missingParents.add(id);
+      });
+      frontier = [...new Set(rows.map(row => row.parent_event_id).filter(id => id && !nodes.has(id)))];
+    }
+
+    // Every event has at most one parent, so walking up from each event finds
+    // any cycle the first time one of its members is reached
+    const visited = new Map();
+    const onCycle = new Set();
+    events.forEach(event => {
+      const path = [];
+      let current = event.event_id;
+      while (current && nodes.has(current) && !visited.has(current)) {
+        visited.set(current, 'visiting');
+        path.push(current);
+        current = nodes.get(current).parentId;
+      }
+      if (current && visited.get(current) === 'visiting') {
+        path.slice(path.indexOf(current)).forEach(id => onCycle.add(id));
+      }
+      path.forEach(id => visited.set(id, 'done'));
+    });
+
+    events.forEach(event => {
+      const lineNumber = event.metadata.line_number;
+      const parentId = event.parent_event_id;
+      const add = (severity, code, field, message) => findings.push({ lineNumber, severity, code, field, message });
+
+      if (existingIds.has(event.event_id)) {
+        if (mode === 'insert-only') {
+          add('error', 'DUPLICATE_EVENT', 'event_id', `Event ${event.event_id} already exists`);
+        } else {
+          add('info', 'EXISTING_EVENT', 'event_id',
+            `Event ${event.event_id} already exists and would be ${mode === 'upsert' ? 'updated if changed' : 'skipped'}`);
+        }
+      }
+
+      if (!parentId) return;
+
+      if (missingParents.has(parentId)) {
+        add('warning', 'UNKNOWN_PARENT', 'parent_event_id',
+          `Parent event ${parentId} is neither in the file nor in the database; the event would be deferred until it is ingested`);
+      } else if (onCycle.has(event.event_id)) {
+        add('error', 'HIERARCHY_CYCLE', 'parent_event_id', `Event ${event.event_id} is its own ancestor`);
+      } else {
+        const parent = nodes.get(parentId);
+        if (event.start_date < parent.start || event.end_date > parent.end) {
+          // Only rejected when containment is enforced
+          add(HistoricalEvent.isContainmentEnforced() ? 'error' : 'warning', 'OUTSIDE_PARENT_SPAN', event.start_date < parent.start ? 'start_date' : 'end_date',
+            `Event falls outside the time span of its parent ${parentId}`);
+        }
+      }
+    });
+
+    return findings;
+  }
+
+  // Record the job and source line as the event's provenance. metadata.job_id
+  // is the job that first inserted the event; metadata.sources lists every
+  // source that contributed a version of it, oldest first.
+  tagWithJob(eventData, jobId) {
+    const { source_file, line_number } = eventData.metadata;
+
+    return {
+      ...eventData,
+      metadata: {
+        ...eventData.metadata,
+        job_id: jobId,
+        sources: [{ job_id: jobId, source_file, line_number, ingested_at: new Date().toISOString() }]
+      }
+    };
+  }
+
+  // Insert a batch of parsed events parents-first. Events whose parent is neither
+  // in the batch nor in the database are deferred until an ingestion inserts the
+  // parent. Rows the database rejects are recorded as line errors. Returns how
+  // many of this job's lines were deferred, released or failed, and how many
+  // events were inserted, updated, unchanged or skipped.
+  async insertBatch(jobId, events, mode) {
+    const { ready, deferred } = await this.orderByParent(events);
+    await DeferredEvent.bulkCreate(jobId, deferred);
+
+    const result = await HistoricalEvent.bulkCreate(ready, { mode, jobId });
+    await this.recordInsertFailures(jobId, result.failed);
+
+    const counts = this.countOutcomes(result);
+    const released = await this.releaseDeferred(jobId, [...result.created, ...result.updated], mode);
+    Object.keys(counts).forEach(key => {
+      counts[key] += released.counts[key];
+    });
+
+    return {
+      deferredLines: deferred.length,
+      releasedLines: released.releasedLines,
+      failedLines: result.failed.length + released.failedLines,
+      counts
+    };
+  }
+
+  // Insert a batch of parsed relations. Rows the database rejects (an event
+  // that doesn't exist, a relation already there in insert-only mode) are
+  // recorded as line errors. Returns the same tallies as insertBatch.
+  async insertRelationBatch(jobId, relations, mode) {
+    const result = await EventRelation.bulkCreate(relations, { mode });
+    await this.recordInsertFailures(jobId, result.failed, RELATION_ERROR_CODES);
+
+    return {
+      deferredLines: 0,
+      releasedLines: 0,
+      failedLines: result.failed.length,
+      counts: this.countOutcomes(result)
+    };
+  }
+
+  // Tally a bulkCreate result
+  countOutcomes(result) {
+    return {
+      inserted: result.created.length,
+      updated: result.updated.length,
+      unchanged: result.unchanged.length,
+      skipped: result.skipped.length
+    };
+  }
+
+  // Insert deferred events (from any job) whose parents have just been written,
+  // then their own deferred children, and so on down the hierarchy. Rejected rows
+  // are reported against the job that read them. An unexpected failure leaves the
+  // remaining events deferred rather than failing the current batch.
+  async releaseDeferred(jobId, parentEvents, mode) {
+    let releasedLines = 0;
+    let failedLines = 0;
+    let parents = parentEvents;
+    const counts = { inserted: 0, updated: 0, unchanged: 0, skipped: 0 };
+
+    try {
+      while (parents.length > 0) {
+        const released = await DeferredEvent.findByParentIds(parents.map(event => event.event_id));
+        if (released.length === 0) break;
+
+        const result = await HistoricalEvent.bulkCreate(released.map(row => row.event_data), { mode, jobId });
+        await DeferredEvent.remove(released.map(row => row.deferred_id));
+
+        const jobByEvent = new Map(released.map(row => [row.event_data, row.job_id]));
+        for (const failure of result.failed) {
+          await this.recordInsertFailures(jobByEvent.get(failure.event), [failure]);
+        }
+
+        const batchCounts = this.countOutcomes(result);
+        Object.keys(counts).forEach(key => {
+          counts[key] += batchCounts[key];
+        });
+
+        releasedLines += released.filter(row => row.job_id === jobId).length;
+        failedLines += result.failed.filter(failure => jobByEvent.get(failure.event) === jobId).length;
+        parents = [...result.created, ...result.updated];
 
-      logger.info(`Job ${jobId} completed. Processed: ${processedLines}, Errors: ${errorLines}`);
+        logger.info(`Job ${jobId} wrote ${parents.length} deferred events whose parents arrived`);
+      }
     } catch (error) {
-      logger.error(`Job ${jobId} failed:`, error);
-      await IngestionJob.fail(jobId, `Processing failed: ${error.message}`);
+      logger.error(`Job ${jobId} could not insert deferred events:`, error);
+    }
+
+    return { releasedLines, failedLines, counts };
+  }
+
+  // Record the database error of each rejected row against its job
+  async recordInsertFailures(jobId, failures, errorCodes = DATABASE_ERROR_CODES) {
+    if (failures.length === 0) return;
+
+    await IngestionError.bulkCreate(jobId, failures.map(({ event, error }) => this.describeInsertFailure(event, error, errorCodes)));
+    await IngestionJob.addErrorLines(jobId, failures.length);
+  }
+
+  // Describe a line that failed to parse or validate as an ingestion_errors row
+  describeLineError(lineNumber, rawLine, error) {
+    return {
+      line_number: lineNumber,
+      error_code: error.code || 'INVALID_LINE',
+      field: error.field || null,
+      message: error.message,
+      raw_line: rawLine === undefined ? null : rawLine
+    };
+  }
+
+  // Describe a line repair mode fixed as an ingestion_repairs row
+  describeRepair(lineNumber, rawLine, repairs) {
+    return {
+      line_number: lineNumber,
+      repairs,
+      raw_line: rawLine === undefined ? null : rawLine
+    };
+  }
+
+  // Describe a row the database rejected, or that broke a hierarchy rule, as an
+  // ingestion_errors row
+  describeInsertFailure(event, error, errorCodes = DATABASE_ERROR_CODES) {
+    const { code, field } = errorCodes[error.code]
+      || (error.status ? { code: error.code, field: error.field } : { code: 'DATABASE_ERROR', field: null });
+    const detail = error.detail ? ` (${error.detail})` : '';
+
+    return {
+      line_number: event.metadata ? event.metadata.line_number : null,
+      error_code: code,
+      field: error.column || field,
+      message: `${error.message}${detail}`,
+      raw_line: event.raw_line || null
+    };
+  }
+
+  // Sort events so parents precede their children. Events whose parent is
+  // neither among the events nor in the database (or that sit on a parent
+  // cycle) can't be inserted yet and are returned separately.
+  async orderByParent(events) {
+    const batchIds = new Set(events.map(event => event.event_id));
+    const externalParentIds = [...new Set(events
+      .map(event => event.parent_event_id)
+      .filter(parentId => parentId && !batchIds.has(parentId)))];
+    const existingIds = await HistoricalEvent.findExistingIds(externalParentIds);
+
+    const childrenByParent = new Map();
+    const ready = [];
+
+    events.forEach(event => {
+      const parentId = event.parent_event_id;
+      if (!parentId || existingIds.has(parentId)) {
+        ready.push(event);
+      } else if (batchIds.has(parentId)) {
+        if (!childrenByParent.has(parentId)) {
+          childrenByParent.set(parentId, []);
+        }
+        childrenByParent.get(parentId).push(event);
+      }
+    });
+
+    // Breadth-first from the resolvable events appends children after their parents
+    for (let i = 0; i < ready.length; i++) {
+      const children = childrenByParent.get(ready[i].event_id) || [];
+      childrenByParent.delete(ready[i].event_id);
+      ready.push(...children);
     }
+
+    const readySet = new Set(ready);
+    const deferred = events.filter(event => !readySet.has(event));
+
+    return { ready, deferred };
   }
 
   // Count total lines in file
@@ -156,71 +701,362 @@ class FileIngestionService {
     });
   }
 
-  // Parse a single line from the file
-  parseLine(line, lineNumber, filePath) {
+  // Detect a pipe-delimited header row and return its column names mapped to
+  // event fields, or null when the line is a data row
+  parseHeader(line) {
+    return parseHeader(pipeFormat.splitValues(line));
+  }
+
+  // Parse a single pipe-delimited line from the file
+  parseLine(line, lineNumber, filePath, columns = DEFAULT_COLUMNS) {
     if (!line.trim()) {
       return null; // Skip empty lines
     }
 
-    const parts = line.split('|');
-    if (parts.length !== 6) {
-      throw new Error(`Malformed entry: expected 6 fields, got ${parts.length}`);
+    return this.buildEvent(pipeFormat.splitLine(line, columns), lineNumber, filePath);
+  }
+
+  // Get the named fields of a record from a format adapter, with the fixes
+  // applied when repair is on. Malformed entries that can't be repaired are
+  // rejected as MALFORMED_ENTRY.
+  readRecord(record, adapter, repair = false) {
+    const repaired = repair ? repairRecord(record, adapter) : null;
+    if (repaired) {
+      return repaired;
     }
 
-    const [eventId, eventName, startDate, endDate, parentId, description] = parts;
+    if (record.error) {
+      throw lineError('MALFORMED_ENTRY', null, record.error.message);
+    }
+
+    return { fields: record.fields, repairs: [] };
+  }
+
+  // Validate named fields and convert them into an event record. repairs lists
+  // the fixes repair mode applied to the fields, recorded in the parsing flags.
+  buildEvent(fields, lineNumber, filePath, repairs = []) {
+    const missing = REQUIRED_COLUMNS.filter(column => !fields[column]);
+    if (missing.length > 0) {
+      throw lineError('MISSING_FIELD', missing.join(', '), `Missing required fields: ${missing.join(', ')}`);
+    }
+
+    const eventId = fields.event_id || '';
+    const eventName = fields.event_name || '';
+    const startDate = fields.start_date || '';
+    const endDate = fields.end_date || '';
+    const parentId = fields.parent_event_id || '';
+    const description = fields.description || '';
 
     // Validate event ID (should be UUID format)
-    if (!this.isValidUUID(eventId.trim())) {
-      throw new Error(`Invalid UUID format: '${eventId.trim()}'`);
+    if (!this.isValidUUID(eventId)) {
+      throw lineError('INVALID_UUID', 'event_id', `Invalid UUID format: '${eventId}'`);
+    }
+
+    // Validate dates. Imprecise dates ("1450s", "circa 1450") span a period: the
+    // event starts at the beginning of the start date's period and ends at the
+    // end of the end date's.
+    let start;
+    let end;
+    try {
+      start = parseFuzzyDate(startDate);
+    } catch (error) {
+      throw lineError('INVALID_DATE', 'start_date', `Invalid start date format: '${startDate}'`);
     }
 
-    // Validate dates
-    const startDateObj = new Date(startDate.trim());
-    const endDateObj = new Date(endDate.trim());
+    try {
+      end = parseFuzzyDate(endDate);
+    } catch (error) {
+      throw lineError('INVALID_DATE', 'end_date', `Invalid end date format: '${endDate}'`);
+    }
 
-    if (isNaN(startDateObj.getTime())) {
-      throw new Error(`Invalid start date format: '${startDate.trim()}'`);
+    const startDateObj = start.start;
+    const endDateObj = end.end;
+
+    if (!isSupportedDate(startDateObj)) {
+      throw lineError('DATE_OUT_OF_RANGE', 'start_date', `Start date '${startDate}' is outside the supported range (4713 BC to 275759 AD)`);
     }
 
-    if (isNaN(endDateObj.getTime())) {
-      throw new Error(`Invalid end date format: '${endDate.trim()}'`);
+    if (!isSupportedDate(endDateObj)) {
+      throw lineError('DATE_OUT_OF_RANGE', 'end_date', `End date '${endDate}' is outside the supported range (4713 BC to 275759 AD)`);
     }
 
     if (startDateObj >= endDateObj) {
-      throw new Error(`Start date must be before end date`);
+      throw lineError('INVALID_DATE_RANGE', 'end_date', `Start date must be before end date`);
     }
 
     // Handle parent ID
     let parentEventId = null;
-    const parentIdTrimmed = parentId.trim();
-    if (parentIdTrimmed && parentIdTrimmed.toUpperCase() !== 'NULL') {
-      if (!this.isValidUUID(parentIdTrimmed)) {
-        throw new Error(`Invalid parent UUID format: '${parentIdTrimmed}'`);
+    if (parentId && parentId.toUpperCase() !== 'NULL') {
+      if (!this.isValidUUID(parentId)) {
+        throw lineError('INVALID_UUID', 'parent_event_id', `Invalid parent UUID format: '${parentId}'`);
+      }
+      parentEventId = parentId.toLowerCase();
+    }
+
+    // Handle research value (optional, non-negative number)
+    let researchValue = null;
+    const researchValueRaw = fields.research_value || '';
+    if (researchValueRaw && researchValueRaw.toUpperCase() !== 'NULL') {
+      researchValue = Number(researchValueRaw);
+      if (!Number.isFinite(researchValue) || researchValue < 0) {
+        throw lineError('INVALID_RESEARCH_VALUE', 'research_value', `Invalid research value: '${researchValueRaw}'`);
       }
-      parentEventId = parentIdTrimmed;
+    }
+
+    const metadata = {
+      source_file: filePath,
+      line_number: lineNumber,
+      parsing_flags: [
+        ...start.flags.map(flag => `start_date:${flag}`),
+        ...end.flags.map(flag => `end_date:${flag}`),
+        ...repairs.map(repairFlag)
+      ]
+    };
+
+    // Keep the dates as written (before any repair) when they had to be interpreted
+    const asWritten = (field, value) => {
+      const repair = repairs.find(candidate => candidate.field === field && candidate.original !== null);
+      return repair ? repair.original : value;
+    };
+    if (start.precision !== 'instant' || end.precision !== 'instant' || metadata.parsing_flags.length > 0) {
+      metadata.raw_dates = { start_date: asWritten('start_date', startDate), end_date: asWritten('end_date', endDate) };
+    }
+
+    // Columns the schema doesn't know about are kept as free-form attributes
+    const extraColumns = Object.keys(fields).filter(column => !KNOWN_COLUMNS.has(column));
+    if (extraColumns.length > 0) {
+      metadata.attributes = {};
+      extraColumns.forEach(column => {
+        metadata.attributes[column] = fields[column];
+      });
     }
 
     return {
-      event_id: eventId.trim(),
-      event_name: eventName.trim(),
-      description: description.trim() || null,
-      start_date: startDateObj,
-      end_date: endDateObj,
+      event_id: eventId.toLowerCase(),
+      event_name: eventName,
+      description: description || null,
+      ...eventDateColumns(start, end),
       parent_event_id: parentEventId,
-      metadata: {
-        source_file: filePath,
-        line_number: lineNumber,
-        parsing_flags: []
+      research_value: researchValue,
+      metadata
+    };
+  }
+
+  // Validate named fields of a relations file and convert them into a relation
+  // record. The type may be written with spaces or hyphens ("contemporaneous
+  // with"); the weight is optional.
+  buildRelation(fields, lineNumber, filePath) {
+    const missing = RELATION_LAYOUT.required.filter(column => !fields[column]);
+    if (missing.length > 0) {
+      throw lineError('MISSING_FIELD', missing.join(', '), `Missing required fields: ${missing.join(', ')}`);
+    }
+
+    const sourceId = fields.source_event_id;
+    const targetId = fields.target_event_id;
+    if (!this.isValidUUID(sourceId)) {
+      throw lineError('INVALID_UUID', 'source_event_id', `Invalid source UUID format: '${sourceId}'`);
+    }
+    if (!this.isValidUUID(targetId)) {
+      throw lineError('INVALID_UUID', 'target_event_id', `Invalid target UUID format: '${targetId}'`);
+    }
+    if (sourceId.toLowerCase() === targetId.toLowerCase()) {
+      throw lineError('SELF_RELATION', 'target_event_id', 'An event cannot be related to itself');
+    }
+
+    const relationType = fields.relation_type.toLowerCase().replace(/[\s-]+/g, '_');
+    if (!EventRelation.RELATION_TYPES.includes(relationType)) {
+      throw lineError('INVALID_RELATION_TYPE', 'relation_type',
+        `Invalid relation type: '${fields.relation_type}' (expected one of ${EventRelation.RELATION_TYPES.join(', ')})`);
+    }
+
+    let weight = null;
+    const weightRaw = fields.weight || '';
+    if (weightRaw && weightRaw.toUpperCase() !== 'NULL') {
+      weight = Number(weightRaw);
+      if (!Number.isFinite(weight) || weight < 0) {
+        throw lineError('INVALID_WEIGHT', 'weight', `Invalid weight: '${weightRaw}'`);
       }
+    }
+
+    const metadata = { source_file: filePath, line_number: lineNumber };
+
+    // Columns a relation doesn't have are kept as free-form attributes
+    const knownColumns = Object.values(RELATION_LAYOUT.aliases);
+    const extraColumns = Object.keys(fields).filter(column => !knownColumns.includes(column));
+    if (extraColumns.length > 0) {
+      metadata.attributes = {};
+      extraColumns.forEach(column => {
+        metadata.attributes[column] = fields[column];
+      });
+    }
+
+    return {
+      source_event_id: sourceId.toLowerCase(),
+      target_event_id: targetId.toLowerCase(),
+      relation_type: relationType,
+      weight,
+      description: fields.description || null,
+      metadata
     };
   }
 
-  // Validate UUID format
+  // Validate UUID format (any 8-4-4-4-12 hex identifier, as accepted by PostgreSQL;
+  // field exports don't always carry RFC 4122 version/variant bits)
   isValidUUID(str) {
-    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+    const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
     return uuidRegex.test(str);
   }
 
+  // Cancel a queued or running job
+  async cancelJob(jobId) {
+    const job = await IngestionJob.findById(jobId);
+    if (!job) {
+      throw jobError('Job not found', 404);
+    }
+
+    const cancelled = await IngestionJob.cancel(jobId);
+    if (!cancelled) {
+      throw jobError(`Job is already ${job.status}`, 409);
+    }
+
+    logger.info(`Job ${jobId} cancelled`);
+    return this.getJobStatus(jobId);
+  }
+
+  // Queue a new job for a finished job's file with the same format and mode,
+  // optionally reading only the lines that failed
+  async retryJob(jobId, { failedLinesOnly = false } = {}) {
+    const job = await IngestionJob.findById(jobId);
+    if (!job) {
+      throw jobError('Job not found', 404);
+    }
+
+    if (['QUEUED', 'PROCESSING'].includes(job.status)) {
+      throw jobError(`Job is still ${job.status}; cancel it before retrying`, 409);
+    }
+
+    const options = { ...job.options, retryOf: jobId };
+    delete options.lines;
+
+    if (failedLinesOnly) {
+      options.lines = await this.getFailedLines(jobId);
+      if (options.lines.length === 0) {
+        throw jobError('Job has no failed lines to retry', 409);
+      }
+    }
+
+    return this.startIngestion(job.file_path, options);
+  }
+
+  // Delete a finished job, optionally rolling back the events and relations it
+  // inserted
+  async deleteJob(jobId, { rollback = false } = {}) {
+    const job = await IngestionJob.findById(jobId);
+    if (!job) {
+      throw jobError('Job not found', 404);
+    }
+
+    if (['QUEUED', 'PROCESSING'].includes(job.status)) {
+      throw jobError(`Job is still ${job.status}; cancel it before deleting`, 409);
+    }
+
+    const { rolledBackEvents, rolledBackRelations } = await IngestionJob.remove(jobId, { rollback });
+    logger.info(`Job ${jobId} deleted${rollback ? `, ${rolledBackEvents} events and ${rolledBackRelations} relations rolled back` : ''}`);
+
+    return { jobId, deleted: true, rolledBackEvents, rolledBackRelations };
+  }
+
+  // Line numbers a job reported errors for, in file order
+  async getFailedLines(jobId) {
+    return IngestionError.findLineNumbers(jobId);
+  }
+
+  // Get a page of a job's line errors
+  async getJobErrors(jobId, filters = {}) {
+    const job = await IngestionJob.findById(jobId);
+    if (!job) {
+      throw jobError('Job not found', 404);
+    }
+
+    const result = await IngestionError.findByJob(jobId, filters);
+
+    return {
+      jobId,
+      errors: result.errors.map(error => ({
+        lineNumber: error.line_number,
+        code: error.error_code,
+        field: error.field,
+        message: error.message,
+        rawLine: error.raw_line
+      })),
+      totalErrors: result.totalErrors,
+      page: result.page,
+      limit: result.limit
+    };
+  }
+
+  // Get a page of the lines a job repaired
+  async getJobRepairs(jobId, filters = {}) {
+    const job = await IngestionJob.findById(jobId);
+    if (!job) {
+      throw jobError('Job not found', 404);
+    }
+
+    const result = await IngestionRepair.findByJob(jobId, filters);
+
+    return {
+      jobId,
+      repairs: result.repairs.map(line => ({
+        lineNumber: line.line_number,
+        fixes: line.repairs,
+        rawLine: line.raw_line
+      })),
+      totalRepairs: result.totalRepairs,
+      page: result.page,
+      limit: result.limit
+    };
+  }
+
+  // Describe a job's rejects file: the header (if the file had one) followed by
+  // the raw text of every rejected line, in the job's format so it can be
+  // corrected and uploaded again. content is an async generator of text chunks.
+  async getRejects(jobId) {
+    const job = await IngestionJob.findById(jobId);
+    if (!job) {
+      throw jobError('Job not found', 404);
+    }
+
+    const format = (job.options && job.options.format) || formats.DEFAULT_FORMAT;
+    const adapter = formats.getAdapter(format);
+    const isJsonArray = adapter.name === 'json';
+
+    async function* content() {
+      if (isJsonArray) yield '[\n';
+      else if (job.header_line) yield `${job.header_line}\n`;
+
+      let afterLine = 0;
+      let first = true;
+      for (;;) {
+        const rows = await IngestionError.findRejects(jobId, afterLine);
+        if (rows.length === 0) break;
+
+        for (const row of rows) {
+          yield isJsonArray ? `${first ? '' : ',\n'}${row.raw_line}` : `${row.raw_line}\n`;
+          first = false;
+        }
+        afterLine = rows[rows.length - 1].line_number;
+      }
+
+      if (isJsonArray) yield '\n]\n';
+    }
+
+    return {
+      fileName: `${jobId}-rejects${adapter.extensions[0]}`,
+      contentType: adapter.mimeTypes[0],
+      content
+    };
+  }
+
   // Get job status
   async getJobStatus(jobId) {
     try {
@@ -229,16 +1065,49 @@ class FileIngestionService {
         throw new Error('Job not found');
       }
 
+      const orphanLines = await DeferredEvent.countByJob(jobId);
+      const orphans = orphanLines > 0 ? await DeferredEvent.findByJob(jobId) : [];
+      const lineErrors = job.error_lines > 0
+        ? (await IngestionError.findByJob(jobId, { limit: STATUS_ERROR_LIMIT })).errors
+        : [];
+      const lineRepairs = job.repaired_lines > 0
+        ? (await IngestionRepair.findByJob(jobId, { limit: STATUS_ERROR_LIMIT })).repairs
+        : [];
+
       const response = {
         jobId: job.job_id,
         status: job.status,
         processedLines: job.processed_lines,
         errorLines: job.error_lines,
         totalLines: job.total_lines,
-        errors: job.errors || []
+        format: (job.options && job.options.format) || formats.DEFAULT_FORMAT,
+        mode: (job.options && job.options.mode) || 'insert-only',
+        ...(job.options && job.options.content && { content: job.options.content }),
+        insertedEvents: job.inserted_count,
+        updatedEvents: job.updated_count,
+        unchangedEvents: job.unchanged_count,
+        skippedEvents: job.skipped_count,
+        errors: [
+          ...(job.errors || []),
+          ...lineErrors.map(error => `Line ${error.line_number}: ${error.message}`)
+        ],
+        errorReport: `/api/events/ingestion-jobs/${jobId}/errors`,
+        ...(job.options && job.options.repair && {
+          repair: true,
+          repairedLines: job.repaired_lines,
+          repairs: lineRepairs.map(line => `Line ${line.line_number}: ${line.repairs.map(repairFlag).join(', ')}`),
+          repairReport: `/api/events/ingestion-jobs/${jobId}/repairs`
+        }),
+        ...(job.options && job.options.retryOf && { retryOf: job.options.retryOf }),
+        orphanLines,
+        orphans: orphans.map(orphan => ({
+          lineNumber: orphan.line_number,
+          eventId: orphan.event_id,
+          missingParentId: orphan.parent_event_id
+        }))
       };
 
-      if (job.status === 'COMPLETED') {
+      if (['COMPLETED', 'CANCELLED'].includes(job.status)) {
         response.startTime = job.start_time;
         response.endTime = job.end_time;
       }
@@ -250,10 +1119,35 @@ class FileIngestionService {
     }
   }
 
-  // Get all jobs
+  // Get a page of jobs, newest first
   async getAllJobs(filters = {}) {
+    const limit = parseInt(filters.limit) || 20;
+    const page = parseInt(filters.page) || 1;
+
     try {
-      return await IngestionJob.getAll(filters);
+      const jobs = await IngestionJob.getAll({ ...filters, limit, offset: (page - 1) * limit });
+      const totalJobs = await IngestionJob.count(filters);
+
+      return {
+        jobs: jobs.map(job => ({
+          jobId: job.job_id,
+          status: job.status,
+          filePath: job.file_path,
+          format: (job.options && job.options.format) || formats.DEFAULT_FORMAT,
+          mode: (job.options && job.options.mode) || 'insert-only',
+          ...(job.options && job.options.retryOf && { retryOf: job.options.retryOf }),
+          totalLines: job.total_lines,
+          processedLines: job.processed_lines,
+          errorLines: job.error_lines,
+          ...(job.options && job.options.repair && { repair: true, repairedLines: job.repaired_lines }),
+          createdAt: job.created_at,
+          startTime: job.start_time,
+          endTime: job.end_time
+        })),
+        totalJobs,
+        page,
+        limit
+      };
     } catch (error) {
       logger.error('Error getting all jobs:', error);
       throw error;
@@ -261,4 +1155,9 @@ class FileIngestionService {
   }
 }
 
-module.exports = new FileIngestionService();
+const fileIngestionService = new FileIngestionService();
+
+// What a file can hold: events, or relations between existing events
+fileIngestionService.CONTENTS = ['events', 'relations'];
+
+module.exports = fileIngestionService;
@@ -0,0 +1,124 @@
+const os = require('os');
+const IngestionJob = require('../models/IngestionJob');
+const FileIngestionService = require('./FileIngestionService');
+const logger = require('../config/logger');
+
+// Postgres-backed worker loop for ingestion jobs. Jobs are created as QUEUED
+// rows in ingestion_jobs; each poll claims queued jobs (up to the configured
+// concurrency) and runs them through FileIngestionService.processFile, which
+// checkpoints as it goes. Jobs left PROCESSING by a worker that stopped sending
+// heartbeats are requeued and resume from their checkpoint.
+class IngestionQueue {
+  constructor() {
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.concurrency = parseInt(process.env.INGESTION_CONCURRENCY) || 2;
+    this.pollIntervalMs = parseInt(process.env.INGESTION_POLL_INTERVAL_MS) || 1000;
+    this.staleAfterMs = parseInt(process.env.INGESTION_STALE_AFTER_MS) || 2 * 60 * 1000;
+    this.maxAttempts = parseInt(process.env.INGESTION_MAX_ATTEMPTS) || 3;
+
+    this.activeJobs = new Map();
+    this.running = false;
+    this.polling = false;
+    this.lastSweep = 0;
+    this.onQueued = () => this.poll();
+  }
+
+  // Start polling for jobs, first requeueing any interrupted by a previous run
+  // (including our own, if we restarted under the same worker ID)
+  async start() {
+    if (this.running) return;
+    this.running = true;
+
+    await this.requeueInterrupted(this.workerId);
+
+    this.pollTimer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), Math.max(this.staleAfterMs / 4, 1000));
+    FileIngestionService.on('queued', this.onQueued);
+
+    logger.info(`Ingestion queue started (worker ${this.workerId}, concurrency ${this.concurrency})`);
+    this.poll();
+  }
+
+  // Stop claiming jobs and interrupt running ones at their next checkpoint.
+  // Interrupted jobs go back on the queue to resume later.
+  async stop() {
+    if (!this.running) return;
+    this.running = false;
+
+    clearInterval(this.pollTimer);
+    clearInterval(this.heartbeatTimer);
+    FileIngestionService.off('queued', this.onQueued);
+
+    this.activeJobs.forEach(({ controller }) => controller.abort());
+    await Promise.all([...this.activeJobs.values()].map(({ promise }) => promise));
+
+    logger.info('Ingestion queue stopped');
+  }
+
+  // Claim and start queued jobs while there is free capacity
+  async poll() {
+    if (!this.running || this.polling) return;
+    this.polling = true;
+
+    try {
+      if (Date.now() - this.lastSweep > this.staleAfterMs / 2) {
+        await this.requeueInterrupted();
+      }
+
+      while (this.running && this.activeJobs.size < this.concurrency) {
+        const job = await IngestionJob.claimNext(this.workerId);
+        if (!job) break;
+        this.run(job);
+      }
+    } catch (error) {
+      logger.error('Ingestion queue poll failed:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Run a claimed job, requeueing it if it was interrupted
+  run(job) {
+    const controller = new AbortController();
+    const options = { ...job.options, signal: controller.signal };
+
+    logger.info(`Worker ${this.workerId} claimed job ${job.job_id} (attempt ${job.attempts})`);
+
+    const promise = FileIngestionService.processFile(job.job_id, job.file_path, options)
+      .then(async (result) => {
+        if (result && result.interrupted) {
+          await IngestionJob.requeue(job.job_id);
+        }
+      })
+      .catch(error => {
+        logger.error(`Job ${job.job_id} failed unexpectedly:`, error);
+      })
+      .finally(() => {
+        this.activeJobs.delete(job.job_id);
+        this.poll();
+      });
+
+    this.activeJobs.set(job.job_id, { controller, promise });
+  }
+
+  // Keep the heartbeat of running jobs fresh between checkpoints
+  async heartbeat() {
+    try {
+      await IngestionJob.heartbeat([...this.activeJobs.keys()]);
+    } catch (error) {
+      logger.error('Ingestion queue heartbeat failed:', error);
+    }
+  }
+
+  // Requeue (or fail, after too many attempts) jobs whose worker went away
+  async requeueInterrupted(lockedBy = null) {
+    this.lastSweep = Date.now();
+
+    const jobs = await IngestionJob.requeueInterrupted(this.staleAfterMs, this.maxAttempts, lockedBy);
+    jobs.forEach(job => {
+      logger.warn(`Job ${job.job_id} was interrupted and is now ${job.status}`);
+    });
+  }
+}
+
+module.exports = new IngestionQueue();
@@ -0,0 +1,170 @@
+const { buildAxis, formatMoment } = require('./timeAxis');
+
+// Gantt-style SVG chart of events: one row per event with its name (indented
+// by hierarchy level) and a bar over a shared time axis. Where an event
+// overlaps another that isn't its ancestor or descendant (children within
+// their parent are expected), the overlapping part of both bars is marked.
+
+const LAYOUT = {
+  margin: 16,
+  labelWidth: 280,
+  indent: 14,
+  headerHeight: 76,
+  rowHeight: 22,
+  barHeight: 14,
+  footerHeight: 36,
+  tickSpacing: 110,
+  charWidth: 6.5
+};
+
+const COLORS = {
+  text: '#222222',
+  muted: '#666666',
+  grid: '#e3e3e3',
+  stripe: '#f7f7f7',
+  overlap: '#d62728',
+  levels: ['#1f4e79', '#2e75b6', '#5b9bd5', '#9dc3e6']
+};
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Shorten a label to fit a width, with an ellipsis
+const fitText = (text, width) => {
+  const maxChars = Math.max(1, Math.floor(width / LAYOUT.charWidth));
+  return text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text;
+};
+
+// Merge overlapping [start, end] intervals
+const mergeIntervals = (intervals) => {
+  const merged = [];
+  [...intervals].sort((a, b) => a[0] - b[0]).forEach(interval => {
+    const last = merged[merged.length - 1];
+    if (last && interval[0] <= last[1]) last[1] = Math.max(last[1], interval[1]);
+    else merged.push([...interval]);
+  });
+  return merged;
+};
+
+// Whether one event is above the other: on its path when the events come from
+// a timeline, otherwise its parent
+const isRelated = (a, b) => (a.path || [a.parent_event_id]).includes(b.event_id)
+  || (b.path || [b.parent_event_id]).includes(a.event_id);
+
+// For each event (with start and end in milliseconds), the merged parts of it
+// that overlap events outside its own line of descent. Sweeps the events in start order, comparing each with those
+// still running.
+const findOverlaps = (events) => {
+  const overlaps = new Map(events.map(event => [event.event_id, []]));
+  const sorted = [...events].sort((a, b) => a.start - b.start);
+  let running = [];
+
+  sorted.forEach(event => {
+    running = running.filter(other => other.end > event.start);
+    running.forEach(other => {
+      const start = Math.max(event.start, other.start);
+      const end = Math.min(event.end, other.end);
+      if (end > start && !isRelated(event, other)) {
+        overlaps.get(event.event_id).push([start, end]);
+        overlaps.get(other.event_id).push([start, end]);
+      }
+    });
+    running.push(event);
+  });
+
+  overlaps.forEach((intervals, eventId) => overlaps.set(eventId, mergeIntervals(intervals)));
+  return overlaps;
+};
+
+// Render the chart. events are rows with event_id, event_name, start_date,
+// end_date and optionally level and path (as a flat timeline returns them), in
+// the order they are drawn. hiddenEvents counts events left out of the chart.
+const renderGanttChart = ({ title, events, width = 1200, hiddenEvents = 0 }) => {
+  const rows = events.map(event => ({
+    ...event,
+    level: event.level || 0,
+    start: new Date(event.start_date).getTime(),
+    end: new Date(event.end_date).getTime()
+  }));
+
+  const chartLeft = LAYOUT.margin + LAYOUT.labelWidth;
+  const chartWidth = Math.max(100, width - chartLeft - LAYOUT.margin);
+  const height = LAYOUT.headerHeight + Math.max(rows.length, 1) * LAYOUT.rowHeight + LAYOUT.footerHeight;
+
+  // Pad the span so bars don't touch the edges; a single instant gets a minute
+  let spanStart = Math.min(...rows.map(row => row.start));
+  let spanEnd = Math.max(...rows.map(row => row.end));
+  if (rows.length === 0) {
+    spanStart = Date.now();
+    spanEnd = spanStart;
+  }
+  const padding = Math.max((spanEnd - spanStart) * 0.02, 60 * 1000);
+  spanStart -= padding;
+  spanEnd += padding;
+
+  const x = (time) => chartLeft + ((time - spanStart) / (spanEnd - spanStart)) * chartWidth;
+  const axis = buildAxis(spanStart, spanEnd, Math.max(2, Math.floor(chartWidth / LAYOUT.tickSpacing)));
+  const overlaps = findOverlaps(rows);
+
+  const parts = [];
+  parts.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif" font-size="12">`);
+  parts.push(`<rect width="${width}" height="${height}" fill="#ffffff"/>`);
+  parts.push(`<text x="${LAYOUT.margin}" y="26" font-size="16" font-weight="bold" fill="${COLORS.text}">${escapeXml(title)}</text>`);
+  if (rows.length > 0) {
+    const range = `${formatMoment(new Date(spanStart + padding), axis.interval)} to ${formatMoment(new Date(spanEnd - padding), axis.interval)}`;
+    parts.push(`<text x="${LAYOUT.margin}" y="44" fill="${COLORS.muted}">${escapeXml(range)}</text>`);
+  }
+
+  // Axis: gridlines and labels
+  const gridTop = LAYOUT.headerHeight - 8;
+  const gridBottom = LAYOUT.headerHeight + rows.length * LAYOUT.rowHeight;
+  parts.push('<g class="axis">');
+  axis.ticks.forEach(tick => {
+    const tickX = x(tick.time).toFixed(1);
+    parts.push(`<line x1="${tickX}" y1="${gridTop}" x2="${tickX}" y2="${gridBottom}" stroke="${COLORS.grid}"/>`);
+    parts.push(`<text x="${tickX}" y="${gridTop - 6}" text-anchor="middle" fill="${COLORS.muted}">${escapeXml(tick.label)}</text>`);
+  });
+  parts.push('</g>');
+
+  // Rows: label, bar and the overlapping parts of the bar
+  parts.push('<g class="rows">');
+  rows.forEach((row, index) => {
+    const top = LAYOUT.headerHeight + index * LAYOUT.rowHeight;
+    const barTop = top + (LAYOUT.rowHeight - LAYOUT.barHeight) / 2;
+    const indent = row.level * LAYOUT.indent;
+    const color = COLORS.levels[Math.min(row.level, COLORS.levels.length - 1)];
+    const barX = x(row.start);
+    const barWidth = Math.max(2, x(row.end) - barX);
+    const tooltip = `${row.event_name}: ${new Date(row.start).toISOString()} to ${new Date(row.end).toISOString()}`;
+
+    if (index % 2 === 1) {
+      parts.push(`<rect x="${LAYOUT.margin}" y="${top}" width="${width - 2 * LAYOUT.margin}" height="${LAYOUT.rowHeight}" fill="${COLORS.stripe}"/>`);
+    }
+    parts.push(`<text x="${LAYOUT.margin + indent}" y="${top + LAYOUT.rowHeight / 2 + 4}" fill="${COLORS.text}">${escapeXml(fitText(row.event_name, LAYOUT.labelWidth - indent - 8))}</text>`);
+    parts.push(`<rect class="bar" x="${barX.toFixed(1)}" y="${barTop}" width="${barWidth.toFixed(1)}" height="${LAYOUT.barHeight}" rx="2" fill="${color}"><title>${escapeXml(tooltip)}</title></rect>`);
+    overlaps.get(row.event_id).forEach(([start, end]) => {
+      parts.push(`<rect class="overlap" x="${x(start).toFixed(1)}" y="${barTop}" width="${Math.max(1, x(end) - x(start)).toFixed(1)}" height="${LAYOUT.barHeight}" fill="${COLORS.overlap}" fill-opacity="0.6"/>`);
+    });
+  });
+  parts.push('</g>');
+
+  // Footer: legend and the events left out
+  const footerY = gridBottom + 24;
+  parts.push(`<rect x="${LAYOUT.margin}" y="${footerY - 10}" width="12" height="12" fill="${COLORS.overlap}" fill-opacity="0.6"/>`);
+  parts.push(`<text x="${LAYOUT.margin + 18}" y="${footerY}" fill="${COLORS.muted}">Overlaps another event outside its hierarchy line</text>`);
+  if (hiddenEvents > 0) {
+    parts.push(`<text x="${width - LAYOUT.margin}" y="${footerY}" text-anchor="end" fill="${COLORS.muted}">${hiddenEvents} more events not shown</text>`);
+  }
+  parts.push('</svg>');
+
+  return `${parts.join('\n')}\n`;
+};
+
+module.exports = {
+  renderGanttChart,
+  findOverlaps
+};
@@ -0,0 +1,63 @@
+// Time axis for charts: picks a tick interval from minutes to millennia so that
+// a span gets a readable number of ticks, and places ticks on calendar
+// boundaries (whole hours, first of the month, round years).
+
+const { UNIT_LENGTHS, alignTime, addInterval } = require('../../utils/intervals');
+
+// Candidate tick intervals, finest first
+const TICK_INTERVALS = [
+  ...[1, 5, 15, 30].map(step => ({ unit: 'minute', step })),
+  ...[1, 3, 6, 12].map(step => ({ unit: 'hour', step })),
+  ...[1, 7].map(step => ({ unit: 'day', step })),
+  ...[1, 3, 6].map(step => ({ unit: 'month', step })),
+  ...[1, 5, 10, 25, 50, 100, 250, 500, 1000].map(step => ({ unit: 'year', step }))
+];
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// An astronomical year as people write it (year 0 is 1 BC)
+const formatYear = (year) => (year > 0 ? String(year) : `${1 - year} BC`);
+
+// The finest interval giving at most maxTicks ticks over [start, end]
+const chooseInterval = (start, end, maxTicks) => TICK_INTERVALS.find(
+  interval => (end - start) / (interval.step * UNIT_LENGTHS[interval.unit]) <= maxTicks
+) || TICK_INTERVALS[TICK_INTERVALS.length - 1];
+
+const formatTick = (date, { unit }) => {
+  const year = date.getUTCFullYear();
+  const month = pad(date.getUTCMonth() + 1);
+  if (unit === 'year') return formatYear(year);
+  if (unit === 'month') return year > 0 ? `${pad(year, 4)}-${month}` : `${month}/${formatYear(year)}`;
+  if (unit === 'day') return year > 0 ? `${pad(year, 4)}-${month}-${pad(date.getUTCDate())}` : `${pad(date.getUTCDate())}/${month}/${formatYear(year)}`;
+  return `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+};
+
+// A moment as a caption (date and time at the interval's precision)
+const formatMoment = (date, interval) => {
+  if (interval.unit === 'minute' || interval.unit === 'hour') {
+    return `${formatTick(date, { unit: 'day' })} ${formatTick(date, interval)} UTC`;
+  }
+  return formatTick(date, interval.unit === 'year' ? interval : { unit: 'day' });
+};
+
+// Ticks for the span [start, end] (times in milliseconds), at most maxTicks
+const buildAxis = (start, end, maxTicks) => {
+  const interval = chooseInterval(start, end, maxTicks);
+  const ticks = [];
+
+  let tick = alignTime(start, interval);
+  if (tick.getTime() < start) tick = addInterval(tick, interval);
+  while (tick.getTime() <= end) {
+    ticks.push({ time: tick.getTime(), label: formatTick(tick, interval) });
+    tick = addInterval(tick, interval);
+  }
+
+  return { interval, ticks };
+};
+
+module.exports = {
+  TICK_INTERVALS,
+  formatYear,
+  formatMoment,
+  buildAxis
+};
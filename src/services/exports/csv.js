@@ -0,0 +1,31 @@
+const { sourceDates } = require('./dates');
+
+// Columns of an export, with headers the csv ingestion format maps back to
+// event fields
+const COLUMNS = ['event_id', 'event_name', 'start_date', 'end_date', 'parent_event_id', 'research_value', 'description'];
+
+// Quote a value when it holds a delimiter, quote or line break, or space that
+// unquoted values would lose (RFC 4180)
+const quote = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+const formatEvent = (event) => {
+  const dates = sourceDates(event);
+  const values = { ...event, ...dates };
+  return `${COLUMNS.map(column => quote(values[column])).join(',')}\n`;
+};
+
+module.exports = {
+  name: 'csv',
+  extension: '.csv',
+  contentType: 'text/csv',
+  separator: '',
+  header: () => `${COLUMNS.join(',')}\n`,
+  formatEvent,
+  footer: () => ''
+};
@@ -0,0 +1,53 @@
+const { parseFuzzyDate } = require('../../utils/fuzzyDate');
+
+// Date helpers shared by the export formats. A stored end date is the exclusive
+// end of its period (an event ending in 1450 ends at 1451-01-01), so formats
+// that name the last day or year of an event use its inclusive end.
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// UTC calendar fields of a date; years are astronomical (1 BC is year 0)
+const dateParts = (date) => ({
+  year: date.getUTCFullYear(),
+  month: date.getUTCMonth() + 1,
+  day: date.getUTCDate(),
+  hour: date.getUTCHours(),
+  minute: date.getUTCMinutes(),
+  second: date.getUTCSeconds()
+});
+
+// The last instant an event covers
+const inclusiveEnd = (event) => (event.end_date_precision === 'instant'
+  ? event.end_date
+  : new Date(event.end_date.getTime() - 1));
+
+// Whether a date has a time of day worth writing at its precision
+const hasTime = (precision) => !precision || precision === 'instant';
+
+// The start and end of an event as text that ingestion reads back to the same
+// dates: as written in the source file while that still matches the event
+// (keeping circa markers and precision), ISO 8601 timestamps otherwise
+const sourceDates = (event) => {
+  const iso = { start_date: event.start_date.toISOString(), end_date: event.end_date.toISOString() };
+  const raw = event.metadata && event.metadata.raw_dates;
+  if (!raw) return iso;
+
+  try {
+    const start = parseFuzzyDate(raw.start_date);
+    const end = parseFuzzyDate(raw.end_date);
+    if (start.start.getTime() === event.start_date.getTime() && end.end.getTime() === event.end_date.getTime()) {
+      return { start_date: raw.start_date, end_date: raw.end_date };
+    }
+  } catch (error) {
+    // Written in a form that no longer parses; fall back to the timestamps
+  }
+  return iso;
+};
+
+module.exports = {
+  pad,
+  dateParts,
+  inclusiveEnd,
+  hasTime,
+  sourceDates
+};
@@ -0,0 +1,52 @@
+const { pad, dateParts, inclusiveEnd, hasTime, sourceDates } = require('./dates');
+
+// GEDCOM X style JSON (http://gedcomx.org): an events list whose entries have
+// an original and a formal date, the name and description as a note, and the
+// date confidence as a GEDCOM X confidence level. The parent link, which
+// GEDCOM X has no field for, is given as partOf.
+
+const CONFIDENCE_LEVELS = {
+  exact: 'http://gedcomx.org/High',
+  approximate: 'http://gedcomx.org/Medium',
+  uncertain: 'http://gedcomx.org/Low'
+};
+
+// A GEDCOM X formal date at a precision, e.g. +1450, +1450-03 or -0043-03-15
+const formalDate = (date, precision) => {
+  const { year, month, day, hour, minute, second } = dateParts(date);
+  let text = `${year < 0 ? '-' : '+'}${pad(Math.abs(year), 4)}`;
+  if (['month', 'day', 'instant'].includes(precision)) text += `-${pad(month)}`;
+  if (['day', 'instant'].includes(precision)) text += `-${pad(day)}`;
+  if (hasTime(precision)) text += `T${pad(hour)}:${pad(minute)}:${pad(second)}Z`;
+  return text;
+};
+
+const formatEvent = (event) => {
+  const dates = sourceDates(event);
+  const start = formalDate(event.start_date, event.start_date_precision);
+  const end = formalDate(inclusiveEnd(event), event.end_date_precision);
+  const approximate = event.date_confidence && event.date_confidence !== 'exact' ? 'A' : '';
+
+  return JSON.stringify({
+    id: event.event_id,
+    date: {
+      original: dates.start_date === dates.end_date ? dates.start_date : `${dates.start_date} / ${dates.end_date}`,
+      // Only a single date can be marked approximate; the confidence says the rest
+      formal: start === end ? `${approximate}${start}` : `${start}/${end}`
+    },
+    notes: [{ subject: event.event_name, text: event.description || event.event_name }],
+    confidence: CONFIDENCE_LEVELS[event.date_confidence || 'exact'],
+    ...(event.parent_event_id && { partOf: { resource: `#${event.parent_event_id}` } })
+  });
+};
+
+module.exports = {
+  name: 'gedcomx',
+  aliases: ['gedcom-x'],
+  extension: '.json',
+  contentType: 'application/x-gedcomx-v1+json',
+  separator: ',\n',
+  header: () => '{"events":[\n',
+  formatEvent,
+  footer: () => '\n]}\n'
+};
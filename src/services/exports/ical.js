@@ -0,0 +1,89 @@
+const { pad, dateParts, hasTime } = require('./dates');
+
+// iCalendar (RFC 5545) export, one VEVENT per event. Events dated to the day
+// or coarser become all-day events. iCalendar years have four digits, so events
+// outside 1 AD to 9999 AD are left out.
+
+const CRLF = '\r\n';
+const UID_DOMAIN = 'chronologicon';
+
+// Escape a TEXT value
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n|\r/g, '\\n');
+
+// Fold a content line to 75 octets, continuation lines starting with a space
+const foldLine = (line) => {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = lines.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+
+  return lines.join(`${CRLF} `);
+};
+
+const formatDate = (date) => {
+  const { year, month, day } = dateParts(date);
+  return `${pad(year, 4)}${pad(month)}${pad(day)}`;
+};
+
+const formatDateTime = (date) => {
+  const { hour, minute, second } = dateParts(date);
+  return `${formatDate(date)}T${pad(hour)}${pad(minute)}${pad(second)}Z`;
+};
+
+const isRepresentable = (date) => date.getUTCFullYear() >= 1 && date.getUTCFullYear() <= 9999;
+
+const header = (context = {}) => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//ArchaeoData Inc.//Chronologicon Engine//EN',
+  'CALSCALE:GREGORIAN',
+  ...(context.title ? [foldLine(`X-WR-CALNAME:${escapeText(context.title)}`)] : [])
+].join(CRLF) + CRLF;
+
+const formatEvent = (event, context = {}) => {
+  if (!isRepresentable(event.start_date) || !isRepresentable(event.end_date)) return null;
+
+  // All-day DTEND is exclusive, as stored end dates are
+  const allDay = !hasTime(event.start_date_precision) && !hasTime(event.end_date_precision);
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.event_id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDateTime(context.exportedAt || new Date())}`,
+    allDay ? `DTSTART;VALUE=DATE:${formatDate(event.start_date)}` : `DTSTART:${formatDateTime(event.start_date)}`,
+    allDay ? `DTEND;VALUE=DATE:${formatDate(event.end_date)}` : `DTEND:${formatDateTime(event.end_date)}`,
+    `SUMMARY:${escapeText(event.event_name)}`
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.parent_event_id) lines.push(`RELATED-TO;RELTYPE=PARENT:${event.parent_event_id}@${UID_DOMAIN}`);
+  lines.push('END:VEVENT');
+
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
+
+module.exports = {
+  name: 'ics',
+  aliases: ['ical', 'icalendar'],
+  extension: '.ics',
+  contentType: 'text/calendar',
+  separator: '',
+  header,
+  formatEvent,
+  footer: () => `END:VCALENDAR${CRLF}`,
+  foldLine
+};
@@ -0,0 +1,33 @@
+const csv = require('./csv');
+const pipe = require('./pipe');
+const ical = require('./ical');
+const timelineJs = require('./timelineJs');
+const gedcomx = require('./gedcomx');
+
+// Built-in export formats. Each exporter turns events (rows as the timeline and
+// search queries return them) into text: header(context), then
+// formatEvent(event, context) for each event, joined by separator, then
+// footer(context). formatEvent returns null for an event the format can't
+// represent. context holds the export's title and time.
+const exporters = [csv, pipe, ical, timelineJs, gedcomx];
+
+const DEFAULT_EXPORT_FORMAT = csv.name;
+
+// Every name a format can be requested by, including aliases such as ical
+const EXPORT_FORMATS = exporters.reduce((names, exporter) => names.concat(exporter.name, exporter.aliases || []), []);
+
+// Get an exporter by format name or alias
+const getExporter = (format) => {
+  const name = String(format).toLowerCase();
+  const exporter = exporters.find(candidate => candidate.name === name || (candidate.aliases || []).includes(name));
+  if (!exporter) {
+    throw new Error(`Unsupported export format '${format}'. Supported formats: ${EXPORT_FORMATS.join(', ')}`);
+  }
+  return exporter;
+};
+
+module.exports = {
+  DEFAULT_EXPORT_FORMAT,
+  EXPORT_FORMATS,
+  getExporter
+};
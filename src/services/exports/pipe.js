@@ -0,0 +1,35 @@
+const { sourceDates } = require('./dates');
+
+// Column layout of an export
+const COLUMNS = ['event_id', 'event_name', 'start_date', 'end_date', 'parent_event_id', 'research_value', 'description'];
+
+// Flatten line breaks, which would end the entry, and escape pipes and
+// backslashes with a backslash, as the pipe adapter reads them back
+const escapeText = (text) => String(text)
+  .replace(/\r?\n|\r/g, ' ')
+  .replace(/[\\|]/g, '\\$&');
+
+const formatEvent = (event) => {
+  const dates = sourceDates(event);
+  const values = [
+    event.event_id,
+    escapeText(event.event_name),
+    dates.start_date,
+    dates.end_date,
+    event.parent_event_id || 'NULL',
+    event.research_value ?? '',
+    event.description ? escapeText(event.description) : ''
+  ];
+  return `${values.join('|')}\n`;
+};
+
+module.exports = {
+  name: 'pipe',
+  aliases: ['txt'],
+  extension: '.txt',
+  contentType: 'text/plain',
+  separator: '',
+  header: () => `${COLUMNS.join('|')}\n`,
+  formatEvent,
+  footer: () => ''
+};
@@ -0,0 +1,50 @@
+const { dateParts, inclusiveEnd, hasTime } = require('./dates');
+
+// TimelineJS (https://timeline.knightlab.com) JSON: a title slide and one slide
+// per event. Dates carry the fields their precision knows about; years are
+// astronomical, so 44 BC is year -43.
+
+const PRECISION_FIELDS = {
+  instant: ['year', 'month', 'day', 'hour', 'minute', 'second'],
+  day: ['year', 'month', 'day'],
+  month: ['year', 'month'],
+  year: ['year'],
+  decade: ['year'],
+  century: ['year']
+};
+
+const timelineDate = (date, precision) => {
+  const parts = dateParts(date);
+  const result = {};
+  PRECISION_FIELDS[precision || 'instant'].forEach(field => {
+    result[field] = parts[field];
+  });
+  return result;
+};
+
+const header = (context = {}) => {
+  const title = context.title ? `"title":${JSON.stringify({ text: { headline: context.title } })},` : '';
+  return `{${title}"events":[\n`;
+};
+
+const formatEvent = (event) => JSON.stringify({
+  unique_id: event.event_id,
+  start_date: timelineDate(event.start_date, event.start_date_precision),
+  // Coarse end dates name the last period the event covers
+  end_date: timelineDate(hasTime(event.end_date_precision) ? event.end_date : inclusiveEnd(event), event.end_date_precision),
+  text: {
+    headline: event.event_name,
+    ...(event.description && { text: event.description })
+  }
+});
+
+module.exports = {
+  name: 'timelinejs',
+  aliases: ['timeline-js'],
+  extension: '.json',
+  contentType: 'application/json',
+  separator: ',\n',
+  header,
+  formatEvent,
+  footer: () => '\n]}\n'
+};
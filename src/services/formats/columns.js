@@ -0,0 +1,127 @@
+// Column layout of the original pipe-delimited format, used when a file has no header row
+const DEFAULT_COLUMNS = ['event_id', 'event_name', 'start_date', 'end_date', 'parent_event_id', 'description'];
+
+// Header names mapped to event fields. Names are compared case-insensitively with
+// separators stripped, so eventId, event_id and EVENT-ID all map to event_id.
+const COLUMN_ALIASES = {
+  eventid: 'event_id',
+  eventname: 'event_name',
+  startdate: 'start_date',
+  startdateiso: 'start_date',
+  enddate: 'end_date',
+  enddateiso: 'end_date',
+  parentid: 'parent_event_id',
+  parenteventid: 'parent_event_id',
+  parentidornull: 'parent_event_id',
+  researchvalue: 'research_value',
+  description: 'description'
+};
+
+const REQUIRED_COLUMNS = ['event_id', 'event_name', 'start_date', 'end_date'];
+const KNOWN_COLUMNS = new Set(Object.values(COLUMN_ALIASES));
+
+// Column layouts of the files an ingestion can read: events, and relations
+// between events (see EventRelation). Adapters read events unless given
+// another layout; documentKey names the array of a JSON document's entries.
+const EVENT_LAYOUT = {
+  defaultColumns: DEFAULT_COLUMNS,
+  aliases: COLUMN_ALIASES,
+  required: REQUIRED_COLUMNS,
+  documentKey: 'events'
+};
+
+const RELATION_COLUMNS = ['source_event_id', 'target_event_id', 'relation_type', 'weight', 'description'];
+
+const RELATION_LAYOUT = {
+  defaultColumns: RELATION_COLUMNS,
+  aliases: {
+    sourceeventid: 'source_event_id',
+    sourceid: 'source_event_id',
+    source: 'source_event_id',
+    targeteventid: 'target_event_id',
+    targetid: 'target_event_id',
+    target: 'target_event_id',
+    relationtype: 'relation_type',
+    relation: 'relation_type',
+    type: 'relation_type',
+    weight: 'weight',
+    description: 'description'
+  },
+  required: ['source_event_id', 'target_event_id', 'relation_type'],
+  documentKey: 'relations'
+};
+
+// Map a header or JSON key to its field in a layout, keeping unknown names as-is
+const normalizeColumnName = (name, layout = EVENT_LAYOUT) => {
+  const trimmed = String(name).trim();
+  return layout.aliases[trimmed.toLowerCase().replace(/[^a-z0-9]/g, '')] || trimmed;
+};
+
+// Detect a header row from its field values and return the column names mapped
+// to the layout's fields, or null when the values look like a data row
+const parseHeader = (names, layout = EVENT_LAYOUT) => {
+  const columns = names.map(name => normalizeColumnName(name, layout));
+  const knownColumns = new Set(Object.values(layout.aliases));
+
+  const knownCount = columns.filter(column => knownColumns.has(column)).length;
+  if (knownCount < layout.required.length) {
+    return null;
+  }
+
+  const missing = layout.required.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`missing required columns: ${missing.join(', ')}`);
+  }
+
+  const duplicates = columns.filter((column, index) => columns.indexOf(column) !== index);
+  if (duplicates.length > 0) {
+    throw new Error(`duplicate columns: ${[...new Set(duplicates)].join(', ')}`);
+  }
+
+  return columns;
+};
+
+// Pair positional values with their column names. A count mismatch throws an
+// error carrying the values and columns, so repair mode can try to rejoin them.
+const mapValues = (values, columns) => {
+  if (values.length !== columns.length) {
+    const message = `Malformed entry: expected ${columns.length} fields, got ${values.length}`;
+    throw Object.assign(new Error(message), { values, columns });
+  }
+
+  const fields = {};
+  columns.forEach((column, index) => {
+    fields[column] = values[index].trim();
+  });
+  return fields;
+};
+
+// Convert a JSON object into named fields of a layout. Scalars become trimmed strings so that
+// every adapter hands the same shape to validation; nested values are kept as-is.
+const mapObject = (object, layout = EVENT_LAYOUT) => {
+  const fields = {};
+  Object.keys(object).forEach(key => {
+    const value = object[key];
+    const column = normalizeColumnName(key, layout);
+
+    if (value === null || value === undefined) {
+      fields[column] = '';
+    } else if (typeof value === 'object') {
+      fields[column] = value;
+    } else {
+      fields[column] = String(value).trim();
+    }
+  });
+  return fields;
+};
+
+module.exports = {
+  DEFAULT_COLUMNS,
+  REQUIRED_COLUMNS,
+  KNOWN_COLUMNS,
+  EVENT_LAYOUT,
+  RELATION_LAYOUT,
+  parseHeader,
+  mapValues,
+  mapObject
+};
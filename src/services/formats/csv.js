@@ -0,0 +1,169 @@
+const { createReadStream } = require('fs');
+const { EVENT_LAYOUT, parseHeader, mapValues } = require('./columns');
+
+// Pick the delimiter of a file from its first line: pipe-delimited exports
+// often carry a .csv extension, so count separators outside quoted text
+const detectDelimiter = (firstLine) => {
+  let inQuotes = false;
+  let commas = 0;
+  let pipes = 0;
+
+  for (const char of firstLine) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && char === ',') {
+      commas++;
+    } else if (!inQuotes && char === '|') {
+      pipes++;
+    }
+  }
+
+  return pipes > commas ? '|' : ',';
+};
+
+// Parse RFC 4180 records from a stream of text chunks. Quoted fields may contain
+// delimiters, doubled quotes and line breaks. Yields the values of each record
+// with the physical line it started on, its raw text and the delimiter.
+async function* parseRecords(chunks) {
+  let delimiter = null;
+  let values = [];
+  let value = '';
+  let raw = '';
+  let inQuotes = false;
+  let quotedValue = false;
+  let line = 1;
+  let recordLine = 1;
+  let pending = '';
+
+  const endValue = () => {
+    values.push(quotedValue ? value : value.trim());
+    value = '';
+    quotedValue = false;
+  };
+
+  const endRecord = function* () {
+    endValue();
+    const record = { lineNumber: recordLine, values, raw, delimiter };
+    values = [];
+    raw = '';
+    recordLine = line;
+
+    // Skip blank lines
+    if (!(record.values.length === 1 && record.values[0] === '')) {
+      yield record;
+    }
+  };
+
+  // Consume a piece of text. Unless it is the last piece, a trailing quote or CR
+  // is held back because its meaning depends on the next character.
+  const consume = function* (text, isLast) {
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      const next = text[i + 1];
+
+      if (!isLast && next === undefined && (char === '\r' || (inQuotes && char === '"'))) {
+        pending = char;
+        return;
+      }
+
+      if (inQuotes) {
+        if (char === '"' && next === '"') {
+          value += '"';
+          raw += '""';
+          i++;
+          continue;
+        }
+        if (char === '"') {
+          inQuotes = false;
+        } else {
+          value += char;
+          if (char === '\n') line++;
+        }
+        raw += char;
+      } else if (char === '"' && value.trim() === '') {
+        inQuotes = true;
+        quotedValue = true;
+        value = '';
+        raw += char;
+      } else if (char === delimiter) {
+        endValue();
+        raw += char;
+      } else if (char === '\r' && next === '\n') {
+        continue;
+      } else if (char === '\n' || char === '\r') {
+        line++;
+        yield* endRecord();
+      } else {
+        value += char;
+        raw += char;
+      }
+    }
+  };
+
+  for await (const chunk of chunks) {
+    const text = pending + chunk;
+    pending = '';
+
+    if (delimiter === null) {
+      const newline = text.indexOf('\n');
+      if (newline === -1) {
+        pending = text;
+        continue;
+      }
+      delimiter = detectDelimiter(text.slice(0, newline));
+    }
+
+    yield* consume(text, false);
+  }
+
+  if (delimiter === null) {
+    delimiter = detectDelimiter(pending);
+  }
+  yield* consume(pending, true);
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${recordLine}`);
+  }
+
+  if (value !== '' || values.length > 0 || quotedValue) {
+    yield* endRecord();
+  }
+}
+
+// Read CSV records with an optional header row, in a layout (events by default)
+async function* records(filePath, layout = EVENT_LAYOUT) {
+  let columns = null;
+
+  for await (const record of parseRecords(createReadStream(filePath, { encoding: 'utf8' }))) {
+    const { lineNumber, values, raw, delimiter } = record;
+
+    if (!columns) {
+      try {
+        columns = parseHeader(values, layout);
+      } catch (error) {
+        throw new Error(`Invalid header row: ${error.message}`);
+      }
+
+      if (columns) {
+        yield { lineNumber, raw, header: columns };
+        continue;
+      }
+      columns = layout.defaultColumns;
+    }
+
+    try {
+      yield { lineNumber, raw, fields: mapValues(values, columns) };
+    } catch (error) {
+      yield { lineNumber, raw, error, delimiter };
+    }
+  }
+}
+
+module.exports = {
+  name: 'csv',
+  extensions: ['.csv'],
+  mimeTypes: ['text/csv', 'application/csv'],
+  detectDelimiter,
+  parseRecords,
+  records
+};
@@ -0,0 +1,71 @@
+const path = require('path');
+const pipe = require('./pipe');
+const csv = require('./csv');
+const jsonLines = require('./jsonLines');
+const jsonArray = require('./jsonArray');
+
+// Built-in ingestion format adapters. Each adapter yields records of the shape
+// { lineNumber, raw, fields } (or { lineNumber, raw, error } for malformed
+// entries, { lineNumber, raw, header } for a header row) so that validation
+// and persistence stay shared across formats. Records are read as events
+// unless records(filePath, layout) is given another column layout (relation
+// files use columns.RELATION_LAYOUT). For repair mode, delimited
+// formats add the delimiter to malformed entries so split fields can be
+// rejoined, and line-based formats may expose parseEntry(raw) to re-read an
+// entry once its text has been cleaned up.
+const adapters = [pipe, csv, jsonLines, jsonArray];
+
+const DEFAULT_FORMAT = pipe.name;
+
+// Every name a format can be requested by, including aliases such as ndjson
+const FORMAT_NAMES = adapters.reduce((names, adapter) => names.concat(adapter.name, adapter.aliases || []), []);
+
+// MIME types too generic to say anything about the format
+const GENERIC_MIME_TYPES = ['text/plain', 'application/octet-stream'];
+
+// Get an adapter by format name or alias
+const getAdapter = (format) => {
+  const name = String(format).toLowerCase();
+  const adapter = adapters.find(candidate => candidate.name === name || (candidate.aliases || []).includes(name));
+  if (!adapter) {
+    throw new Error(`Unsupported format '${format}'. Supported formats: ${FORMAT_NAMES.join(', ')}`);
+  }
+  return adapter;
+};
+
+// Choose a format from an explicit name, then a specific MIME type, then the file extension
+const resolveFormat = ({ format, mimeType, filePath } = {}) => {
+  if (format) {
+    return getAdapter(format).name;
+  }
+
+  if (mimeType && !GENERIC_MIME_TYPES.includes(mimeType)) {
+    const byMimeType = adapters.find(adapter => adapter.mimeTypes.includes(mimeType));
+    if (byMimeType) return byMimeType.name;
+  }
+
+  if (filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+    const byExtension = adapters.find(adapter => adapter.extensions.includes(extension));
+    if (byExtension) return byExtension.name;
+  }
+
+  return DEFAULT_FORMAT;
+};
+
+// Whether an uploaded file has an extension or MIME type one of the adapters reads
+const isSupportedUpload = (file) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  return adapters.some(adapter => adapter.extensions.includes(extension) || adapter.mimeTypes.includes(file.mimetype));
+};
+
+const SUPPORTED_EXTENSIONS = adapters.reduce((extensions, adapter) => extensions.concat(adapter.extensions), []);
+
+module.exports = {
+  DEFAULT_FORMAT,
+  FORMAT_NAMES,
+  SUPPORTED_EXTENSIONS,
+  getAdapter,
+  resolveFormat,
+  isSupportedUpload
+};
@@ -0,0 +1,52 @@
+const fs = require('fs').promises;
+const { EVENT_LAYOUT, mapObject } = require('./columns');
+
+// Load the entry array from a JSON document, either a bare array or an object
+// with the entries under the layout's key ({ "events": [...] } for events).
+// The whole document is parsed in memory, so very large files should use JSON Lines.
+const loadArray = async (filePath, layout = EVENT_LAYOUT) => {
+  const content = await fs.readFile(filePath, 'utf8');
+
+  let document;
+  try {
+    document = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Malformed JSON document: ${error.message}`);
+  }
+
+  const key = layout.documentKey;
+  const items = Array.isArray(document) ? document : document && document[key];
+  if (!Array.isArray(items)) {
+    throw new Error(`JSON document must be an array of ${key} or an object with an "${key}" array`);
+  }
+  return items;
+};
+
+// Read records from a JSON array; line numbers are 1-based positions in the array
+async function* records(filePath, layout = EVENT_LAYOUT) {
+  const items = await loadArray(filePath, layout);
+
+  for (let index = 0; index < items.length; index++) {
+    const item = items[index];
+    const lineNumber = index + 1;
+    const raw = JSON.stringify(item);
+
+    if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+      yield { lineNumber, raw, error: new Error('Malformed entry: expected a JSON object') };
+      continue;
+    }
+
+    yield { lineNumber, raw, fields: mapObject(item, layout) };
+  }
+}
+
+// Count array entries so progress reflects records rather than physical lines
+const countRecords = async (filePath, layout) => (await loadArray(filePath, layout)).length;
+
+module.exports = {
+  name: 'json',
+  extensions: ['.json'],
+  mimeTypes: ['application/json'],
+  countRecords,
+  records
+};
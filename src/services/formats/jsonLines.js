@@ -0,0 +1,53 @@
+const readline = require('readline');
+const { createReadStream } = require('fs');
+const { EVENT_LAYOUT, mapObject } = require('./columns');
+
+// Parse one JSON Lines entry into named fields of a layout (events by default)
+const parseEntry = (line, layout = EVENT_LAYOUT) => {
+  try {
+    const object = JSON.parse(line);
+    if (object === null || typeof object !== 'object' || Array.isArray(object)) {
+      throw new Error('Malformed entry: expected a JSON object');
+    }
+    return mapObject(object, layout);
+  } catch (error) {
+    const message = error instanceof SyntaxError ? `Malformed JSON: ${error.message}` : error.message;
+    throw new Error(message);
+  }
+};
+
+// Read JSON Lines / NDJSON records, one JSON object per line
+async function* records(filePath, layout = EVENT_LAYOUT) {
+  const rl = readline.createInterface({
+    input: createReadStream(filePath),
+    crlfDelay: Infinity
+  });
+
+  let lineNumber = 0;
+
+  for await (const line of rl) {
+    lineNumber++;
+
+    if (!line.trim()) {
+      continue; // Skip empty lines
+    }
+
+    let fields;
+    try {
+      fields = parseEntry(line, layout);
+    } catch (error) {
+      yield { lineNumber, raw: line, error };
+      continue;
+    }
+    yield { lineNumber, raw: line, fields };
+  }
+}
+
+module.exports = {
+  name: 'jsonl',
+  aliases: ['ndjson'],
+  extensions: ['.jsonl', '.ndjson'],
+  mimeTypes: ['application/x-ndjson', 'application/jsonl', 'application/x-jsonlines', 'application/jsonlines'],
+  parseEntry,
+  records
+};
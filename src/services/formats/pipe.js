@@ -0,0 +1,76 @@
+const readline = require('readline');
+const { createReadStream } = require('fs');
+const { DEFAULT_COLUMNS, EVENT_LAYOUT, parseHeader, mapValues } = require('./columns');
+
+// Split a pipe-delimited line into values. A backslash escapes a pipe or a
+// backslash within a value (as pipe exports write them); any other backslash
+// is kept as it is.
+const splitValues = (line) => {
+  if (!line.includes('\\')) return line.split('|');
+
+  const values = [''];
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '\\' && (line[i + 1] === '|' || line[i + 1] === '\\')) {
+      values[values.length - 1] += line[++i];
+    } else if (char === '|') {
+      values.push('');
+    } else {
+      values[values.length - 1] += char;
+    }
+  }
+  return values;
+};
+
+// Split a pipe-delimited line into named fields
+const splitLine = (line, columns = DEFAULT_COLUMNS) => mapValues(splitValues(line), columns);
+
+// Read pipe-delimited records, one per line, with an optional header row.
+// Columns follow the layout (events by default) when there is no header.
+async function* records(filePath, layout = EVENT_LAYOUT) {
+  const rl = readline.createInterface({
+    input: createReadStream(filePath),
+    crlfDelay: Infinity
+  });
+
+  let lineNumber = 0;
+  let columns = null;
+
+  for await (const line of rl) {
+    lineNumber++;
+
+    if (!line.trim()) {
+      continue; // Skip empty lines
+    }
+
+    // The first non-empty line may be a header describing the column layout
+    if (!columns) {
+      try {
+        columns = parseHeader(splitValues(line), layout);
+      } catch (error) {
+        throw new Error(`Invalid header row: ${error.message}`);
+      }
+
+      if (columns) {
+        yield { lineNumber, raw: line, header: columns };
+        continue;
+      }
+      columns = layout.defaultColumns;
+    }
+
+    try {
+      yield { lineNumber, raw: line, fields: splitLine(line, columns) };
+    } catch (error) {
+      yield { lineNumber, raw: line, error, delimiter: '|' };
+    }
+  }
+}
+
+module.exports = {
+  name: 'pipe',
+  extensions: ['.txt', '.psv'],
+  mimeTypes: ['text/plain'],
+  splitValues,
+  splitLine,
+  records
+};
@@ -0,0 +1,154 @@
+const { parseFuzzyDate } = require('../../utils/fuzzyDate');
+const { mapValues } = require('./columns');
+
+// Known data-quality problems that ingestion can fix when asked to (repair mode)
+// rather than rejecting the line. Each applied fix is described as
+// { field, fix, original, repaired }; fix is one of REPAIR_FIXES and field is
+// null for fixes to the line as a whole.
+const REPAIR_FIXES = ['rejoined_fields', 'trimmed_bom', 'stripped_quotes', 'normalized_uuid', 'swapped_dates'];
+
+const UUID_FIELDS = ['event_id', 'parent_event_id'];
+const DATE_FIELDS = ['start_date', 'end_date'];
+
+const BOM = '\uFEFF';
+const WRAPPING_QUOTES_PATTERN = /^(["'\u201C\u201D])([\s\S]*)(["'\u201C\u201D])$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const HEX_UUID_PATTERN = /^[0-9a-f]{32}$/;
+
+// Rejoin a positional entry that has too many fields because its description
+// contains the delimiter. The extra fields are assumed to belong to the
+// description, so this is only attempted when the layout has one.
+const rejoinFields = (values, columns, delimiter) => {
+  const descriptionIndex = columns.indexOf('description');
+  if (descriptionIndex === -1 || values.length <= columns.length) return null;
+
+  const overflow = values.length - columns.length;
+  const description = values.slice(descriptionIndex, descriptionIndex + overflow + 1).join(delimiter);
+  const rejoined = [
+    ...values.slice(0, descriptionIndex),
+    description,
+    ...values.slice(descriptionIndex + overflow + 1)
+  ];
+
+  return mapValues(rejoined, columns);
+};
+
+// Remove quotes wrapping a whole value, or a single unmatched double quote at
+// either end. Quotes inside a value are left alone.
+const stripQuotes = (value) => {
+  const wrapped = WRAPPING_QUOTES_PATTERN.exec(value);
+  if (wrapped && !/["\u201C\u201D]/.test(wrapped[2])) {
+    return wrapped[2].trim();
+  }
+
+  const doubleQuotes = (value.match(/"/g) || []).length;
+  if (doubleQuotes % 2 === 1) {
+    return value.replace(/^"|"$/, '').trim();
+  }
+
+  return value;
+};
+
+// Bring a UUID written with braces, a urn:uuid: prefix, without hyphens or in
+// upper case to the canonical form. Returns null when it isn't a UUID at all.
+const normalizeUUID = (value) => {
+  const text = value.trim().toLowerCase().replace(/^urn:uuid:/, '').replace(/^\{(.*)\}$/, '$1');
+
+  if (UUID_PATTERN.test(text)) return text;
+  if (HEX_UUID_PATTERN.test(text)) {
+    return `${text.slice(0, 8)}-${text.slice(8, 12)}-${text.slice(12, 16)}-${text.slice(16, 20)}-${text.slice(20)}`;
+  }
+  return null;
+};
+
+// Whether a start and end date are in reverse order, and would make a valid
+// range the other way round
+const areSwapped = (startDate, endDate) => {
+  try {
+    const start = parseFuzzyDate(startDate);
+    const end = parseFuzzyDate(endDate);
+    return start.start >= end.end && end.start < start.end;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Re-read an entry that failed to parse because of byte order marks in its
+// text (a BOM at the start of a JSON Lines file breaks its first line)
+const trimBOM = (record, adapter) => {
+  if (!adapter.parseEntry || !record.raw || !record.raw.includes(BOM)) return null;
+
+  try {
+    return adapter.parseEntry(record.raw.split(BOM).join(''));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Apply the repair heuristics to a record from a format adapter. Returns the
+// repaired fields and the fixes applied, or null when the record can't be read
+// even with repairs (it is then rejected as usual).
+const repairRecord = (record, adapter) => {
+  const repairs = [];
+  let fields = record.fields;
+
+  if (record.error) {
+    const { values, columns } = record.error;
+    if (values && columns && record.delimiter) {
+      fields = rejoinFields(values, columns, record.delimiter);
+      if (fields) {
+        repairs.push({ field: 'description', fix: 'rejoined_fields', original: null, repaired: fields.description });
+      }
+    } else {
+      fields = trimBOM(record, adapter);
+      if (fields) {
+        repairs.push({ field: null, fix: 'trimmed_bom', original: null, repaired: null });
+      }
+    }
+    if (!fields) return null;
+  }
+
+  fields = { ...fields };
+  Object.keys(fields).forEach(field => {
+    if (typeof fields[field] !== 'string') return;
+
+    const unquoted = stripQuotes(fields[field]);
+    if (unquoted !== fields[field]) {
+      repairs.push({ field, fix: 'stripped_quotes', original: fields[field], repaired: unquoted });
+      fields[field] = unquoted;
+    }
+  });
+
+  UUID_FIELDS.forEach(field => {
+    const value = fields[field];
+    if (!value || value.toUpperCase() === 'NULL') return;
+
+    const normalized = normalizeUUID(value);
+    if (normalized && normalized !== value) {
+      repairs.push({ field, fix: 'normalized_uuid', original: value, repaired: normalized });
+      fields[field] = normalized;
+    }
+  });
+
+  const [startField, endField] = DATE_FIELDS;
+  if (fields[startField] && fields[endField] && areSwapped(fields[startField], fields[endField])) {
+    const startDate = fields[startField];
+    fields[startField] = fields[endField];
+    fields[endField] = startDate;
+    repairs.push({ field: startField, fix: 'swapped_dates', original: startDate, repaired: fields[startField] });
+    repairs.push({ field: endField, fix: 'swapped_dates', original: fields[startField], repaired: startDate });
+  }
+
+  return { fields, repairs };
+};
+
+// Parsing flag recording a fix in an event's metadata
+const repairFlag = (repair) => (repair.field ? `${repair.field}:${repair.fix}` : repair.fix);
+
+module.exports = {
+  REPAIR_FIXES,
+  normalizeUUID,
+  stripQuotes,
+  repairRecord,
+  repairFlag
+};
@@ -0,0 +1,55 @@
+// Binary min-heap ordered by a comparator (smallest first)
+class BinaryHeap {
+  constructor(compare = (a, b) => a - b) {
+    this.compare = compare;
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  // The smallest item, without removing it
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const { items } = this;
+    items.push(item);
+
+    let index = items.length - 1;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (this.compare(items[index], items[parent]) >= 0) break;
+      [items[index], items[parent]] = [items[parent], items[index]];
+      index = parent;
+    }
+  }
+
+  // Remove and return the smallest item
+  pop() {
+    const { items } = this;
+    if (items.length === 0) return undefined;
+
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let index = 0;
+      for (;;) {
+        const left = 2 * index + 1;
+        const right = left + 1;
+        let smallest = index;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === index) break;
+        [items[index], items[smallest]] = [items[smallest], items[index]];
+        index = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+module.exports = BinaryHeap;
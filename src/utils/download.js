@@ -0,0 +1,29 @@
+// Wait until a response can take more data, or the client has gone away
+const drained = (res) => new Promise(resolve => {
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+// Send a download described as { fileName, contentType, content }, content
+// being an async generator of text chunks. Chunks are written as the client
+// takes them, and the generator is stopped when the client goes away.
+const sendDownload = async (res, download) => {
+  res.setHeader('Content-Type', `${download.contentType}; charset=utf-8`);
+  res.setHeader('Content-Disposition', `attachment; filename="${download.fileName}"`);
+
+  for await (const chunk of download.content()) {
+    if (res.destroyed) break;
+    if (!res.write(chunk)) await drained(res);
+  }
+
+  if (!res.destroyed) res.end();
+};
+
+module.exports = {
+  sendDownload
+};
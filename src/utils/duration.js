@@ -0,0 +1,24 @@
+// Durations are stored in minutes (duration_minutes); events spanning
+// millennia are easier to read in days or years.
+
+const DURATION_UNITS = ['minutes', 'days', 'years'];
+
+// Minutes in each unit; a year is the mean Gregorian year of 365.2425 days
+const MINUTES_PER_UNIT = {
+  minutes: 1,
+  days: 24 * 60,
+  years: 365.2425 * 24 * 60
+};
+
+// Convert minutes to a unit: whole minutes, or days and years to two decimals
+const convertMinutes = (minutes, unit = 'minutes') => {
+  if (minutes === null || minutes === undefined) return null;
+
+  const value = Number(minutes) / MINUTES_PER_UNIT[unit];
+  return unit === 'minutes' ? Math.round(value) : Math.round(value * 100) / 100;
+};
+
+module.exports = {
+  DURATION_UNITS,
+  convertMinutes
+};
@@ -0,0 +1,34 @@
+const logger = require('../config/logger');
+
+// Titles of the statuses services and models attach to errors
+const ERROR_TITLES = {
+  400: 'Validation Error',
+  404: 'Not Found',
+  409: 'Conflict',
+  412: 'Precondition Failed'
+};
+
+// Answer with the status attached to an error (404 unknown resource, 409
+// conflicting state, 412 stale version, 400 invalid request), and its code
+// when it has one (HIERARCHY_CYCLE, OUTSIDE_PARENT_SPAN); anything else is
+// logged and answered with 500
+const sendError = (res, error, context) => {
+  if (ERROR_TITLES[error.status]) {
+    return res.status(error.status).json({
+      error: ERROR_TITLES[error.status],
+      message: error.message,
+      ...(error.code && { code: error.code })
+    });
+  }
+
+  logger.error(`${context} error:`, error);
+  res.status(500).json({
+    error: 'Internal Server Error',
+    message: error.message
+  });
+};
+
+module.exports = {
+  ERROR_TITLES,
+  sendError
+};
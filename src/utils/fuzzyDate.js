@@ -0,0 +1,264 @@
+// Parsing of the imprecise dates found in archaeological records: "circa 1450",
+// "1450s", "early 14th century", "2023-01", "44 BC" as well as exact timestamps.
+//
+// A parsed date describes a period: start and end (exclusive) are the nominal
+// period ("1450s" is 1450-01-01 to 1460-01-01), earliest and latest bound the
+// instant the source could mean, widened for approximate dates ("circa 1450"
+// is 1445 to 1456). Years are astronomical: 1 BC is year 0, 2 BC is year -1.
+
+const PRECISIONS = ['instant', 'day', 'month', 'year', 'decade', 'century'];
+const CONFIDENCES = ['exact', 'approximate', 'uncertain'];
+
+// Range PostgreSQL TIMESTAMPTZ can store: 4713 BC (astronomical -4712) onwards.
+// The upper end is bounded by JavaScript dates, well before PostgreSQL's.
+const MIN_YEAR = -4712;
+const MAX_YEAR = 275759;
+
+// How far "circa" widens a date of each precision, on both sides
+const CIRCA_MARGINS = {
+  instant: { days: 1 },
+  day: { days: 1 },
+  month: { months: 1 },
+  year: { years: 5 },
+  decade: { years: 5 },
+  century: { years: 25 }
+};
+
+// Part of a period named by a modifier, as [from, to] fractions of it
+const PERIOD_PARTS = {
+  early: [0, 1 / 3],
+  mid: [1 / 3, 2 / 3],
+  middle: [1 / 3, 2 / 3],
+  late: [2 / 3, 1],
+  'first half of': [0, 1 / 2],
+  'second half of': [1 / 2, 1]
+};
+
+const CIRCA_PATTERN = /^(?:circa|approximately|approx\.?|about|around|ca\.?|c\.|~)\s*/i;
+const BCE_PATTERN = /\s*(?:bce|b\.c\.e\.|bc|b\.c\.)$/;
+const CE_SUFFIX_PATTERN = /\s*(?:ce|c\.e\.|ad|a\.d\.)$/;
+const CE_PREFIX_PATTERN = /^(?:ad|a\.d\.)\s+/;
+const PART_PATTERN = /^(early|mid|middle|late|first half of|second half of)[\s-]+(?:the\s+)?/;
+const CENTURY_PATTERN = /^(\d{1,2})(?:st|nd|rd|th)\s+(?:century|cent\.?|c\.?)$/;
+const DECADE_PATTERN = /^(\d{0,3}\d0)'?s$/;
+const YEAR_PATTERN = /^-?\d{1,6}$/;
+const YEAR_MONTH_PATTERN = /^(-?\d{1,6})-(\d{2})$/;
+const DATE_PATTERN = /^(-?\d{1,6})-(\d{2})-(\d{2})$/;
+
+// Midnight UTC on the given day of an astronomical year. Date.UTC maps years
+// 0-99 to the 1900s, so the year is set separately.
+const utcDate = (year, month = 0, day = 1) => {
+  const date = new Date(0);
+  date.setUTCFullYear(year, month, day);
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+};
+
+// Whether a date can be stored
+const isSupportedDate = (date) => {
+  const year = date.getUTCFullYear();
+  return year >= MIN_YEAR && year <= MAX_YEAR;
+};
+
+// Keep a bound within the storable range
+const clampDate = (date) => {
+  if (date.getUTCFullYear() < MIN_YEAR) return utcDate(MIN_YEAR);
+  if (date.getUTCFullYear() > MAX_YEAR) return utcDate(MAX_YEAR + 1);
+  return date;
+};
+
+// Shift a date by whole years, months and days (negative to go back)
+const shiftDate = (date, { years = 0, months = 0, days = 0 }, direction = 1) => {
+  const shifted = new Date(date.getTime());
+  shifted.setUTCFullYear(
+    shifted.getUTCFullYear() + direction * years,
+    shifted.getUTCMonth() + direction * months,
+    shifted.getUTCDate() + direction * days
+  );
+  return shifted;
+};
+
+// Astronomical year of a year counted in an era (44 BC is -43)
+const toAstronomicalYear = (year, bce) => (bce ? 1 - year : year);
+
+// [first year, last year + 1) of a span of calendar years given in an era.
+// BCE years count down, so the span runs from the largest year.
+const yearSpan = (firstYear, lastYear, bce) => (bce
+  ? [toAstronomicalYear(lastYear, true), toAstronomicalYear(firstYear, true) + 1]
+  : [firstYear, lastYear + 1]);
+
+// Narrow a span of years to the part named by a modifier ("early", "late", ...)
+const narrowSpan = ([from, to], part) => {
+  if (!part) return [from, to];
+  const [startFraction, endFraction] = PERIOD_PARTS[part];
+  const length = to - from;
+  return [from + Math.round(length * startFraction), from + Math.round(length * endFraction)];
+};
+
+// Split off the era marker of a year-based date
+const parseEra = (text) => {
+  if (BCE_PATTERN.test(text)) {
+    return { text: text.replace(BCE_PATTERN, ''), bce: true, era: true };
+  }
+  if (CE_SUFFIX_PATTERN.test(text)) {
+    return { text: text.replace(CE_SUFFIX_PATTERN, ''), bce: false, era: true };
+  }
+  if (CE_PREFIX_PATTERN.test(text)) {
+    return { text: text.replace(CE_PREFIX_PATTERN, ''), bce: false, era: true };
+  }
+  return { text, bce: false, era: false };
+};
+
+// Parse the period part of a date (after "circa" and "?" markers are removed)
+const parsePeriod = (value) => {
+  const { text: withoutEra, bce, era } = parseEra(value.toLowerCase());
+  const partMatch = PART_PATTERN.exec(withoutEra);
+  const part = partMatch ? partMatch[1] : null;
+  const body = partMatch ? withoutEra.slice(partMatch[0].length) : withoutEra;
+  const flags = [];
+  if (bce) flags.push('bce');
+  if (part) flags.push(part.replace(/ /g, '_'));
+
+  const yearPeriod = ([from, to], precision) => ({
+    start: utcDate(from),
+    end: utcDate(to),
+    precision,
+    flags
+  });
+
+  const century = CENTURY_PATTERN.exec(body);
+  if (century) {
+    const number = parseInt(century[1]);
+    if (number < 1) return null;
+    flags.push('century');
+    // The nth century is taken as the years starting (n-1)00, e.g. 1300-1399 AD
+    // or 500-401 BC for the 5th century BC
+    const span = bce ? yearSpan((number - 1) * 100 + 1, number * 100, true) : [(number - 1) * 100, number * 100];
+    return yearPeriod(narrowSpan(span, part), 'century');
+  }
+
+  const decade = DECADE_PATTERN.exec(body);
+  if (decade) {
+    const year = parseInt(decade[1]);
+    // "1400s" names the century 1400-1499 rather than its first decade
+    const isCentury = year >= 100 && year % 100 === 0;
+    const length = isCentury ? 100 : 10;
+    flags.push(isCentury ? 'century' : 'decade');
+    return yearPeriod(narrowSpan(yearSpan(year, year + length - 1, bce), part), isCentury ? 'century' : 'decade');
+  }
+
+  if (part) {
+    // Modifiers only make sense for decades and centuries
+    return null;
+  }
+
+  if (YEAR_PATTERN.test(body)) {
+    const year = parseInt(body);
+    if (era && (year < 1 || body.startsWith('-'))) return null;
+    const astronomical = era ? toAstronomicalYear(year, bce) : year;
+    if (!era && astronomical <= 0) flags.push('bce');
+    return yearPeriod([astronomical, astronomical + 1], 'year');
+  }
+
+  // Calendar dates are ISO 8601 (negative years are astronomical) and carry no era
+  if (era) return null;
+
+  const yearMonth = YEAR_MONTH_PATTERN.exec(body);
+  if (yearMonth) {
+    const year = parseInt(yearMonth[1]);
+    const month = parseInt(yearMonth[2]) - 1;
+    if (month < 0 || month > 11) return null;
+    if (year <= 0) flags.push('bce');
+    return { start: utcDate(year, month), end: utcDate(year, month + 1), precision: 'month', flags };
+  }
+
+  const date = DATE_PATTERN.exec(body);
+  if (date) {
+    const year = parseInt(date[1]);
+    const month = parseInt(date[2]) - 1;
+    const day = parseInt(date[3]);
+    const start = utcDate(year, month, day);
+    // Reject dates that roll over, such as 2023-02-30
+    if (start.getUTCMonth() !== month || start.getUTCDate() !== day) return null;
+    if (year <= 0) flags.push('bce');
+    return { start, end: utcDate(year, month, day + 1), precision: 'day', flags };
+  }
+
+  // Anything else must be a full timestamp
+  const instant = new Date(value);
+  if (isNaN(instant.getTime())) return null;
+  return { start: instant, end: instant, precision: 'instant', flags };
+};
+
+// Parse a date string into its period, bounds, precision, confidence and the
+// parsing flags that explain how it was read. Throws when the string isn't a
+// date in any supported form.
+const parseFuzzyDate = (raw) => {
+  let text = String(raw).trim().replace(/\s+/g, ' ');
+  const flags = [];
+
+  const uncertain = text.endsWith('?');
+  if (uncertain) {
+    text = text.slice(0, -1).trim();
+    flags.push('uncertain');
+  }
+
+  const circa = CIRCA_PATTERN.test(text);
+  if (circa) {
+    text = text.replace(CIRCA_PATTERN, '');
+    flags.push('circa');
+  }
+
+  const period = text ? parsePeriod(text) : null;
+  if (!period) {
+    throw new Error(`Unrecognised date: '${raw}'`);
+  }
+
+  const margin = CIRCA_MARGINS[period.precision];
+  const earliest = circa ? clampDate(shiftDate(period.start, margin, -1)) : period.start;
+  // An instant's latest moment is the instant itself; a period's is its end
+  const latest = circa ? clampDate(shiftDate(period.end, margin)) : period.end;
+
+  let confidence = 'exact';
+  if (uncertain) confidence = 'uncertain';
+  else if (circa) confidence = 'approximate';
+
+  return {
+    start: period.start,
+    end: period.end,
+    earliest,
+    latest,
+    precision: period.precision,
+    confidence,
+    flags: [...flags, ...period.flags]
+  };
+};
+
+// The lower of two confidences
+const combineConfidence = (a, b) => CONFIDENCES[Math.max(CONFIDENCES.indexOf(a), CONFIDENCES.indexOf(b))];
+
+// Event columns for a parsed start (bound 'start') or end date: an event starts
+// at the beginning of its start date's period and ends at the end of its end
+// date's, with the bounds and precision of each
+const dateColumns = (date, bound) => (bound === 'end'
+  ? { end_date: date.end, end_date_earliest: date.earliest, end_date_latest: date.latest, end_date_precision: date.precision }
+  : { start_date: date.start, start_date_earliest: date.earliest, start_date_latest: date.latest, start_date_precision: date.precision });
+
+// All date columns of an event from its parsed start and end dates
+const eventDateColumns = (start, end) => ({
+  ...dateColumns(start, 'start'),
+  ...dateColumns(end, 'end'),
+  date_confidence: combineConfidence(start.confidence, end.confidence)
+});
+
+module.exports = {
+  PRECISIONS,
+  CONFIDENCES,
+  MIN_YEAR,
+  MAX_YEAR,
+  parseFuzzyDate,
+  combineConfidence,
+  dateColumns,
+  eventDateColumns,
+  isSupportedDate
+};
@@ -0,0 +1,153 @@
+const BinaryHeap = require('./binaryHeap');
+
+// Calendar intervals (e.g. 15 minutes, 3 months, 100 years) and concurrency
+// analysis over event intervals. Times are in milliseconds; intervals are
+// half-open, so an event ending as another starts doesn't overlap it.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const INTERVAL_UNITS = ['minute', 'hour', 'day', 'month', 'year'];
+
+// Approximate length of each unit (months and years vary)
+const UNIT_LENGTHS = {
+  minute: MINUTE,
+  hour: HOUR,
+  day: DAY,
+  month: 30.44 * DAY,
+  year: 365.25 * DAY
+};
+
+// The boundary of an interval at or before a time (whole hours, first of the
+// month, years divisible by the step)
+const alignTime = (time, { unit, step }) => {
+  const date = new Date(time);
+  if (unit === 'year') {
+    date.setUTCFullYear(Math.floor(date.getUTCFullYear() / step) * step, 0, 1);
+    date.setUTCHours(0, 0, 0, 0);
+  } else if (unit === 'month') {
+    date.setUTCMonth(Math.floor(date.getUTCMonth() / step) * step, 1);
+    date.setUTCHours(0, 0, 0, 0);
+  } else if (unit === 'day') {
+    date.setUTCHours(0, 0, 0, 0);
+  } else if (unit === 'hour') {
+    date.setUTCHours(Math.floor(date.getUTCHours() / step) * step, 0, 0, 0);
+  } else {
+    date.setUTCMinutes(Math.floor(date.getUTCMinutes() / step) * step, 0, 0);
+  }
+  return date;
+};
+
+// The boundary one interval after a boundary
+const addInterval = (date, { unit, step }) => {
+  const next = new Date(date.getTime());
+  if (unit === 'year') next.setUTCFullYear(next.getUTCFullYear() + step);
+  else if (unit === 'month') next.setUTCMonth(next.getUTCMonth() + step);
+  else next.setTime(next.getTime() + step * UNIT_LENGTHS[unit]);
+  return next;
+};
+
+// Consecutive buckets of an interval covering [start, end), the first aligned
+// to a boundary at or before start. Returns null when more than maxBuckets
+// would be needed.
+const buildBuckets = (start, end, interval, maxBuckets) => {
+  const buckets = [];
+  let bucketStart = alignTime(start, interval);
+  while (bucketStart.getTime() < end) {
+    if (buckets.length === maxBuckets) return null;
+    const bucketEnd = addInterval(bucketStart, interval);
+    buckets.push({ start: bucketStart.getTime(), end: bucketEnd.getTime() });
+    bucketStart = bucketEnd;
+  }
+  return buckets;
+};
+
+// Sweep events in start order, given as an (async) iterable of batches of
+// { event_id, event_name, start, end }, keeping the ends of the running events
+// in a heap. Returns the number of events, the peak number of simultaneous
+// events and the first period it held, the clusters of overlapping events
+// (runs where each event starts before all earlier ones have ended) that have
+// more than one event, and, when buckets are given, the events active in each
+// bucket and its peak. Each cluster lists at most clusterEventLimit events.
+const sweepConcurrency = async (batches, { buckets = [], clusterEventLimit = 50 } = {}) => {
+  const running = new BinaryHeap();
+  const histogram = buckets.map(bucket => ({ ...bucket, active_events: 0, peak_concurrency: 0 }));
+  const clusters = [];
+  const peak = { concurrency: 0, start: null, end: null };
+  let eventCount = 0;
+  let bucketIndex = 0;
+  let cluster = null;
+  let openPeaks = [];
+
+  // Move the histogram on to the bucket holding a time; the buckets passed
+  // over had the running events throughout
+  const advanceTo = (time) => {
+    while (bucketIndex < histogram.length - 1 && time >= histogram[bucketIndex].end) {
+      bucketIndex += 1;
+      histogram[bucketIndex].active_events = running.size;
+      histogram[bucketIndex].peak_concurrency = running.size;
+    }
+  };
+
+  const endEvent = () => {
+    // The ending event still runs in the buckets up to its end
+    const time = running.peek();
+    advanceTo(time - 1);
+    running.pop();
+    // The peaks reached at the previous level end here
+    openPeaks.forEach(open => { open.end = time; });
+    openPeaks = [];
+  };
+
+  const closeCluster = () => {
+    if (cluster && cluster.event_count > 1) clusters.push(cluster);
+    cluster = null;
+  };
+
+  for await (const batch of batches) {
+    for (const event of batch) {
+      eventCount += 1;
+      while (running.size > 0 && running.peek() <= event.start) endEvent();
+      if (running.size === 0) closeCluster();
+
+      advanceTo(event.start);
+      running.push(event.end);
+      if (histogram.length > 0) {
+        const bucket = histogram[bucketIndex];
+        bucket.active_events += 1;
+        bucket.peak_concurrency = Math.max(bucket.peak_concurrency, running.size);
+      }
+
+      if (!cluster) {
+        cluster = { start: event.start, end: event.end, event_count: 0, peak: { concurrency: 0, start: null, end: null }, events: [] };
+      }
+      cluster.end = Math.max(cluster.end, event.end);
+      cluster.event_count += 1;
+      if (cluster.events.length < clusterEventLimit) {
+        cluster.events.push({ event_id: event.event_id, event_name: event.event_name });
+      }
+
+      [peak, cluster.peak].forEach(candidate => {
+        if (running.size > candidate.concurrency) {
+          Object.assign(candidate, { concurrency: running.size, start: event.start, end: null });
+          openPeaks.push(candidate);
+        }
+      });
+    }
+  }
+
+  while (running.size > 0) endEvent();
+  closeCluster();
+
+  return { eventCount, peak, clusters, histogram };
+};
+
+module.exports = {
+  INTERVAL_UNITS,
+  UNIT_LENGTHS,
+  alignTime,
+  addInterval,
+  buildBuckets,
+  sweepConcurrency
+};
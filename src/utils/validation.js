@@ -0,0 +1,54 @@
+const Joi = require('joi');
+const { parseFuzzyDate, isSupportedDate } = require('./fuzzyDate');
+const { DURATION_UNITS } = require('./duration');
+const { RELATION_TYPES } = require('../models/EventRelation');
+
+// Event IDs are any 8-4-4-4-12 hex identifier, as accepted by ingestion
+const EVENT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Joi schema for a date that may be any form the ingestion accepts (ISO 8601
+// timestamps, "44 BC", "1450s", ...). The value becomes the parsed date (see
+// parseFuzzyDate); bound says which end of its period must be storable.
+const historicalPeriod = (bound = 'start') => Joi.any().custom((value, helpers) => {
+  let parsed;
+  try {
+    parsed = parseFuzzyDate(value);
+  } catch (error) {
+    return helpers.message('{{#label}} must be an ISO 8601 date or a historical date such as "44 BC" or "1450s"');
+  }
+
+  if (!isSupportedDate(bound === 'end' ? parsed.end : parsed.start)) {
+    return helpers.message('{{#label}} must be between 4713 BC and 275759 AD');
+  }
+  return parsed;
+});
+
+// Joi schema for a date parameter, as historicalPeriod. The value becomes a
+// Date: the start of the period the string names, or its end when bound is
+// 'end', so that end_date_before=1450 includes events ending during 1450.
+const historicalDate = (bound = 'start') => historicalPeriod(bound)
+  .custom(parsed => (bound === 'end' ? parsed.end : parsed.start));
+
+// Joi schema for the unit durations are reported in
+const durationUnit = () => Joi.string().valid(...DURATION_UNITS).default('minutes');
+
+// Joi schema for the relation types to follow, given comma-separated
+// (relationTypes=caused,preceded) or repeated; the value becomes an array
+const relationTypes = () => Joi.any().custom((value, helpers) => {
+  const types = (Array.isArray(value) ? value : String(value).split(','))
+    .map(type => String(type).trim().toLowerCase())
+    .filter(type => type !== '');
+
+  if (types.length === 0 || types.some(type => !RELATION_TYPES.includes(type))) {
+    return helpers.message(`{{#label}} must list relation types out of ${RELATION_TYPES.join(', ')}`);
+  }
+  return [...new Set(types)];
+});
+
+module.exports = {
+  EVENT_ID_PATTERN,
+  historicalPeriod,
+  historicalDate,
+  durationUnit,
+  relationTypes
+};
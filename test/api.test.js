@@ -1,5 +1,8 @@
+const fs = require('fs');
 const request = require('supertest');
 const app = require('../src/server');
+const FileIngestionService = require('../src/services/FileIngestionService');
+const EventRelation = require('../src/models/EventRelation');
 
 describe('Chronologicon Engine API Tests', () => {
   describe('Health Check', () => {
@@ -34,6 +37,182 @@ describe('Chronologicon Engine API Tests', () => {
       expect(response.body).toHaveProperty('jobId');
       expect(response.body.status).toBe('Ingestion initiated');
     });
+
+    test('POST /api/events/ingest should reject unknown formats', async () => {
+      const response = await request(app)
+        .post('/api/events/ingest')
+        .send({ filePath: './sample_historical_data_from_csv.txt', format: 'xml' })
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+    });
+
+    test('POST /api/events/ingest should reject unknown ingestion modes', async () => {
+      const response = await request(app)
+        .post('/api/events/ingest')
+        .send({ filePath: './sample_historical_data_from_csv.txt', mode: 'replace' })
+        .expect(400);
+
+      expect(response.body.message).toContain('"mode" must be one of');
+    });
+
+    test('GET /api/events/ingestion-jobs should reject unknown statuses', async () => {
+      const response = await request(app)
+        .get('/api/events/ingestion-jobs?status=PAUSED')
+        .expect(400);
+
+      expect(response.body.message).toContain('"status" must be one of');
+    });
+
+    test('GET /api/events/:eventId should reject invalid UUIDs', async () => {
+      const response = await request(app)
+        .get('/api/events/not-a-uuid')
+        .expect(400);
+
+      expect(response.body.error).toBe('Bad Request');
+    });
+
+    test('PATCH /api/events/:eventId should require at least one field', async () => {
+      const response = await request(app)
+        .patch('/api/events/a1b2c3d4-e5f6-7890-1234-567890abcdef')
+        .send({})
+        .expect(400);
+
+      expect(response.body.error).toBe('Validation Error');
+    });
+
+    test('DELETE /api/events/:eventId should reject unknown child handling', async () => {
+      const response = await request(app)
+        .delete('/api/events/a1b2c3d4-e5f6-7890-1234-567890abcdef?children=adopt')
+        .expect(400);
+
+      expect(response.body.message).toContain('"children" must be one of');
+    });
+  });
+
+  describe('Relation Routes', () => {
+    test('GET /api/relations/:relationId should reject invalid UUIDs', async () => {
+      const response = await request(app)
+        .get('/api/relations/not-a-uuid')
+        .expect(400);
+
+      expect(response.body.error).toBe('Bad Request');
+    });
+
+    test('POST /api/relations should answer with the status the model attaches', async () => {
+      const create = jest.spyOn(EventRelation, 'create').mockRejectedValue(
+        Object.assign(new Error('A relation of this type already links these events'), { status: 409 })
+      );
+
+      const response = await request(app)
+        .post('/api/relations')
+        .send({ source_event_id: 'a1b2c3d4-e5f6-7890-1234-567890abcdef', target_event_id: 'f7e6d5c4-b3a2-1098-7654-3210fedcba98', relation_type: 'caused' })
+        .expect(409);
+
+      expect(response.body).toEqual({ error: 'Conflict', message: 'A relation of this type already links these events' });
+      create.mockRestore();
+    });
+
+    test('POST /api/relations should validate the relation', async () => {
+      await request(app)
+        .post('/api/relations')
+        .send({ source_event_id: 'a1b2c3d4-e5f6-7890-1234-567890abcdef', target_event_id: 'f7e6d5c4-b3a2-1098-7654-3210fedcba98', relation_type: 'inspired' })
+        .expect(400);
+
+      const response = await request(app)
+        .post('/api/relations')
+        .send({ source_event_id: 'a1b2c3d4-e5f6-7890-1234-567890abcdef', target_event_id: 'A1B2C3D4-E5F6-7890-1234-567890ABCDEF', relation_type: 'caused' })
+        .expect(400);
+
+      expect(response.body.message).toBe('An event cannot be related to itself');
+    });
+
+    test('PATCH /api/relations/:relationId should reject negative weights', async () => {
+      const response = await request(app)
+        .patch('/api/relations/a1b2c3d4-e5f6-7890-1234-567890abcdef')
+        .send({ weight: -1 })
+        .expect(400);
+
+      expect(response.body.message).toContain('weight');
+    });
+
+    test('POST /api/events/ingest should not repair or dry-run relations files', async () => {
+      const response = await request(app)
+        .post('/api/events/ingest')
+        .send({ filePath: './relations.txt', content: 'relations', dryRun: true })
+        .expect(400);
+
+      expect(response.body.message).toBe('"dryRun" is not supported for relations files');
+    });
+  });
+
+  describe('Uploads', () => {
+    // The server creates it on start, which the tests don't go through
+    beforeAll(() => {
+      fs.mkdirSync('uploads', { recursive: true });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('POST /api/events/ingest should remove a dry-run upload when validation fails', async () => {
+      const validateFile = jest.spyOn(FileIngestionService, 'validateFile')
+        .mockRejectedValue(new Error('Unreadable file'));
+
+      await request(app)
+        .post('/api/events/ingest')
+        .field('dryRun', 'true')
+        .attach('file', Buffer.from('eventId|eventName|startDate|endDate\n'), 'events.txt')
+        .expect(500);
+
+      const [uploadedPath] = validateFile.mock.calls[0];
+      expect(fs.existsSync(uploadedPath)).toBe(false);
+    });
+
+    test('POST /api/events/ingest should remove an upload whose options are invalid', async () => {
+      const before = fs.readdirSync('uploads');
+
+      await request(app)
+        .post('/api/events/ingest')
+        .field('mode', 'overwrite-everything')
+        .attach('file', Buffer.from('eventId|eventName|startDate|endDate\n'), 'events.txt')
+        .expect(400);
+
+      expect(fs.readdirSync('uploads')).toEqual(before);
+    });
+  });
+
+  describe('Ingestion Progress Stream', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('GET /api/events/ingestion-status/:jobId/stream should push progress until the job finishes', async () => {
+      jest.spyOn(FileIngestionService, 'getJobStatus').mockImplementation(async (jobId) => {
+        setTimeout(() => {
+          FileIngestionService.emit('progress', { jobId: 'other-job', linesRead: 1 });
+          FileIngestionService.emit('progress', { jobId, linesRead: 100, totalLines: 200, etaSeconds: 1 });
+          FileIngestionService.emit('finished', { jobId, status: 'COMPLETED', processedLines: 200 });
+        }, 10);
+        return { jobId, status: 'PROCESSING', processedLines: 0 };
+      });
+
+      const response = await request(app)
+        .get('/api/events/ingestion-status/ingest-job-1/stream')
+        .expect('Content-Type', /text\/event-stream/)
+        .expect(200);
+
+      const events = response.text.trim().split('\n\n').map(block => {
+        const [event, data] = block.split('\n');
+        return [event.replace('event: ', ''), JSON.parse(data.replace('data: ', ''))];
+      });
+
+      expect(events.map(([event]) => event)).toEqual(['status', 'progress', 'complete']);
+      expect(events[1][1].linesRead).toBe(100);
+      expect(events[2][1].status).toBe('COMPLETED');
+      expect(FileIngestionService.listenerCount('progress')).toBe(0);
+    });
   });
 
   describe('Insight Routes', () => {
@@ -45,6 +224,55 @@ describe('Chronologicon Engine API Tests', () => {
       expect(Array.isArray(response.body)).toBe(true);
     });
 
+    test('GET /api/insights/overlapping-events should validate its filters', async () => {
+      await request(app)
+        .get('/api/insights/overlapping-events?startDate=2023-02-01&endDate=2023-01-01')
+        .expect(400);
+      await request(app)
+        .get('/api/insights/overlapping-events?rootEventId=invalid-uuid')
+        .expect(400);
+
+      const response = await request(app)
+        .get('/api/insights/overlapping-events?minOverlapMinutes=0')
+        .expect(400);
+
+      expect(response.body.message).toContain('minOverlapMinutes');
+    });
+
+    test('GET /api/insights/overlapping-events should let browsers read the next cursor', async () => {
+      const response = await request(app)
+        .get('/api/insights/overlapping-events?page=2')
+        .set('Origin', 'http://example.com');
+
+      expect(response.headers['access-control-expose-headers']).toContain('X-Next-Cursor');
+    });
+
+    test('GET /api/insights/overlapping-events should only sort by overlap over a bounded set', async () => {
+      const response = await request(app)
+        .get('/api/insights/overlapping-events?sortBy=overlap')
+        .expect(400);
+      expect(response.body.message).toContain('sortBy=overlap');
+
+      await request(app)
+        .get('/api/insights/overlapping-events?page=2')
+        .expect(400);
+      await request(app)
+        .get('/api/insights/overlapping-events?cursor=not-a-cursor')
+        .expect(400);
+    });
+
+    test('GET /api/insights/concurrency should validate the bucket size', async () => {
+      await request(app)
+        .get('/api/insights/concurrency?bucketUnit=fortnight')
+        .expect(400);
+
+      const response = await request(app)
+        .get('/api/insights/concurrency?bucketUnit=day&bucketSize=0')
+        .expect(400);
+
+      expect(response.body.message).toContain('bucketSize');
+    });
+
     test('GET /api/insights/temporal-gaps should validate date parameters', async () => {
       await request(app)
         .get('/api/insights/temporal-gaps')
@@ -56,6 +284,36 @@ describe('Chronologicon Engine API Tests', () => {
         .get('/api/insights/event-influence?sourceEventId=invalid&targetEventId=invalid')
         .expect(400); // Invalid UUID format
     });
+
+    test('GET /api/insights/event-influence should validate the path options', async () => {
+      const ids = 'sourceEventId=a1b2c3d4-e5f6-7890-1234-567890abcdef&targetEventId=f7e6d5c4-b3a2-1098-7654-3210fedcba98';
+
+      await request(app)
+        .get(`/api/insights/event-influence?${ids}&direction=sideways`)
+        .expect(400);
+
+      const response = await request(app)
+        .get(`/api/insights/event-influence?${ids}&weight=hops&k=50`)
+        .expect(400);
+
+      expect(response.body.message).toContain('k');
+    });
+
+    test('GET /api/insights/event-influence should validate the relation types', async () => {
+      const ids = 'sourceEventId=a1b2c3d4-e5f6-7890-1234-567890abcdef&targetEventId=f7e6d5c4-b3a2-1098-7654-3210fedcba98';
+
+      const response = await request(app)
+        .get(`/api/insights/event-influence?${ids}&relationTypes=caused,inspired`)
+        .expect(400);
+
+      expect(response.body.message).toContain('relationTypes');
+    });
+
+    test('GET /api/insights/hierarchy-violations should validate the limit', async () => {
+      await request(app)
+        .get('/api/insights/hierarchy-violations?limit=5000')
+        .expect(400);
+    });
   });
 });
 
@@ -68,6 +326,73 @@ describe('Data Validation', () => {
     expect(response.body.error).toBe('Bad Request');
   });
 
+  test('Should reject invalid timeline options', async () => {
+    await request(app)
+      .get('/api/timeline/a1b2c3d4-e5f6-7890-1234-567890abcdef?maxDepth=-1')
+      .expect(400);
+
+    const response = await request(app)
+      .get('/api/timeline/a1b2c3d4-e5f6-7890-1234-567890abcdef?from=1500&to=1400')
+      .expect(400);
+
+    expect(response.body.message).toContain('from must be before to');
+  });
+
+  test('Should reject unknown sort fields when listing timelines', async () => {
+    const response = await request(app)
+      .get('/api/timeline?sortBy=metadata')
+      .expect(400);
+
+    expect(response.body.message).toContain('sortBy');
+  });
+
+  test('Should reject unknown export formats', async () => {
+    await request(app)
+      .get('/api/timeline/a1b2c3d4-e5f6-7890-1234-567890abcdef/export?format=xlsx')
+      .expect(400);
+
+    const response = await request(app)
+      .get('/api/events/search/export?format=pdf')
+      .expect(400);
+
+    expect(response.body.message).toContain('format');
+  });
+
+  test('Should validate chart options', async () => {
+    const response = await request(app)
+      .get('/api/timeline/invalid-uuid/chart.svg')
+      .expect(400);
+
+    expect(response.body.error).toBe('Bad Request');
+
+    await request(app)
+      .get('/api/timeline/a1b2c3d4-e5f6-7890-1234-567890abcdef/chart.svg?width=100')
+      .expect(400);
+    await request(app)
+      .get('/api/events/search/chart.svg?limit=5000')
+      .expect(400);
+  });
+
+  test('Should validate timeline relation options', async () => {
+    await request(app)
+      .get('/api/timeline/a1b2c3d4-e5f6-7890-1234-567890abcdef?includeRelations=true&relationDepth=5')
+      .expect(400);
+
+    const response = await request(app)
+      .get('/api/timeline/a1b2c3d4-e5f6-7890-1234-567890abcdef?relationTypes=influenced')
+      .expect(400);
+
+    expect(response.body.message).toContain('relationTypes');
+  });
+
+  test('Should keep serving the timeline under /api/events', async () => {
+    const response = await request(app)
+      .get('/api/events/timeline/invalid-uuid')
+      .expect(400);
+
+    expect(response.body.error).toBe('Bad Request');
+  });
+
   test('Should validate date ranges for temporal gaps', async () => {
     const response = await request(app)
       .get('/api/insights/temporal-gaps?startDate=2023-01-02T00:00:00Z&endDate=2023-01-01T00:00:00Z')
@@ -75,4 +400,41 @@ describe('Data Validation', () => {
     
     expect(response.body.message).toContain('startDate must be before endDate');
   });
+
+  test('Should validate the temporal gap threshold and pagination', async () => {
+    await request(app)
+      .get('/api/insights/temporal-gaps?startDate=2023-01-01&endDate=2023-02-01&minGapMinutes=-5')
+      .expect(400);
+
+    const response = await request(app)
+      .get('/api/insights/temporal-gaps?startDate=2023-01-01&endDate=2023-02-01&limit=500')
+      .expect(400);
+
+    expect(response.body.message).toContain('limit');
+  });
+
+  test('Should compare BCE dates chronologically for temporal gaps', async () => {
+    const response = await request(app)
+      .get('/api/insights/temporal-gaps?startDate=44%20BC&endDate=500%20BC')
+      .expect(400);
+
+    expect(response.body.message).toContain('startDate must be before endDate');
+  });
+
+  test('Should reject dates before 4713 BC', async () => {
+    const response = await request(app)
+      .get('/api/insights/temporal-gaps?startDate=5000%20BC&endDate=1%20BC')
+      .expect(400);
+
+    expect(response.body.error).toBe('Validation Error');
+    expect(response.body.message).toContain('startDate');
+  });
+
+  test('Should reject unknown duration units', async () => {
+    const response = await request(app)
+      .get('/api/events/search?durationUnit=weeks')
+      .expect(400);
+
+    expect(response.body.message).toContain('durationUnit');
+  });
 });
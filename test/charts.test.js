@@ -0,0 +1,74 @@
+const { buildAxis, formatYear } = require('../src/services/charts/timeAxis');
+const { renderGanttChart } = require('../src/services/charts/ganttChart');
+const ChartService = require('../src/services/ChartService');
+const HistoricalEvent = require('../src/models/HistoricalEvent');
+const { parseFuzzyDate } = require('../src/utils/fuzzyDate');
+
+const ROOT_ID = 'a1b2c3d4-e5f6-7890-1234-567890abcdef';
+const CHILD_ID = 'f7e6d5c4-b3a2-1098-7654-3210fedcba98';
+const OTHER_ID = '11111111-2222-3333-4444-555555555555';
+
+// A flat timeline: a root, a child inside it and a sibling overlapping the child
+const timelineEvents = [
+  { event_id: ROOT_ID, event_name: 'Project <Phoenix>', start_date: new Date('2023-01-01T00:00:00Z'), end_date: new Date('2023-01-01T06:00:00Z'), level: 0, path: [ROOT_ID] },
+  { event_id: CHILD_ID, event_name: 'Phase 1', start_date: new Date('2023-01-01T00:00:00Z'), end_date: new Date('2023-01-01T03:00:00Z'), level: 1, path: [ROOT_ID, CHILD_ID] },
+  { event_id: OTHER_ID, event_name: 'Phase 2', start_date: new Date('2023-01-01T02:00:00Z'), end_date: new Date('2023-01-01T05:00:00Z'), level: 1, path: [ROOT_ID, OTHER_ID] }
+];
+
+describe('Chart Time Axis', () => {
+  test.each([
+    [new Date('2023-01-01T10:00:00Z'), new Date('2023-01-01T11:00:00Z'), 'minute'],
+    [new Date('2023-01-01T00:00:00Z'), new Date('2023-01-04T00:00:00Z'), 'hour'],
+    [new Date('2023-01-01T00:00:00Z'), new Date('2023-03-01T00:00:00Z'), 'day'],
+    [new Date('2020-01-01T00:00:00Z'), new Date('2023-01-01T00:00:00Z'), 'month'],
+    [parseFuzzyDate('500 BC').start, new Date('1500-01-01T00:00:00Z'), 'year']
+  ])('Should scale the axis from %s to %s in %ss', (start, end, unit) => {
+    const axis = buildAxis(start.getTime(), end.getTime(), 10);
+
+    expect(axis.interval.unit).toBe(unit);
+    expect(axis.ticks.length).toBeGreaterThan(1);
+    expect(axis.ticks.length).toBeLessThanOrEqual(10);
+    axis.ticks.forEach(tick => {
+      expect(tick.time).toBeGreaterThanOrEqual(start.getTime());
+      expect(tick.time).toBeLessThanOrEqual(end.getTime());
+    });
+  });
+
+  test('Should label centuries and BC years', () => {
+    const axis = buildAxis(parseFuzzyDate('500 BC').start.getTime(), new Date('1500-01-01T00:00:00Z').getTime(), 10);
+
+    expect(axis.interval).toEqual({ unit: 'year', step: 250 });
+    expect(axis.ticks.map(tick => tick.label)).toEqual(['251 BC', '1 BC', '250', '500', '750', '1000', '1250', '1500']);
+    expect(formatYear(-43)).toBe('44 BC');
+  });
+});
+
+describe('Gantt Chart', () => {
+  test('Should draw a bar per event, indented by level, and mark unrelated overlaps', () => {
+    const svg = renderGanttChart({ title: 'Project <Phoenix>', events: timelineEvents, width: 1000 });
+
+    expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" width="1000"')).toBe(true);
+    expect(svg.match(/class="bar"/g)).toHaveLength(3);
+    expect(svg).toContain('Project &lt;Phoenix&gt;');
+    expect(svg).not.toContain('<Phoenix>');
+    expect(svg).toMatch(/<text x="30" [^>]*>Phase 1<\/text>/);
+    // Phase 1 and Phase 2 overlap each other; neither overlaps the root they sit in
+    expect(svg.match(/class="overlap"/g)).toHaveLength(2);
+    expect(svg).toContain('00:00');
+  });
+
+  test('Should say how many events were left out', () => {
+    const svg = renderGanttChart({ title: 'Events', events: timelineEvents.slice(0, 1), hiddenEvents: 5 });
+
+    expect(svg).toContain('5 more events not shown');
+    expect(svg).not.toContain('class="overlap"');
+  });
+
+  test('Should not chart the timeline of an unknown event', async () => {
+    const getTimeline = jest.spyOn(HistoricalEvent, 'getTimeline').mockResolvedValue(null);
+
+    await expect(ChartService.timelineChart(ROOT_ID, { width: 800 })).resolves.toBeNull();
+    expect(getTimeline).toHaveBeenCalledWith(ROOT_ID, { format: 'flat' });
+    getTimeline.mockRestore();
+  });
+});
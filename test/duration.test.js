@@ -0,0 +1,29 @@
+const { convertMinutes } = require('../src/utils/duration');
+const { parseFuzzyDate, isSupportedDate } = require('../src/utils/fuzzyDate');
+
+describe('Deep-Time Durations', () => {
+  test('Should convert minutes to days and years', () => {
+    expect(convertMinutes(90, 'minutes')).toBe(90);
+    expect(convertMinutes(2160, 'days')).toBe(1.5);
+    expect(convertMinutes(525949.2, 'years')).toBe(1);
+    expect(convertMinutes(null, 'years')).toBeNull();
+  });
+
+  test('Should report the span of BCE events in years', () => {
+    const start = parseFuzzyDate('500 BC').start;
+    const end = parseFuzzyDate('44 BC').end;
+    const minutes = (end - start) / 60000;
+
+    expect(convertMinutes(minutes, 'years')).toBeCloseTo(457, 0);
+    expect(end.toISOString()).toBe('-000042-01-01T00:00:00.000Z');
+  });
+
+  test('Should only support dates PostgreSQL can store', () => {
+    expect(isSupportedDate(parseFuzzyDate('4713 BC').start)).toBe(true);
+    expect(isSupportedDate(parseFuzzyDate('5000 BC').start)).toBe(false);
+
+    // Circa bounds are kept within the range rather than rejected
+    const circa = parseFuzzyDate('circa 4713 BC');
+    expect(circa.earliest.getUTCFullYear()).toBe(-4712);
+  });
+});
@@ -0,0 +1,132 @@
+const HistoricalEvent = require('../src/models/HistoricalEvent');
+const EventRelation = require('../src/models/EventRelation');
+const EventGraph = require('../src/services/EventGraph');
+
+// A project with two phases, each with a task; research values favour phase B
+const row = (eventId, parentId, startHour, durationMinutes, researchValue = null) => ({
+  event_id: eventId,
+  event_name: `Event ${eventId}`,
+  start_date: new Date(Date.UTC(2023, 0, 1, startHour)),
+  duration_minutes: durationMinutes,
+  research_value: researchValue,
+  parent_event_id: parentId
+});
+
+const projectRows = [
+  row('root', null, 0, 600),
+  row('a', 'root', 1, 120),
+  row('b', 'root', 5, 60, 9),
+  row('a1', 'a', 1, 30),
+  row('b1', 'b', 6, 15)
+];
+
+// Relations across the phases: a1 caused b1, and a preceded b
+const relation = (relationId, sourceId, targetId, relationType, weight = null) => ({
+  relation_id: relationId,
+  source_event_id: sourceId,
+  target_event_id: targetId,
+  relation_type: relationType,
+  weight
+});
+
+const projectRelations = [
+  relation('r1', 'a1', 'b1', 'caused', 0.5),
+  relation('r2', 'a', 'b', 'preceded')
+];
+
+describe('Event Graph', () => {
+  let revisionId;
+  let relationsVersion;
+  let rows;
+  let edges;
+  let findRows;
+
+  beforeEach(() => {
+    revisionId = 1;
+    relationsVersion = 1;
+    rows = projectRows;
+    edges = projectRelations;
+    jest.spyOn(HistoricalEvent, 'findLatestRevisionId').mockImplementation(async () => revisionId);
+    jest.spyOn(EventRelation, 'findVersion').mockImplementation(async () => relationsVersion);
+    jest.spyOn(EventRelation, 'findGraphEdges').mockImplementation(async () => edges);
+    findRows = jest.spyOn(HistoricalEvent, 'findGraphRows').mockImplementation(async () => rows);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const eventIds = (path) => path.map(event => event.event_id);
+
+  test('Should follow parent to child edges by default', async () => {
+    const result = await EventGraph.findPaths('root', 'b1');
+
+    expect(eventIds(result.shortestPath)).toEqual(['root', 'b', 'b1']);
+    expect(result).toMatchObject({ direction: 'down', weight: 'duration', totalDurationMinutes: 675, totalCost: 75 });
+
+    const upwards = await EventGraph.findPaths('a1', 'b1');
+    expect(upwards.shortestPath).toEqual([]);
+  });
+
+  test('Should go through the parent to a sibling when traversing both ways', async () => {
+    const result = await EventGraph.findPaths('a1', 'b1', { direction: 'both', weight: 'hops' });
+
+    expect(eventIds(result.shortestPath)).toEqual(['a1', 'a', 'root', 'b', 'b1']);
+    expect(result.totalCost).toBe(4);
+    expect((await EventGraph.findPaths('b1', 'root', { direction: 'up', weight: 'temporal' })).totalCost).toBe(360);
+  });
+
+  test('Should return alternative paths cheapest first', async () => {
+    // Legacy rows closing a cycle: x -> y -> z -> x
+    rows = [row('x', 'z', 0, 10, 1), row('y', 'x', 1, 10, 0), row('z', 'y', 2, 10, 4)];
+    revisionId = 2;
+
+    const result = await EventGraph.findPaths('x', 'z', { direction: 'both', weight: 'researchValue', k: 3 });
+
+    expect(result.paths.map(path => eventIds(path.path))).toEqual([['x', 'z'], ['x', 'y', 'z']]);
+    expect(result.paths.map(path => path.totalCost)).toEqual([0.2, 1.2]);
+  });
+
+  test('Should follow relations only when asked to', async () => {
+    revisionId = 5;
+    expect((await EventGraph.findPaths('a1', 'b1')).shortestPath).toEqual([]);
+
+    const result = await EventGraph.findPaths('a1', 'b1', { includeRelations: true, weight: 'relationWeight' });
+    expect(result.shortestPath[1]).toMatchObject({ event_id: 'b1', via: 'caused', relation_id: 'r1', reversed: false });
+    expect(result.totalCost).toBe(0.5);
+
+    // Up from b1: to its parent, then back along 'a preceded b'
+    const preceded = await EventGraph.findPaths('b1', 'a', { direction: 'up', relationTypes: ['preceded'], weight: 'hops', k: 2 });
+    expect(preceded.paths.map(path => eventIds(path.path))).toEqual([['b1', 'b', 'a']]);
+    expect(preceded.shortestPath.map(event => event.via)).toEqual([undefined, 'parent', 'preceded']);
+    expect(preceded.shortestPath[2].reversed).toBe(true);
+  });
+
+  test('Should find alternative paths through relations', async () => {
+    revisionId = 6;
+    const result = await EventGraph.findPaths('a1', 'b1', { direction: 'both', weight: 'hops', k: 3, includeRelations: true });
+
+    expect(result.paths.map(path => eventIds(path.path))).toEqual([
+      ['a1', 'b1'],
+      ['a1', 'a', 'b', 'b1'],
+      ['a1', 'a', 'root', 'b', 'b1']
+    ]);
+    expect(result.paths[1].path.map(event => event.via)).toEqual([undefined, 'parent', 'preceded', 'child']);
+    expect(result.paths.map(path => path.totalCost)).toEqual([1, 3, 4]);
+  });
+
+  test('Should keep the graph until the events or relations change', async () => {
+    revisionId = 3;
+    await EventGraph.findPaths('root', 'a1');
+    await EventGraph.findPaths('root', 'b1');
+    expect(findRows).toHaveBeenCalledTimes(1);
+
+    revisionId = 4;
+    await EventGraph.findPaths('root', 'a1');
+    expect(findRows).toHaveBeenCalledTimes(2);
+
+    relationsVersion = 2;
+    await EventGraph.findPaths('root', 'a1');
+    expect(findRows).toHaveBeenCalledTimes(3);
+  });
+});
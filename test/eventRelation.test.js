@@ -0,0 +1,86 @@
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const { query, transaction } = require('../src/config/database');
+const EventRelation = require('../src/models/EventRelation');
+const IngestionJob = require('../src/models/IngestionJob');
+
+// A relation row as findByEventIds returns it
+const relationRow = (relationId, sourceId, targetId, relationType) => ({
+  relation_id: relationId,
+  source_event_id: sourceId,
+  source_event_name: `Event ${sourceId}`,
+  source_start_date: new Date('2023-01-01T00:00:00Z'),
+  source_end_date: new Date('2023-01-02T00:00:00Z'),
+  target_event_id: targetId,
+  target_event_name: `Event ${targetId}`,
+  target_start_date: new Date('2023-01-03T00:00:00Z'),
+  target_end_date: new Date('2023-01-04T00:00:00Z'),
+  relation_type: relationType,
+  weight: null,
+  description: null
+});
+
+describe('EventRelation', () => {
+  afterEach(() => {
+    query.mockReset();
+  });
+
+  test('Should follow relations out of a set of events step by step', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [relationRow('r1', 'a', 'x', 'caused'), relationRow('r2', 'y', 'b', 'caused')] })
+      .mockResolvedValueOnce({ rows: [relationRow('r1', 'a', 'x', 'caused'), relationRow('r3', 'x', 'z', 'caused')] });
+
+    const { relations, relatedEvents } = await EventRelation.traverse(['a', 'b'], { depth: 2, relationTypes: ['caused'] });
+
+    expect(query.mock.calls[0][1]).toEqual([['a', 'b'], ['caused']]);
+    expect(query.mock.calls[1][1][0]).toEqual(['x', 'y']);
+    expect(relations.get('a')).toEqual([expect.objectContaining({
+      relation_id: 'r1', direction: 'outgoing', related_event_id: 'x', relation_type: 'caused'
+    })]);
+    expect(relations.get('b')[0]).toMatchObject({ direction: 'incoming', related_event_id: 'y' });
+    expect(relatedEvents.map(event => [event.event_id, event.distance])).toEqual([['x', 1], ['y', 1], ['z', 2]]);
+    expect(relatedEvents[0].relations.map(relation => relation.relation_id)).toEqual(['r1', 'r3']);
+  });
+
+  test('Should keep the inserting job when a later job upserts a relation', async () => {
+    const { queryText, values } = EventRelation.buildInsert({
+      source_event_id: 'a',
+      target_event_id: 'b',
+      relation_type: 'caused',
+      weight: 2,
+      metadata: { job_id: 'job-2', sources: [{ job_id: 'job-2', line_number: 4 }] }
+    }, 'upsert');
+
+    expect(queryText).toContain("'job_id', COALESCE(event_relations.metadata->'job_id', EXCLUDED.metadata->'job_id')");
+    expect(queryText).toContain("COALESCE(event_relations.metadata->'sources', '[]'::jsonb)\n            || COALESCE(EXCLUDED.metadata->'sources', '[]'::jsonb)");
+    expect(JSON.parse(values[5]).job_id).toBe('job-2');
+
+    // Rolling back the second job only deletes what it inserted, by job_id,
+    // which the upsert above left as the first job's
+    const client = { query: jest.fn(async () => ({ rows: [], rowCount: 0 })) };
+    transaction.mockImplementationOnce(callback => callback(client));
+
+    await IngestionJob.remove('job-2', { rollback: true });
+
+    expect(client.query.mock.calls[0]).toEqual([
+      "DELETE FROM event_relations WHERE metadata->>'job_id' = $1",
+      ['job-2']
+    ]);
+  });
+
+  test('Should report unknown events and duplicate relations with a status', async () => {
+    query.mockRejectedValueOnce(Object.assign(new Error('violates foreign key constraint'), {
+      code: '23503',
+      constraint: 'event_relations_target_event_id_fkey'
+    }));
+    await expect(EventRelation.create({ source_event_id: 'a', target_event_id: 'b', relation_type: 'caused' }))
+      .rejects.toMatchObject({ status: 404, message: 'Target event not found' });
+
+    query.mockRejectedValueOnce(Object.assign(new Error('duplicate key value'), { code: '23505' }));
+    await expect(EventRelation.create({ source_event_id: 'a', target_event_id: 'b', relation_type: 'caused' }))
+      .rejects.toMatchObject({ status: 409 });
+  });
+});
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const formats = require('../src/services/formats');
+const exportFormats = require('../src/services/exports');
+const ExportService = require('../src/services/ExportService');
+const FileIngestionService = require('../src/services/FileIngestionService');
+const HistoricalEvent = require('../src/models/HistoricalEvent');
+const { parseFuzzyDate } = require('../src/utils/fuzzyDate');
+
+// Event rows as the timeline and search queries return them
+const events = [
+  {
+    event_id: 'a1b2c3d4-e5f6-7890-1234-567890abcdef',
+    event_name: 'Founding of ArchaeoData',
+    description: 'Initial establishment, "data salvage", phase 1\nsecond line',
+    start_date: new Date('2023-01-01T10:00:00Z'),
+    end_date: new Date('2023-01-01T11:30:00Z'),
+    start_date_precision: 'instant',
+    end_date_precision: 'instant',
+    date_confidence: 'exact',
+    parent_event_id: null,
+    research_value: 7.5,
+    metadata: {}
+  },
+  {
+    event_id: 'f7e6d5c4-b3a2-1098-7654-3210fedcba98',
+    event_name: 'Siege of Alesia',
+    description: null,
+    start_date: parseFuzzyDate('circa 52 BC').start,
+    end_date: parseFuzzyDate('51 BC').end,
+    start_date_precision: 'year',
+    end_date_precision: 'year',
+    date_confidence: 'approximate',
+    parent_event_id: 'a1b2c3d4-e5f6-7890-1234-567890abcdef',
+    research_value: null,
+    metadata: { raw_dates: { start_date: 'circa 52 BC', end_date: '51 BC' } }
+  }
+];
+
+// Run an export over the sample events, in batches of one
+const exportText = async (format, context = { title: 'Founding', exportedAt: new Date('2024-01-15T12:00:00Z') }, rows = events) => {
+  async function* batches() {
+    for (const event of rows) yield [event];
+  }
+  const download = ExportService.buildExport(exportFormats.getExporter(format), 'events', batches, context);
+  let text = '';
+  for await (const chunk of download.content()) {
+    text += chunk;
+  }
+  return { download, text };
+};
+
+describe('Export Formats', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chronologicon-exports-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // Read an export back with the ingestion adapter and validation
+  const reingest = async (format, text, name) => {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, text);
+
+    const ingested = [];
+    for await (const record of formats.getAdapter(format).records(filePath)) {
+      if (record.fields) ingested.push(FileIngestionService.buildEvent(record.fields, record.lineNumber, filePath));
+    }
+    return ingested;
+  };
+
+  test.each([['csv', 'events.csv'], ['pipe', 'events.txt']])('Should round-trip events through %s', async (format, name) => {
+    const { download, text } = await exportText(format);
+    const ingested = await reingest(format, text, name);
+
+    expect(download.fileName).toBe(name);
+    expect(ingested).toHaveLength(2);
+    ingested.forEach((event, index) => {
+      const original = events[index];
+      expect(event).toMatchObject({
+        event_id: original.event_id,
+        event_name: original.event_name,
+        start_date: original.start_date,
+        end_date: original.end_date,
+        start_date_precision: original.start_date_precision,
+        date_confidence: original.date_confidence,
+        parent_event_id: original.parent_event_id,
+        research_value: original.research_value
+      });
+    });
+    if (format === 'csv') expect(ingested[0].description).toBe(events[0].description);
+  });
+
+  test('Should round-trip pipes and backslashes in pipe exports', async () => {
+    const rows = [{
+      ...events[0],
+      event_name: 'Survey | Phase A',
+      description: 'Columns a|b|c, path C:\\data\\ and a trailing backslash \\'
+    }];
+    const { text } = await exportText('pipe', undefined, rows);
+    const ingested = await reingest('pipe', text, 'escaped.txt');
+
+    expect(text).toContain('Survey \\| Phase A');
+    expect(ingested).toHaveLength(1);
+    expect(ingested[0]).toMatchObject({ event_name: rows[0].event_name, description: rows[0].description });
+  });
+
+  test('Should write all-day iCalendar events and leave out BCE events', async () => {
+    const { download, text } = await exportText('ical');
+    const lines = text.split('\r\n');
+
+    expect(download.contentType).toBe('text/calendar');
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('X-WR-CALNAME:Founding');
+    expect(lines).toContain('DTSTART:20230101T100000Z');
+    expect(lines).toContain('DESCRIPTION:Initial establishment\\, "data salvage"\\, phase 1\\nsecond line');
+    expect(text.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    expect(text.endsWith('END:VCALENDAR\r\n')).toBe(true);
+  });
+
+  test('Should fold long iCalendar lines at 75 octets', () => {
+    const folded = exportFormats.getExporter('ics').foldLine(`SUMMARY:${'é'.repeat(60)}`);
+
+    folded.split('\r\n').forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    expect(folded.replace(/\r\n /g, '')).toBe(`SUMMARY:${'é'.repeat(60)}`);
+  });
+
+  test('Should write TimelineJS slides at the precision of their dates', async () => {
+    const { text } = await exportText('timelinejs');
+    const timeline = JSON.parse(text);
+
+    expect(timeline.title.text.headline).toBe('Founding');
+    expect(timeline.events[0].start_date).toEqual({ year: 2023, month: 1, day: 1, hour: 10, minute: 0, second: 0 });
+    expect(timeline.events[1]).toMatchObject({ start_date: { year: -51 }, end_date: { year: -50 } });
+  });
+
+  test('Should write GEDCOM X formal dates and confidence', async () => {
+    const { text } = await exportText('gedcomx');
+    const [founding, siege] = JSON.parse(text).events;
+
+    expect(founding.date.formal).toBe('+2023-01-01T10:00:00Z/+2023-01-01T11:30:00Z');
+    expect(siege).toMatchObject({
+      date: { original: 'circa 52 BC / 51 BC', formal: '-0051/-0050' },
+      confidence: 'http://gedcomx.org/Medium',
+      partOf: { resource: '#a1b2c3d4-e5f6-7890-1234-567890abcdef' }
+    });
+  });
+
+  test('Should not export the timeline of an unknown event', async () => {
+    const findRoot = jest.spyOn(HistoricalEvent, 'findTimelineRoot').mockResolvedValue(null);
+
+    await expect(ExportService.exportTimeline('a1b2c3d4-e5f6-7890-1234-567890abcdef', { format: 'csv' })).resolves.toBeNull();
+    findRoot.mockRestore();
+  });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const formats = require('../src/services/formats');
+const { RELATION_LAYOUT } = require('../src/services/formats/columns');
+
+const collect = async (adapter, filePath, layout) => {
+  const records = [];
+  for await (const record of adapter.records(filePath, layout)) {
+    records.push(record);
+  }
+  return records;
+};
+
+describe('Ingestion Format Adapters', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chronologicon-formats-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeFile = (name, content) => {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  describe('Format selection', () => {
+    test('Should prefer an explicit format', () => {
+      expect(formats.resolveFormat({ format: 'ndjson', filePath: 'events.csv' })).toBe('jsonl');
+    });
+
+    test('Should use a specific MIME type before the extension', () => {
+      expect(formats.resolveFormat({ mimeType: 'text/csv', filePath: 'events.txt' })).toBe('csv');
+    });
+
+    test('Should fall back to the extension and then the pipe format', () => {
+      expect(formats.resolveFormat({ mimeType: 'text/plain', filePath: 'events.json' })).toBe('json');
+      expect(formats.resolveFormat({ filePath: 'events.dat' })).toBe('pipe');
+    });
+
+    test('Should reject unknown formats', () => {
+      expect(() => formats.getAdapter('xml')).toThrow("Unsupported format 'xml'");
+    });
+  });
+
+  describe('CSV adapter', () => {
+    test('Should parse quoted fields with embedded delimiters, quotes and newlines', async () => {
+      const filePath = writeFile('events.csv', [
+        'eventId,eventName,startDate,endDate,parentId,description',
+        'a1b2c3d4-e5f6-7890-1234-567890abcdef,"Founding, Phase|1",2023-01-01T10:00:00Z,2023-01-01T11:30:00Z,NULL,"Said ""hello""',
+        'on two lines"',
+        'f7e6d5c4-b3a2-1098-7654-3210fedcba98,Research,2023-01-01T10:30:00Z,2023-01-01T11:00:00Z,,Plain'
+      ].join('\r\n'));
+
+      const records = await collect(formats.getAdapter('csv'), filePath);
+
+      expect(records[0].header).toContain('event_name');
+      expect(records[1].lineNumber).toBe(2);
+      expect(records[1].fields.event_name).toBe('Founding, Phase|1');
+      expect(records[1].fields.description).toBe('Said "hello"\r\non two lines');
+      expect(records[2].lineNumber).toBe(4);
+      expect(records[2].fields.description).toBe('Plain');
+    });
+
+    test('Should detect pipe-delimited files with a .csv extension', async () => {
+      const filePath = writeFile('pipes.csv', [
+        'eventId|eventName|startDate|endDate|parentId|researchValue|description',
+        'a1b2c3d4-e5f6-7890-1234-567890abcdef|Founding|2023-01-01T10:00:00Z|2023-01-01T11:30:00Z|NULL|8|Start, with a comma',
+        'broken|line'
+      ].join('\n'));
+
+      const records = await collect(formats.getAdapter('csv'), filePath);
+
+      expect(records[1].fields.research_value).toBe('8');
+      expect(records[1].fields.description).toBe('Start, with a comma');
+      expect(records[2].error.message).toBe('Malformed entry: expected 7 fields, got 2');
+    });
+  });
+
+  describe('JSON adapters', () => {
+    test('Should read JSON Lines with per-line errors', async () => {
+      const filePath = writeFile('events.jsonl', [
+        '{"eventId":"a1b2c3d4-e5f6-7890-1234-567890abcdef","eventName":"Founding","researchValue":8,"parentId":null}',
+        '',
+        '{not json'
+      ].join('\n'));
+
+      const records = await collect(formats.getAdapter('jsonl'), filePath);
+
+      expect(records).toHaveLength(2);
+      expect(records[0].fields).toMatchObject({ event_name: 'Founding', research_value: '8', parent_event_id: '' });
+      expect(records[1].lineNumber).toBe(3);
+      expect(records[1].error.message).toMatch(/^Malformed JSON/);
+    });
+
+    test('Should read a JSON array of events', async () => {
+      const filePath = writeFile('events.json', JSON.stringify({ events: [{ event_name: 'Founding' }, 'oops'] }));
+      const adapter = formats.getAdapter('json');
+
+      const records = await collect(adapter, filePath);
+
+      expect(await adapter.countRecords(filePath)).toBe(2);
+      expect(records[0].fields.event_name).toBe('Founding');
+      expect(records[1].error.message).toBe('Malformed entry: expected a JSON object');
+    });
+
+    test('Should read relations from a JSON document or a headerless CSV file', async () => {
+      const jsonPath = writeFile('relations.json', JSON.stringify({ relations: [{ source: 'a', target: 'b', type: 'caused', weight: 2 }] }));
+      const csvPath = writeFile('relations.csv', 'a,b,preceded,,Before the survey\n');
+
+      const [fromJson] = await collect(formats.getAdapter('json'), jsonPath, RELATION_LAYOUT);
+      const [fromCsv] = await collect(formats.getAdapter('csv'), csvPath, RELATION_LAYOUT);
+
+      expect(fromJson.fields).toEqual({ source_event_id: 'a', target_event_id: 'b', relation_type: 'caused', weight: '2' });
+      expect(fromCsv.fields).toMatchObject({ relation_type: 'preceded', weight: '', description: 'Before the survey' });
+      await expect(collect(formats.getAdapter('json'), jsonPath)).rejects.toThrow('"events" array');
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const { parseFuzzyDate, combineConfidence } = require('../src/utils/fuzzyDate');
+
+describe('Fuzzy Date Parsing', () => {
+  const iso = (date) => date.toISOString();
+
+  test('Should keep exact timestamps as instants', () => {
+    const date = parseFuzzyDate('2023-01-01T10:00:00Z');
+
+    expect(iso(date.start)).toBe('2023-01-01T10:00:00.000Z');
+    expect(iso(date.end)).toBe('2023-01-01T10:00:00.000Z');
+    expect(date.precision).toBe('instant');
+    expect(date.confidence).toBe('exact');
+    expect(date.flags).toEqual([]);
+  });
+
+  test('Should read partial ISO dates as the whole month or day', () => {
+    const month = parseFuzzyDate('2023-01');
+    expect([iso(month.start), iso(month.end), month.precision])
+      .toEqual(['2023-01-01T00:00:00.000Z', '2023-02-01T00:00:00.000Z', 'month']);
+
+    const day = parseFuzzyDate('2024-02-29');
+    expect([iso(day.start), iso(day.end), day.precision])
+      .toEqual(['2024-02-29T00:00:00.000Z', '2024-03-01T00:00:00.000Z', 'day']);
+  });
+
+  test('Should widen circa dates into approximate bounds', () => {
+    const date = parseFuzzyDate('circa 1450');
+
+    expect(iso(date.start)).toBe('1450-01-01T00:00:00.000Z');
+    expect(iso(date.end)).toBe('1451-01-01T00:00:00.000Z');
+    expect(iso(date.earliest)).toBe('1445-01-01T00:00:00.000Z');
+    expect(iso(date.latest)).toBe('1456-01-01T00:00:00.000Z');
+    expect(date.confidence).toBe('approximate');
+    expect(date.flags).toEqual(['circa']);
+  });
+
+  test('Should read decades and centuries with their modifiers', () => {
+    const decade = parseFuzzyDate('1450s');
+    expect([decade.start.getUTCFullYear(), decade.end.getUTCFullYear(), decade.precision]).toEqual([1450, 1460, 'decade']);
+
+    const early = parseFuzzyDate('early 14th century');
+    expect([early.start.getUTCFullYear(), early.end.getUTCFullYear(), early.precision]).toEqual([1300, 1333, 'century']);
+    expect(early.flags).toEqual(['early', 'century']);
+
+    const hundreds = parseFuzzyDate('1400s');
+    expect([hundreds.start.getUTCFullYear(), hundreds.end.getUTCFullYear()]).toEqual([1400, 1500]);
+  });
+
+  test('Should convert BCE years to astronomical years', () => {
+    const year = parseFuzzyDate('44 BC');
+    expect([year.start.getUTCFullYear(), year.end.getUTCFullYear()]).toEqual([-43, -42]);
+    expect(year.flags).toEqual(['bce']);
+
+    const century = parseFuzzyDate('5th century BCE');
+    expect([century.start.getUTCFullYear(), century.end.getUTCFullYear()]).toEqual([-499, -399]);
+
+    const small = parseFuzzyDate('AD 79');
+    expect(small.start.getUTCFullYear()).toBe(79);
+  });
+
+  test('Should mark dates ending in a question mark as uncertain', () => {
+    const date = parseFuzzyDate('c. 1450?');
+
+    expect(date.confidence).toBe('uncertain');
+    expect(date.flags).toEqual(['uncertain', 'circa']);
+    expect(combineConfidence('approximate', date.confidence)).toBe('uncertain');
+  });
+
+  test('Should reject strings that are not dates', () => {
+    expect(() => parseFuzzyDate('soon')).toThrow("Unrecognised date: 'soon'");
+    expect(() => parseFuzzyDate('2023-02-30')).toThrow();
+    expect(() => parseFuzzyDate('early 1450')).toThrow();
+  });
+});
@@ -0,0 +1,603 @@
+jest.mock('../src/config/database', () => ({
+  query: jest.fn(),
+  transaction: jest.fn()
+}));
+
+const { query, transaction } = require('../src/config/database');
+const HistoricalEvent = require('../src/models/HistoricalEvent');
+
+// Fake client that rejects inserts for the given event IDs; once a statement
+// fails, everything up to the next savepoint rollback fails too, as in PostgreSQL
+const createClient = (badIds) => {
+  let aborted = false;
+  const statements = [];
+
+  const client = {
+    statements,
+    query: jest.fn(async (text, values) => {
+      statements.push(text.trim().split(/\s+/)[0]);
+
+      if (text.startsWith('ROLLBACK TO SAVEPOINT')) {
+        aborted = false;
+        return { rows: [] };
+      }
+      if (aborted) {
+        throw new Error('current transaction is aborted');
+      }
+      if (text.includes('INSERT') && badIds.includes(values[0])) {
+        aborted = true;
+        const error = new Error('duplicate key value violates unique constraint "historical_events_pkey"');
+        error.code = '23505';
+        throw error;
+      }
+      return { rows: values ? [{ event_id: values[0], inserted: true }] : [] };
+    })
+  };
+  return client;
+};
+
+describe('HistoricalEvent.bulkCreate', () => {
+  const event = (eventId) => ({
+    event_id: eventId,
+    event_name: `Event ${eventId}`,
+    start_date: new Date('2023-01-01T10:00:00Z'),
+    end_date: new Date('2023-01-01T11:00:00Z'),
+    metadata: { line_number: 1 }
+  });
+
+  afterEach(() => {
+    transaction.mockReset();
+  });
+
+  test('Should insert a clean batch in a single transaction', async () => {
+    const client = createClient([]);
+    transaction.mockImplementation(callback => callback(client));
+
+    const result = await HistoricalEvent.bulkCreate([event('a'), event('b')]);
+
+    expect(result.created.map(row => row.event_id)).toEqual(['a', 'b']);
+    expect(result.failed).toEqual([]);
+    expect(transaction).toHaveBeenCalledTimes(1);
+  });
+
+  test('Should retry row by row so only the offending rows fail', async () => {
+    let client;
+    transaction.mockImplementation(async (callback) => {
+      client = createClient(['b']);
+      return callback(client);
+    });
+
+    const result = await HistoricalEvent.bulkCreate([event('a'), event('b'), event('c')]);
+
+    expect(transaction).toHaveBeenCalledTimes(2);
+    expect(result.created.map(row => row.event_id)).toEqual(['a', 'c']);
+    expect(result.failed).toHaveLength(1);
+    expect(result.failed[0].event.event_id).toBe('b');
+    expect(result.failed[0].error.code).toBe('23505');
+    expect(client.statements.filter(statement => statement === 'SAVEPOINT')).toHaveLength(3);
+  });
+
+  test('Should sort upserted rows into inserted, updated and unchanged', async () => {
+    const client = {
+      query: jest.fn(async (text, values) => {
+        if (values[0] === 'new') return { rows: [{ event_id: 'new', inserted: true }] };
+        if (values[0] === 'changed') return { rows: [{ event_id: 'changed', inserted: false }] };
+        return { rows: [] };
+      })
+    };
+    transaction.mockImplementation(callback => callback(client));
+
+    const result = await HistoricalEvent.bulkCreate([event('new'), event('changed'), event('same')], { mode: 'upsert' });
+
+    expect(client.query.mock.calls[0][0]).toContain('ON CONFLICT (event_id) DO UPDATE');
+    expect(result.created).toEqual([{ event_id: 'new' }]);
+    expect(result.updated).toEqual([{ event_id: 'changed' }]);
+    expect(result.unchanged.map(e => e.event_id)).toEqual(['same']);
+  });
+
+  test('Should report existing events as skipped in skip-existing mode', async () => {
+    const client = { query: jest.fn(async () => ({ rows: [] })) };
+    transaction.mockImplementation(callback => callback(client));
+
+    const result = await HistoricalEvent.bulkCreate([event('a')], { mode: 'skip-existing' });
+
+    expect(client.query.mock.calls[0][0]).toContain('ON CONFLICT (event_id) DO NOTHING');
+    expect(result.skipped.map(e => e.event_id)).toEqual(['a']);
+  });
+});
+
+describe('HistoricalEvent.update and remove', () => {
+  const eventId = 'a1b2c3d4-e5f6-7890-1234-567890abcdef';
+  const childId = 'f7e6d5c4-b3a2-1098-7654-3210fedcba98';
+  const current = {
+    event_id: eventId,
+    start_date: new Date('2023-01-01T10:00:00Z'),
+    end_date: new Date('2023-01-01T11:00:00Z'),
+    parent_event_id: null,
+    date_confidence: 'exact',
+    version: 1000
+  };
+
+  // Fake client answering the statements update and remove issue
+  const createClient = ({ cycle = false } = {}) => ({
+    statements: [],
+    query: jest.fn(async function (text) {
+      this.statements.push(text.trim().split(/\s+/)[0]);
+      if (text.includes('FOR UPDATE')) return { rows: [current] };
+      if (text.includes('RECURSIVE ancestors')) return { rows: [{ cycle }] };
+      if (text.startsWith('SELECT 1')) return { rows: [{}] };
+      if (text.startsWith('UPDATE historical_events SET parent_event_id = NULL')) return { rows: [], rowCount: 2 };
+      if (text.startsWith('UPDATE')) return { rows: [{ ...current, event_name: 'Renamed', version: 2000 }] };
+      return { rows: [], rowCount: 1 };
+    })
+  });
+
+  afterEach(() => {
+    transaction.mockReset();
+  });
+
+  test('Should update an event at the version the client read', async () => {
+    const client = createClient();
+    transaction.mockImplementation(callback => callback(client));
+
+    const event = await HistoricalEvent.update(eventId, { event_name: 'Renamed' }, { version: 1000 });
+
+    expect(event).toMatchObject({ event_name: 'Renamed', version: 2000 });
+    expect(client.statements).toEqual(['SELECT', 'UPDATE']);
+  });
+
+  test('Should refuse to update a version that has changed', async () => {
+    const client = createClient();
+    transaction.mockImplementation(callback => callback(client));
+
+    await expect(HistoricalEvent.update(eventId, { event_name: 'Renamed' }, { version: 999 }))
+      .rejects.toMatchObject({ status: 412 });
+    expect(client.statements).toEqual(['SELECT']);
+  });
+
+  test('Should refuse to re-parent an event under one of its descendants', async () => {
+    const client = createClient({ cycle: true });
+    transaction.mockImplementation(callback => callback(client));
+
+    await expect(HistoricalEvent.update(eventId, { parent_event_id: childId }))
+      .rejects.toMatchObject({ status: 409 });
+    expect(client.statements).not.toContain('UPDATE');
+  });
+
+  test('Should keep the children of a deleted event as root events when orphaning', async () => {
+    const client = createClient();
+    transaction.mockImplementation(callback => callback(client));
+
+    const result = await HistoricalEvent.remove(eventId, { children: 'orphan' });
+
+    expect(result).toEqual({ eventId, deleted: true, children: 'orphan', deletedEvents: 1, orphanedEvents: 2 });
+    expect(client.statements).toEqual(['SELECT', 'UPDATE', 'DELETE']);
+  });
+
+  test('Should replace the metadata but keep the ingestion provenance', async () => {
+    const client = createClient();
+    client.query.mockImplementationOnce(async () => ({
+      rows: [{ ...current, metadata: { job_id: 'job-1', sources: [{ job_id: 'job-1' }], note: 'old', tag: 'x' } }]
+    }));
+    transaction.mockImplementation(callback => callback(client));
+
+    await HistoricalEvent.update(eventId, { metadata: { note: 'new', job_id: 'forged' } }, { replaceMetadata: true });
+
+    const [text, values] = client.query.mock.calls[1];
+    expect(text).toContain('metadata = $2::jsonb');
+    expect(JSON.parse(values[1])).toEqual({ note: 'new', job_id: 'job-1', sources: [{ job_id: 'job-1' }] });
+  });
+
+  test('Should record who made a change for the revision trigger', async () => {
+    const client = createClient();
+    transaction.mockImplementation(callback => callback(client));
+
+    await HistoricalEvent.update(eventId, { event_name: 'Renamed' }, { changedBy: 'j.smith' });
+
+    expect(client.query.mock.calls[0][0]).toContain("set_config('chronologicon.changed_by'");
+    expect(client.query.mock.calls[0][1]).toEqual(['j.smith', '']);
+  });
+});
+
+describe('HistoricalEvent history', () => {
+  const eventId = 'a1b2c3d4-e5f6-7890-1234-567890abcdef';
+  const revision = (revisionId, operation, eventName, endDate) => ({
+    revision_id: revisionId,
+    operation,
+    changed_at: new Date(),
+    changed_by: null,
+    job_id: null,
+    event_id: eventId,
+    event_name: eventName,
+    end_date: new Date(endDate),
+    updated_at: new Date()
+  });
+
+  afterEach(() => {
+    query.mockReset();
+  });
+
+  test('Should list the fields each revision changed', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [
+        revision(3, 'DELETE', 'Renamed', '2023-01-02'),
+        revision(2, 'UPDATE', 'Renamed', '2023-01-02'),
+        revision(1, 'INSERT', 'Survey', '2023-01-02')
+      ] })
+      .mockResolvedValueOnce({ rows: [{ total: '3' }] });
+
+    const history = await HistoricalEvent.getHistory(eventId);
+
+    expect(history.revisions.map(entry => [entry.revisionId, entry.changedFields])).toEqual([
+      [3, []],
+      [2, ['event_name']],
+      [1, ['event_id', 'event_name', 'end_date']]
+    ]);
+    expect(history.totalRevisions).toBe(3);
+  });
+
+  test('Should search the events as they were at a past time', async () => {
+    const asOf = new Date('2024-01-15T12:00:00Z');
+    query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ total: '0' }] });
+
+    await HistoricalEvent.search({ name: 'phase', asOf });
+
+    const [text, values] = query.mock.calls[0];
+    expect(text).toContain('FROM event_revisions');
+    expect(text).toContain('changed_at <= $2');
+    expect(values).toEqual(['%phase%', asOf, 10, 0]);
+  });
+});
+
+describe('HistoricalEvent hierarchy rules', () => {
+  const parentId = 'a1b2c3d4-e5f6-7890-1234-567890abcdef';
+  const childId = 'f7e6d5c4-b3a2-1098-7654-3210fedcba98';
+  const event = (eventId, parentEventId) => ({
+    event_id: eventId,
+    event_name: `Event ${eventId}`,
+    start_date: new Date('2023-01-01T10:00:00Z'),
+    end_date: new Date('2023-01-01T11:00:00Z'),
+    parent_event_id: parentEventId,
+    metadata: { line_number: 1 }
+  });
+
+  afterEach(() => {
+    delete process.env.HIERARCHY_CONTAINMENT;
+    query.mockReset();
+    transaction.mockReset();
+  });
+
+  test('Should reject an upsert that re-parents an event under its descendant', async () => {
+    const client = {
+      query: jest.fn(async (text, values) => {
+        if (text.includes('RECURSIVE ancestors')) return { rows: [{ cycle: true }] };
+        return { rows: [{ ...event(values[0], values[12]), inserted: false }] };
+      })
+    };
+    transaction.mockImplementation(callback => callback(client));
+
+    const result = await HistoricalEvent.bulkCreate([event(parentId, childId)], { mode: 'upsert' });
+
+    expect(result.updated).toEqual([]);
+    expect(result.failed[0].error).toMatchObject({ status: 409, code: 'HIERARCHY_CYCLE', field: 'parent_event_id' });
+  });
+
+  test('Should reject an event that is its own parent', async () => {
+    const client = {
+      query: jest.fn(async (text, values) => ({ rows: values ? [{ ...event(values[0], values[12]), inserted: true }] : [] }))
+    };
+    transaction.mockImplementation(callback => callback(client));
+
+    await expect(HistoricalEvent.create(event(childId, childId)))
+      .rejects.toMatchObject({ status: 409, code: 'HIERARCHY_CYCLE' });
+  });
+
+  test('Should keep a child within its parent only when containment is enforced', async () => {
+    const client = {
+      query: jest.fn(async (text, values) => {
+        if (text.includes('FOR UPDATE')) return { rows: [{ ...event(childId, parentId), date_confidence: 'exact' }] };
+        if (text.startsWith('SELECT start_date, end_date')) {
+          return { rows: [{ start_date: new Date('2023-01-01T10:00:00Z'), end_date: new Date('2023-01-01T11:00:00Z') }] };
+        }
+        if (text.trim().startsWith('SELECT event_id')) return { rows: [] };
+        return { rows: [{ event_id: values[0] }] };
+      })
+    };
+    transaction.mockImplementation(callback => callback(client));
+    const endDate = { end: new Date('2023-01-01T12:00:00Z'), earliest: new Date('2023-01-01T12:00:00Z'),
+      latest: new Date('2023-01-01T12:00:00Z'), precision: 'instant', confidence: 'exact' };
+
+    await expect(HistoricalEvent.update(childId, { end_date: endDate })).resolves.toEqual({ event_id: childId });
+
+    process.env.HIERARCHY_CONTAINMENT = 'enforce';
+    await expect(HistoricalEvent.update(childId, { end_date: endDate }))
+      .rejects.toMatchObject({ status: 409, code: 'OUTSIDE_PARENT_SPAN', field: 'end_date' });
+  });
+
+  test('Should build a timeline whose root sits on a cycle', async () => {
+    query.mockResolvedValueOnce({ rows: [
+      { ...event(parentId, childId), level: 0 },
+      { ...event(childId, parentId), level: 1 }
+    ] });
+
+    const timeline = await HistoricalEvent.getTimeline(parentId);
+
+    expect(query.mock.calls[0][0]).toContain('he.event_id <> ALL(eh.path)');
+    expect(timeline.event_id).toBe(parentId);
+    expect(timeline.children.map(child => child.event_id)).toEqual([childId]);
+    expect(timeline.children[0].children).toEqual([]);
+  });
+});
+
+describe('HistoricalEvent.getTimeline', () => {
+  const row = (eventId, parentId, level, start, end, extra = {}) => ({
+    event_id: eventId,
+    event_name: `Event ${eventId}`,
+    start_date: new Date(start),
+    end_date: new Date(end),
+    duration_minutes: String((new Date(end) - new Date(start)) / 60000),
+    parent_event_id: parentId,
+    level,
+    path: [],
+    ...extra
+  });
+  const rows = [
+    row('root', null, 0, '2023-01-01T10:00:00Z', '2023-01-01T11:00:00Z'),
+    row('late', 'root', 1, '2023-01-01T10:30:00Z', '2023-01-01T12:00:00Z'),
+    row('early', 'root', 1, '2023-01-01T09:00:00Z', '2023-01-01T10:15:00Z'),
+    row('grandchild', 'early', 2, '2023-01-01T09:30:00Z', '2023-01-01T09:45:00Z')
+  ];
+
+  afterEach(() => {
+    query.mockReset();
+  });
+
+  test('Should stop at maxDepth and mark the events with children cut off', async () => {
+    query.mockResolvedValueOnce({ rows });
+
+    const timeline = await HistoricalEvent.getTimeline('root', { maxDepth: 1 });
+
+    const [text, values] = query.mock.calls[0];
+    expect(text).toContain('eh.level < $2');
+    expect(values).toEqual(['root', 2]);
+    expect(timeline.children.map(child => [child.event_id, child.truncated])).toEqual([['early', true], ['late', false]]);
+    expect(timeline).toMatchObject({ child_count: 2, descendant_count: 2, truncated: false, span_minutes: 180 });
+    expect(timeline.span_start).toEqual(new Date('2023-01-01T09:00:00Z'));
+    expect(timeline).not.toHaveProperty('path');
+  });
+
+  test('Should list a flat timeline in tree order with siblings sorted', async () => {
+    query.mockResolvedValueOnce({ rows });
+
+    const timeline = await HistoricalEvent.getTimeline('root', {
+      format: 'flat',
+      sortBy: 'duration_minutes',
+      sortOrder: 'desc'
+    });
+
+    expect(timeline.events.map(event => event.event_id)).toEqual(['root', 'late', 'early', 'grandchild']);
+    expect(timeline.events[2]).toMatchObject({ level: 1, child_count: 1, descendant_count: 1 });
+    expect(timeline.totalEvents).toBe(4);
+  });
+
+  test('Should prune branches outside the date window', async () => {
+    const from = new Date('2023-01-01T10:00:00Z');
+    const to = new Date('2023-01-01T11:00:00Z');
+    query.mockResolvedValueOnce({ rows: [] });
+
+    const timeline = await HistoricalEvent.getTimeline('root', { from, to });
+
+    const [text, values] = query.mock.calls[0];
+    expect(text).toContain('he.end_date >= $2');
+    expect(text).toContain('he.start_date <= $3');
+    expect(values).toEqual(['root', from, to]);
+    expect(timeline).toBeNull();
+  });
+
+  test('Should add the ancestors above the root', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [rows[1]].map(event => ({ ...event, level: 0 })) })
+      .mockResolvedValueOnce({ rows: [{ event_id: 'root', level: -1, duration_minutes: '60' }] });
+
+    const timeline = await HistoricalEvent.getTimeline('late', { includeAncestors: true });
+
+    expect(query.mock.calls[1][0]).toContain('a.level - 1');
+    expect(timeline.ancestors).toEqual([{ event_id: 'root', level: -1, duration_minutes: '60' }]);
+    expect(Object.keys(timeline).pop()).toBe('children');
+  });
+});
+
+describe('HistoricalEvent.findRootTimelines', () => {
+  afterEach(() => {
+    query.mockReset();
+  });
+
+  test('Should list root events with statistics over their timelines', async () => {
+    const from = new Date('2023-01-01T00:00:00Z');
+    query
+      .mockResolvedValueOnce({ rows: [{
+        event_id: 'root',
+        event_name: 'Founding',
+        duration_minutes: '90',
+        children_count: '1',
+        descendant_count: '2',
+        depth: 2,
+        total_duration_minutes: '2880'
+      }] })
+      .mockResolvedValueOnce({ rows: [{ total: '1' }] });
+
+    const result = await HistoricalEvent.findRootTimelines({ name: 'found', from, durationUnit: 'days' });
+
+    const [text, values] = query.mock.calls[0];
+    expect(text).toContain('FROM events_with_children_count');
+    expect(text).toContain('event_name ILIKE $1');
+    expect(text).toContain('s.span_end >= $2');
+    expect(values).toEqual(['%found%', from, 10, 0]);
+    expect(result.timelines[0]).toMatchObject({ children_count: 1, descendant_count: 2, total_duration: 2 });
+    expect(result.totalTimelines).toBe(1);
+  });
+});
+
+describe('HistoricalEvent.findOverlappingEvents', () => {
+  afterEach(() => {
+    query.mockReset();
+  });
+
+  const pairRow = {
+    event1_id: 'a',
+    event1_name: 'Phase 1',
+    event1_start: new Date('2023-01-01T10:00:00Z'),
+    event1_end: new Date('2023-01-01T11:00:00Z'),
+    event2_id: 'b',
+    event2_name: 'Phase 2',
+    event2_start: new Date('2023-01-01T10:30:00Z'),
+    event2_end: new Date('2023-01-01T12:00:00Z'),
+    overlap_duration_minutes: '30',
+    event1_start_key: '2023-01-01 10:00:00+00'
+  };
+
+  test('Should join events through their periods and apply the filters', async () => {
+    const startDate = new Date('2023-01-01T00:00:00Z');
+    query.mockResolvedValueOnce({ rows: [pairRow] });
+
+    const result = await HistoricalEvent.findOverlappingEvents({
+      startDate, minOverlapMinutes: 15, excludeAncestorPairs: true, limit: 20
+    });
+
+    const [text, values] = query.mock.calls[0];
+    expect(text).toContain("tstzrange(e2.start_date, e2.end_date, '[)') && tstzrange(e1.start_date, e1.end_date, '[)')");
+    expect(text).toContain('make_interval(mins => $3)');
+    expect(text).toContain('SELECT 1 FROM lineage WHERE event_id = target');
+    expect(text).toContain('ORDER BY e1.start_date, e1.event_id, e2.event_id');
+    expect(text).not.toContain('OVER ()');
+    expect(values).toEqual([startDate, null, 15, 21]);
+    expect(result).toMatchObject({ totalPairs: null, limit: 20, nextCursor: null });
+    expect(result.overlappingEvents[0].overlap_duration_minutes).toBe(30);
+  });
+
+  test('Should page by keyset and hand out the next cursor', async () => {
+    query.mockResolvedValueOnce({ rows: [pairRow, { ...pairRow, event2_id: 'c' }] });
+
+    const result = await HistoricalEvent.findOverlappingEvents({
+      after: { startDate: '2023-01-01 09:00:00+00', event1Id: 'x', event2Id: 'y' },
+      limit: 1
+    });
+
+    const [text, values] = query.mock.calls[0];
+    expect(text).toContain('WHERE (e1.start_date, e1.event_id) >= ($1::timestamptz, $2::uuid)');
+    expect(text).toContain('e2.event_id > $3::uuid');
+    expect(text).not.toContain('OFFSET');
+    expect(values).toEqual(['2023-01-01 09:00:00+00', 'x', 'y', 2]);
+    expect(result.overlappingEvents).toHaveLength(1);
+    expect(result.nextCursor).toEqual({ startDate: '2023-01-01 10:00:00+00', event1Id: 'a', event2Id: 'b' });
+  });
+
+  test('Should count the pairs in a separate query only when asked', async () => {
+    const startDate = new Date('2023-01-01T00:00:00Z');
+    const endDate = new Date('2023-02-01T00:00:00Z');
+    query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ total: '41' }] });
+
+    const result = await HistoricalEvent.findOverlappingEvents({
+      startDate, endDate, sortBy: 'overlap', includeTotal: true, page: 5, limit: 20
+    });
+
+    expect(query.mock.calls[0][0]).toContain('ORDER BY overlap_duration_minutes DESC');
+    expect(query.mock.calls[0][1]).toEqual([startDate, endDate, 20, 80]);
+    expect(query.mock.calls[1][0]).toContain('SELECT COUNT(*) as total');
+    expect(query.mock.calls[1][1]).toEqual([startDate, endDate]);
+    expect(result).toMatchObject({ overlappingEvents: [], totalPairs: 41, page: 5, nextCursor: null });
+  });
+
+  test('Should return null for an unknown root event', async () => {
+    query.mockResolvedValueOnce({ rows: [] });
+
+    await expect(HistoricalEvent.findOverlappingEvents({ rootEventId: 'missing' })).resolves.toBeNull();
+    expect(query).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('HistoricalEvent.findConcurrency', () => {
+  afterEach(() => {
+    query.mockReset();
+  });
+
+  test('Should refuse a histogram with too many buckets', async () => {
+    query.mockResolvedValueOnce({ rows: [{
+      span_start: new Date('2000-01-01T00:00:00Z'),
+      span_end: new Date('2023-01-01T00:00:00Z')
+    }] });
+
+    await expect(HistoricalEvent.findConcurrency({ bucketUnit: 'day', bucketSize: 1 }))
+      .rejects.toMatchObject({ status: 400 });
+  });
+
+  test('Should report no events when none are in the window', async () => {
+    query.mockResolvedValueOnce({ rows: [{ span_start: null, span_end: null }] });
+
+    const result = await HistoricalEvent.findConcurrency({ bucketUnit: 'year' });
+
+    expect(result).toMatchObject({
+      window: null,
+      totalEvents: 0,
+      peak: { concurrency: 0, start_date: null },
+      clusters: [],
+      histogram: []
+    });
+  });
+});
+
+describe('HistoricalEvent.findTemporalGaps', () => {
+  afterEach(() => {
+    query.mockReset();
+  });
+
+  const startDate = new Date('2023-01-01T00:00:00Z');
+  const endDate = new Date('2023-01-02T00:00:00Z');
+
+  test('Should measure gaps against the events covering so far and report coverage', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [{
+        gap_start: new Date('2023-01-01T10:00:00Z'),
+        gap_end: new Date('2023-01-01T12:00:00Z'),
+        gap_duration_minutes: '120',
+        preceding_event_id: 'long',
+        preceding_event_name: 'Long survey',
+        preceding_end_date: new Date('2023-01-01T10:00:00Z'),
+        succeeding_event_id: 'next',
+        succeeding_event_name: 'Excavation',
+        succeeding_start_date: new Date('2023-01-01T12:00:00Z')
+      }] })
+      .mockResolvedValueOnce({ rows: [{
+        first_start: new Date('2023-01-01T01:00:00Z'),
+        last_end: new Date('2023-01-01T23:00:00Z'),
+        gap_minutes: '120',
+        total_gaps: '1'
+      }] });
+
+    const result = await HistoricalEvent.findTemporalGaps(startDate, endDate, { minGapMinutes: 60 });
+
+    const [text, values] = query.mock.calls[0];
+    expect(text).toContain('ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING');
+    expect(text).toContain('WHERE gap_duration_minutes >= $3');
+    expect(values).toEqual([startDate, endDate, 60]);
+    expect(result.largestGap).toMatchObject({ rank: 1, durationMinutes: 120, precedingEvent: { event_id: 'long' } });
+    expect(result.gaps).toHaveLength(1);
+    expect(result.totalGaps).toBe(1);
+    expect(result.coverage).toEqual({ windowMinutes: 1440, coveredMinutes: 1200, uncoveredMinutes: 240, coveragePercent: 83.33 });
+  });
+
+  test('Should report an empty window as uncovered', async () => {
+    query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ first_start: null, last_end: null, gap_minutes: '0', total_gaps: '0' }] });
+
+    const result = await HistoricalEvent.findTemporalGaps(startDate, endDate);
+
+    expect(result.largestGap).toBeNull();
+    expect(result.coverage).toMatchObject({ coveredMinutes: 0, coveragePercent: 0 });
+  });
+});
@@ -0,0 +1,415 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileIngestionService = require('../src/services/FileIngestionService');
+const HistoricalEvent = require('../src/models/HistoricalEvent');
+const IngestionJob = require('../src/models/IngestionJob');
+const IngestionError = require('../src/models/IngestionError');
+const IngestionRepair = require('../src/models/IngestionRepair');
+const DeferredEvent = require('../src/models/DeferredEvent');
+const EventRelation = require('../src/models/EventRelation');
+
+describe('File Ingestion Parsing', () => {
+  const header = 'eventId|eventName|startDate|endDate|parentId|researchValue|description';
+
+  describe('Header detection', () => {
+    test('Should map a researchValue header by column name', () => {
+      expect(FileIngestionService.parseHeader(header)).toEqual([
+        'event_id', 'event_name', 'start_date', 'end_date', 'parent_event_id', 'research_value', 'description'
+      ]);
+    });
+
+    test('Should treat data rows as non-header lines', () => {
+      const line = 'a1b2c3d4-e5f6-7890-1234-567890abcdef|Founding|2023-01-01T10:00:00Z|2023-01-01T11:30:00Z|NULL|Start';
+      expect(FileIngestionService.parseHeader(line)).toBeNull();
+    });
+
+    test('Should reject a header missing required columns', () => {
+      expect(() => FileIngestionService.parseHeader('eventId|eventName|startDate|description'))
+        .toThrow('missing required columns: end_date');
+    });
+  });
+
+  describe('Line parsing', () => {
+    const columns = FileIngestionService.parseHeader(header);
+
+    test('Should parse the 7-column format with a research value', () => {
+      const line = 'a1b2c3d4-e5f6-7890-1234-567890abcdef|Founding|2023-01-01T10:00:00Z|2023-01-01T11:30:00Z|NULL|8|Start';
+      const event = FileIngestionService.parseLine(line, 2, 'sample.csv', columns);
+
+      expect(event.research_value).toBe(8);
+      expect(event.description).toBe('Start');
+      expect(event.parent_event_id).toBeNull();
+    });
+
+    test('Should reject negative research values', () => {
+      const line = 'a1b2c3d4-e5f6-7890-1234-567890abcdef|Founding|2023-01-01T10:00:00Z|2023-01-01T11:30:00Z|NULL|-2|Start';
+      expect(() => FileIngestionService.parseLine(line, 2, 'sample.csv', columns))
+        .toThrow("Invalid research value: '-2'");
+    });
+
+    test('Should tag validation errors with an error code and field', () => {
+      const line = 'a1b2c3d4-e5f6-7890-1234-567890abcdef|Founding|soon|2023-01-01T11:30:00Z|NULL|8|Start';
+      expect(() => FileIngestionService.parseLine(line, 2, 'sample.csv', columns))
+        .toThrow(expect.objectContaining({ code: 'INVALID_DATE', field: 'start_date' }));
+    });
+
+    test('Should record bounds, precision and flags for fuzzy dates', () => {
+      const line = 'a1b2c3d4-e5f6-7890-1234-567890abcdef|Siege|circa 1450|1450s|NULL||Start';
+      const event = FileIngestionService.parseLine(line, 2, 'sample.csv', columns);
+
+      expect(event.start_date.toISOString()).toBe('1450-01-01T00:00:00.000Z');
+      expect(event.end_date.toISOString()).toBe('1460-01-01T00:00:00.000Z');
+      expect(event.start_date_earliest.toISOString()).toBe('1445-01-01T00:00:00.000Z');
+      expect(event.start_date_precision).toBe('year');
+      expect(event.end_date_precision).toBe('decade');
+      expect(event.date_confidence).toBe('approximate');
+      expect(event.metadata.parsing_flags).toEqual(['start_date:circa', 'end_date:decade']);
+      expect(event.metadata.raw_dates).toEqual({ start_date: 'circa 1450', end_date: '1450s' });
+    });
+
+    test('Should keep the original 6-column format without a header', () => {
+      const line = 'a1b2c3d4-e5f6-7890-1234-567890abcdef|Founding|2023-01-01T10:00:00Z|2023-01-01T11:30:00Z|NULL|Start';
+      const event = FileIngestionService.parseLine(line, 1, 'sample.txt');
+
+      expect(event.research_value).toBeNull();
+      expect(event.metadata.line_number).toBe(1);
+    });
+  });
+
+  describe('Parent resolution', () => {
+    const event = (eventId, parentId) => ({ event_id: eventId, parent_event_id: parentId });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('Should order parents before children that precede them in the file', async () => {
+      const grandchild = event('33333333-3333-3333-3333-333333333333', '22222222-2222-2222-2222-222222222222');
+      const child = event('22222222-2222-2222-2222-222222222222', '11111111-1111-1111-1111-111111111111');
+      const root = event('11111111-1111-1111-1111-111111111111', null);
+
+      const { ready, deferred } = await FileIngestionService.orderByParent([grandchild, child, root]);
+
+      expect(ready).toEqual([root, child, grandchild]);
+      expect(deferred).toEqual([]);
+    });
+
+    test('Should defer events whose parent is unknown or on a cycle', async () => {
+      jest.spyOn(HistoricalEvent, 'findExistingIds')
+        .mockResolvedValue(new Set(['99999999-9999-9999-9999-999999999999']));
+
+      const existingParent = event('11111111-1111-1111-1111-111111111111', '99999999-9999-9999-9999-999999999999');
+      const orphan = event('22222222-2222-2222-2222-222222222222', '88888888-8888-8888-8888-888888888888');
+      const cycleA = event('44444444-4444-4444-4444-444444444444', '55555555-5555-5555-5555-555555555555');
+      const cycleB = event('55555555-5555-5555-5555-555555555555', '44444444-4444-4444-4444-444444444444');
+
+      const { ready, deferred } = await FileIngestionService.orderByParent([existingParent, orphan, cycleA, cycleB]);
+
+      expect(ready).toEqual([existingParent]);
+      expect(deferred).toEqual([orphan, cycleA, cycleB]);
+    });
+  });
+
+  describe('Job management', () => {
+    const job = {
+      job_id: 'ingest-job-1',
+      status: 'COMPLETED',
+      file_path: '/data/events.csv',
+      options: { format: 'csv', mode: 'upsert' },
+      header_line: 'eventId,eventName,startDate,endDate',
+      errors: []
+    };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('Should retry only the failed lines with the original format and mode', async () => {
+      jest.spyOn(IngestionJob, 'findById').mockResolvedValue(job);
+      jest.spyOn(IngestionError, 'findLineNumbers').mockResolvedValue([4, 12]);
+      const startIngestion = jest.spyOn(FileIngestionService, 'startIngestion')
+        .mockResolvedValue({ jobId: 'ingest-job-2' });
+
+      await FileIngestionService.retryJob('ingest-job-1', { failedLinesOnly: true });
+
+      expect(startIngestion).toHaveBeenCalledWith('/data/events.csv', {
+        format: 'csv', mode: 'upsert', retryOf: 'ingest-job-1', lines: [4, 12]
+      });
+    });
+
+    test('Should refuse to retry or delete a job that is still running', async () => {
+      jest.spyOn(IngestionJob, 'findById').mockResolvedValue({ ...job, status: 'PROCESSING' });
+
+      await expect(FileIngestionService.retryJob('ingest-job-1')).rejects.toMatchObject({ status: 409 });
+      await expect(FileIngestionService.deleteJob('ingest-job-1')).rejects.toMatchObject({ status: 409 });
+    });
+
+    test('Should refuse to cancel a job that already finished', async () => {
+      jest.spyOn(IngestionJob, 'findById').mockResolvedValue(job);
+      jest.spyOn(IngestionJob, 'cancel').mockResolvedValue(null);
+
+      await expect(FileIngestionService.cancelJob('ingest-job-1'))
+        .rejects.toMatchObject({ status: 409, message: 'Job is already COMPLETED' });
+    });
+  });
+
+  describe('Cancellation', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('Should leave a job cancelled when processing then throws', async () => {
+      jest.spyOn(IngestionJob, 'findById').mockResolvedValue({ job_id: 'ingest-job-1', last_committed_line: 10 });
+      jest.spyOn(IngestionJob, 'updateProgress').mockRejectedValue(new Error('connection lost'));
+      const fail = jest.spyOn(IngestionJob, 'fail').mockResolvedValue(undefined);
+      jest.spyOn(FileIngestionService, 'emitFinished').mockResolvedValue();
+
+      const result = await FileIngestionService.processFile('ingest-job-1', __filename, { format: 'csv', lines: [] });
+
+      expect(fail).toHaveBeenCalledWith('ingest-job-1', 'Processing failed: connection lost');
+      expect(result).toEqual({ interrupted: false, cancelled: true });
+    });
+  });
+
+  describe('Error report', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('Should classify database rejections by SQLSTATE', () => {
+      const event = { metadata: { line_number: 7 }, raw_line: 'a|b|c' };
+      const error = Object.assign(new Error('duplicate key value violates unique constraint'), {
+        code: '23505',
+        detail: 'Key (event_id)=(a) already exists.'
+      });
+
+      expect(FileIngestionService.describeInsertFailure(event, error)).toEqual({
+        line_number: 7,
+        error_code: 'DUPLICATE_EVENT',
+        field: 'event_id',
+        message: 'duplicate key value violates unique constraint (Key (event_id)=(a) already exists.)',
+        raw_line: 'a|b|c'
+      });
+    });
+
+    const collect = async (rejects) => {
+      let text = '';
+      for await (const chunk of rejects.content()) {
+        text += chunk;
+      }
+      return text;
+    };
+
+    test('Should build a rejects file with the header and each rejected line once', async () => {
+      jest.spyOn(IngestionJob, 'findById').mockResolvedValue({
+        job_id: 'ingest-job-1',
+        options: { format: 'csv' },
+        header_line: 'eventId,eventName,startDate,endDate'
+      });
+      jest.spyOn(IngestionError, 'findRejects')
+        .mockResolvedValueOnce([{ line_number: 3, raw_line: 'x,Bad,soon,later' }, { line_number: 9, raw_line: 'y,"Two\nlines",,' }])
+        .mockResolvedValueOnce([]);
+
+      const rejects = await FileIngestionService.getRejects('ingest-job-1');
+
+      expect(rejects.fileName).toBe('ingest-job-1-rejects.csv');
+      expect(rejects.contentType).toBe('text/csv');
+      expect(await collect(rejects)).toBe('eventId,eventName,startDate,endDate\nx,Bad,soon,later\ny,"Two\nlines",,\n');
+      expect(IngestionError.findRejects).toHaveBeenLastCalledWith('ingest-job-1', 9);
+    });
+
+    test('Should wrap rejected JSON entries in an array', async () => {
+      jest.spyOn(IngestionJob, 'findById').mockResolvedValue({ job_id: 'ingest-job-1', options: { format: 'json' } });
+      jest.spyOn(IngestionError, 'findRejects')
+        .mockResolvedValueOnce([{ line_number: 1, raw_line: '{"eventId":1}' }, { line_number: 2, raw_line: '"oops"' }])
+        .mockResolvedValueOnce([]);
+
+      const text = await collect(await FileIngestionService.getRejects('ingest-job-1'));
+      expect(JSON.parse(text)).toEqual([{ eventId: 1 }, 'oops']);
+    });
+  });
+
+  describe('Dry run', () => {
+    const filePath = path.join(os.tmpdir(), `dry-run-${process.pid}.txt`);
+    const id = (digit) => `${digit}`.repeat(8) + '-' + `${digit}`.repeat(4) + '-' + `${digit}`.repeat(4) + '-' + `${digit}`.repeat(4) + '-' + `${digit}`.repeat(12);
+    const line = (eventId, parentId, start, end) => `${eventId}|Event|${start}|${end}|${parentId || 'NULL'}|`;
+
+    beforeAll(() => {
+      fs.writeFileSync(filePath, [
+        line(id(1), null, '2023-01-01T00:00:00Z', '2023-01-31T00:00:00Z'),
+        line(id(2), id(1), '2022-12-25T00:00:00Z', '2023-01-10T00:00:00Z'),
+        line(id(3), id(9), '2023-01-01T00:00:00Z', '2023-01-02T00:00:00Z'),
+        line(id(4), id(5), '2023-01-01T00:00:00Z', '2023-01-02T00:00:00Z'),
+        line(id(5), id(6), '2023-01-01T00:00:00Z', '2023-01-02T00:00:00Z'),
+        line(id(1), null, '2023-01-01T00:00:00Z', '2023-01-31T00:00:00Z'),
+        `${id(7)}|Broken|yesterday|2023-01-02T00:00:00Z|NULL|`
+      ].join('\n'));
+    });
+
+    afterAll(() => {
+      fs.unlinkSync(filePath);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('Should report per-line findings without writing anything', async () => {
+      jest.spyOn(HistoricalEvent, 'findExistingIds').mockResolvedValue(new Set([id(5)]));
+      // Event 6 exists and is a child of event 4 from the file, which closes a cycle 4 -> 5 -> 6 -> 4
+      jest.spyOn(HistoricalEvent, 'findHierarchyNodes').mockImplementation(async (ids) => ids
+        .filter(eventId => eventId === id(6))
+        .map(eventId => ({ event_id: eventId, parent_event_id: id(4), start_date: new Date(0), end_date: new Date() })));
+      const bulkCreate = jest.spyOn(HistoricalEvent, 'bulkCreate');
+
+      const report = await FileIngestionService.validateFile(filePath, { mode: 'upsert' });
+      const codes = report.findings.map(finding => [finding.lineNumber, finding.code]);
+
+      expect(codes).toEqual([
+        [2, 'OUTSIDE_PARENT_SPAN'],
+        [3, 'UNKNOWN_PARENT'],
+        [4, 'HIERARCHY_CYCLE'],
+        [5, 'EXISTING_EVENT'],
+        [5, 'HIERARCHY_CYCLE'],
+        [6, 'DUPLICATE_IN_FILE'],
+        [7, 'INVALID_DATE']
+      ]);
+      expect(report).toMatchObject({ dryRun: true, totalLines: 7, errorLines: 3, validLines: 4, warningLines: 3 });
+      expect(bulkCreate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Repair mode', () => {
+    const pipe = require('../src/services/formats/pipe');
+    const jsonLines = require('../src/services/formats/jsonLines');
+    const filePath = path.join(os.tmpdir(), `repair-${process.pid}.txt`);
+    const eventId = 'a1b2c3d4-e5f6-7890-1234-567890abcdef';
+
+    beforeAll(() => {
+      fs.writeFileSync(filePath, [
+        `{A1B2C3D4-E5F6-7890-1234-567890ABCDEF}|"Survey|2023-02-01|2023-01-01|NULL|North | south trench`,
+        'a1b2c3d4-e5f6-7890-1234|Truncated|2023-01-01|2023-01-02|NULL|'
+      ].join('\n'));
+    });
+
+    afterAll(() => {
+      fs.unlinkSync(filePath);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('Should fix known problems and record each fix in the parsing flags', async () => {
+      const records = [];
+      for await (const record of pipe.records(filePath)) {
+        records.push(record);
+      }
+
+      expect(() => FileIngestionService.readRecord(records[0], pipe)).toThrow('expected 6 fields, got 7');
+
+      const { fields, repairs } = FileIngestionService.readRecord(records[0], pipe, true);
+      const event = FileIngestionService.buildEvent(fields, 1, filePath, repairs);
+
+      expect(event).toMatchObject({ event_id: eventId, event_name: 'Survey', description: 'North | south trench' });
+      expect(event.start_date.toISOString()).toBe('2023-01-01T00:00:00.000Z');
+      expect(event.metadata.parsing_flags).toEqual([
+        'description:rejoined_fields',
+        'event_name:stripped_quotes',
+        'event_id:normalized_uuid',
+        'start_date:swapped_dates',
+        'end_date:swapped_dates'
+      ]);
+      expect(event.metadata.raw_dates).toEqual({ start_date: '2023-02-01', end_date: '2023-01-01' });
+    });
+
+    test('Should re-read a JSON Lines entry without its byte order mark', () => {
+      const raw = `\uFEFF{"eventId": "${eventId}", "eventName": "Survey", "startDate": "2023-01-01", "endDate": "2023-01-02"}`;
+      const record = { lineNumber: 1, raw, error: new Error('Malformed JSON: Unexpected token') };
+
+      const { fields, repairs } = FileIngestionService.readRecord(record, jsonLines, true);
+
+      expect(fields.event_id).toBe(eventId);
+      expect(repairs.map(repair => repair.fix)).toEqual(['trimmed_bom']);
+    });
+
+    test('Should report repairs in a dry run and still reject what it cannot fix', async () => {
+      jest.spyOn(HistoricalEvent, 'findExistingIds').mockResolvedValue(new Set());
+      jest.spyOn(HistoricalEvent, 'findHierarchyNodes').mockResolvedValue([]);
+
+      const report = await FileIngestionService.validateFile(filePath, { repair: true });
+
+      expect(report.findings.map(finding => [finding.lineNumber, finding.severity, finding.code])).toEqual([
+        [1, 'info', 'REPAIRED'],
+        [2, 'error', 'INVALID_UUID']
+      ]);
+      expect(report).toMatchObject({ repair: true, repairedLines: 1, validLines: 1, errorLines: 1 });
+    });
+  });
+
+  describe('Relation files', () => {
+    const filePath = path.join(os.tmpdir(), `relations-${process.pid}.txt`);
+    const sourceId = 'a1b2c3d4-e5f6-7890-1234-567890abcdef';
+    const targetId = 'f7e6d5c4-b3a2-1098-7654-3210fedcba98';
+
+    beforeAll(() => {
+      fs.writeFileSync(filePath, [
+        'sourceEventId|targetEventId|relationType|weight|description',
+        `${sourceId}|${targetId}|Contemporaneous with|2.5|Same season`,
+        `${sourceId}|${targetId}|inspired||`,
+        `${targetId}|11223344-5566-7788-9900-aabbccddeeff|caused||`
+      ].join('\n'));
+    });
+
+    afterAll(() => {
+      fs.unlinkSync(filePath);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('Should read relations by their header and write them as a job', async () => {
+      const progress = [];
+      jest.spyOn(IngestionJob, 'findById').mockResolvedValue({ job_id: 'relations-job' });
+      jest.spyOn(IngestionJob, 'updateProgress').mockImplementation(async (jobId, fields) => {
+        progress.push(fields);
+        return { status: 'PROCESSING' };
+      });
+      jest.spyOn(IngestionJob, 'complete').mockResolvedValue(true);
+      jest.spyOn(IngestionJob, 'addErrorLines').mockResolvedValue();
+      jest.spyOn(IngestionRepair, 'bulkCreate').mockResolvedValue(0);
+      jest.spyOn(DeferredEvent, 'countByJob').mockResolvedValue(0);
+      jest.spyOn(FileIngestionService, 'emitFinished').mockResolvedValue();
+      const recordErrors = jest.spyOn(IngestionError, 'bulkCreate').mockResolvedValue(0);
+      const bulkCreate = jest.spyOn(EventRelation, 'bulkCreate').mockImplementation(async (relations) => ({
+        created: [relations[0]],
+        updated: [],
+        unchanged: [],
+        skipped: [],
+        failed: [{
+          event: relations[1],
+          error: Object.assign(new Error('insert or update on table "event_relations" violates foreign key constraint'), { code: '23503' })
+        }]
+      }));
+
+      await FileIngestionService.processFile('relations-job', filePath, { format: 'pipe', content: 'relations', mode: 'upsert' });
+
+      const [relations, options] = bulkCreate.mock.calls[0];
+      expect(options).toEqual({ mode: 'upsert' });
+      expect(relations[0]).toMatchObject({
+        source_event_id: sourceId,
+        target_event_id: targetId,
+        relation_type: 'contemporaneous_with',
+        weight: 2.5,
+        description: 'Same season',
+        metadata: { job_id: 'relations-job', line_number: 2 }
+      });
+
+      const errorCodes = recordErrors.mock.calls.flatMap(([, errors]) => errors.map(error => error.error_code));
+      expect(errorCodes).toEqual(expect.arrayContaining(['INVALID_RELATION_TYPE', 'MISSING_EVENT']));
+      expect(progress[progress.length - 1]).toMatchObject({ processed_lines: 1, error_lines: 2, inserted_count: 1 });
+    });
+  });
+});
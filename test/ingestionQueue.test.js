@@ -0,0 +1,65 @@
+jest.mock('../src/models/IngestionJob');
+jest.mock('../src/services/FileIngestionService', () => {
+  const { EventEmitter } = require('events');
+  const service = new EventEmitter();
+  service.processFile = jest.fn();
+  return service;
+});
+
+const IngestionJob = require('../src/models/IngestionJob');
+const FileIngestionService = require('../src/services/FileIngestionService');
+const IngestionQueue = require('../src/services/IngestionQueue');
+
+describe('Ingestion Queue', () => {
+  const job = (jobId) => ({ job_id: jobId, file_path: `/tmp/${jobId}.txt`, options: { format: 'pipe' }, attempts: 1 });
+
+  beforeEach(() => {
+    IngestionJob.requeueInterrupted.mockResolvedValue([]);
+    IngestionJob.requeue.mockResolvedValue(null);
+    IngestionQueue.concurrency = 2;
+  });
+
+  afterEach(async () => {
+    await IngestionQueue.stop();
+    jest.resetAllMocks();
+  });
+
+  test('Should claim queued jobs up to the configured concurrency', async () => {
+    const pending = [];
+    FileIngestionService.processFile.mockImplementation(() => new Promise(resolve => pending.push(resolve)));
+    IngestionJob.claimNext
+      .mockResolvedValueOnce(job('job-1'))
+      .mockResolvedValueOnce(job('job-2'))
+      .mockResolvedValue(null);
+
+    await IngestionQueue.start();
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(IngestionJob.requeueInterrupted).toHaveBeenCalledWith(
+      IngestionQueue.staleAfterMs, IngestionQueue.maxAttempts, IngestionQueue.workerId
+    );
+    expect(IngestionJob.claimNext).toHaveBeenCalledTimes(2);
+    expect(FileIngestionService.processFile).toHaveBeenCalledTimes(2);
+    expect([...IngestionQueue.activeJobs.keys()]).toEqual(['job-1', 'job-2']);
+
+    pending.forEach(resolve => resolve({ interrupted: false }));
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(IngestionQueue.activeJobs.size).toBe(0);
+    expect(IngestionJob.requeue).not.toHaveBeenCalled();
+  });
+
+  test('Should requeue a job interrupted by shutdown', async () => {
+    FileIngestionService.processFile.mockImplementation((jobId, filePath, options) => new Promise(resolve => {
+      options.signal.addEventListener('abort', () => resolve({ interrupted: true }));
+    }));
+    IngestionJob.claimNext.mockResolvedValueOnce(job('job-1')).mockResolvedValue(null);
+
+    await IngestionQueue.start();
+    await new Promise(resolve => setImmediate(resolve));
+    await IngestionQueue.stop();
+
+    expect(IngestionJob.requeue).toHaveBeenCalledWith('job-1');
+    expect(IngestionQueue.activeJobs.size).toBe(0);
+  });
+});
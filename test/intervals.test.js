@@ -0,0 +1,48 @@
+const BinaryHeap = require('../src/utils/binaryHeap');
+const { buildBuckets, sweepConcurrency } = require('../src/utils/intervals');
+const { parseFuzzyDate } = require('../src/utils/fuzzyDate');
+
+const HOUR = 60 * 60 * 1000;
+const event = (id, startHour, endHour) => ({ event_id: id, event_name: id, start: startHour * HOUR, end: endHour * HOUR });
+
+describe('Interval Analysis', () => {
+  test('Should pop heap items smallest first', () => {
+    const heap = new BinaryHeap();
+    [5, 1, 4, 1, 3, 9, 2].forEach(item => heap.push(item));
+
+    const popped = [];
+    while (heap.size > 0) popped.push(heap.pop());
+    expect(popped).toEqual([1, 1, 2, 3, 4, 5, 9]);
+    expect(heap.pop()).toBeUndefined();
+  });
+
+  test('Should build calendar buckets across BCE years', () => {
+    const start = parseFuzzyDate('250 BC').start.getTime();
+    const end = parseFuzzyDate('AD 50').end.getTime();
+    const buckets = buildBuckets(start, end, { unit: 'year', step: 100 }, 10);
+
+    expect(buckets.map(bucket => new Date(bucket.start).getUTCFullYear())).toEqual([-300, -200, -100, 0]);
+    expect(buckets[3].end).toBeGreaterThanOrEqual(end);
+    expect(buildBuckets(start, end, { unit: 'year', step: 1 }, 10)).toBeNull();
+  });
+
+  test('Should find the peak, the clusters and the concurrency in each bucket', async () => {
+    // a, b and c run together from 3h to 5h; d only touches a; e and f overlap
+    const batches = [
+      [event('a', 0, 10), event('b', 2, 5), event('c', 3, 8)],
+      [event('d', 10, 12), event('e', 20, 30), event('f', 25, 26)]
+    ];
+    const buckets = [0, 5, 10, 15, 20, 25].map(hour => ({ start: hour * HOUR, end: (hour + 5) * HOUR }));
+
+    const result = await sweepConcurrency(batches, { buckets, clusterEventLimit: 2 });
+
+    expect(result.eventCount).toBe(6);
+    expect(result.peak).toEqual({ concurrency: 3, start: 3 * HOUR, end: 5 * HOUR });
+    expect(result.clusters).toHaveLength(2);
+    expect(result.clusters[0]).toMatchObject({ start: 0, end: 10 * HOUR, event_count: 3, peak: { concurrency: 3 } });
+    expect(result.clusters[0].events.map(entry => entry.event_id)).toEqual(['a', 'b']);
+    expect(result.clusters[1]).toMatchObject({ event_count: 2, peak: { concurrency: 2, start: 25 * HOUR, end: 26 * HOUR } });
+    expect(result.histogram.map(bucket => [bucket.active_events, bucket.peak_concurrency]))
+      .toEqual([[3, 3], [2, 2], [1, 1], [0, 0], [1, 1], [2, 2]]);
+  });
+});